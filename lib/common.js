@@ -0,0 +1,253 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Support functions shared by the manta-dir-watcher modules.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var fs = require('fs');
+var manta = require('manta');
+var util = require('util');
+var VError = require('verror').VError;
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+// The default policy for retrying failed polls (see `retryFromOpts`).
+var DEFAULT_RETRY = {
+    minDelay: 1,        // seconds
+    maxDelay: 60,       // seconds
+    maxFailures: 10     // 0 means retry forever
+};
+
+// Error codes for network-level failures that are worth retrying.
+var RETRYABLE_ERROR_CODES = [
+    'EAI_AGAIN',
+    'ECONNABORTED',
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'EPIPE',
+    'ETIMEDOUT'
+];
+
+var HTTP_REQUEST_TIMEOUT = 408;
+var HTTP_TOO_MANY_REQUESTS = 429;
+var HTTP_SERVER_ERROR_MIN = 500;
+
+// Backoff delays double with each attempt, and are jittered down by up to
+// half.
+var BACKOFF_FACTOR = 2;
+var BACKOFF_JITTER = 0.5;
+
+var MS_PER_SEC = 1000;
+var MAX_PERCENT = 100;
+
+
+// ---- support functions
+
+function objCopy(obj, target) {
+    var copy = target || {};
+
+    Object.keys(obj).forEach(function copyKey(k) {
+        copy[k] = obj[k];
+    });
+    return copy;
+}
+
+/*
+ * The default classification of errors talking to Manta (or another HTTP
+ * service): network errors and HTTP 5xx/408/429 responses are retryable,
+ * everything else (e.g. auth errors, local filesystem errors, the
+ * sync-delete-guard) is fatal. An error wrapped with VError (e.g. "could not
+ * upload ...") is classified by its cause.
+ */
+function isRetryableError(err) {
+    var cause = VError.cause(err);
+
+    if (err.statusCode) {
+        return (err.statusCode >= HTTP_SERVER_ERROR_MIN
+            || err.statusCode === HTTP_REQUEST_TIMEOUT
+            || err.statusCode === HTTP_TOO_MANY_REQUESTS);
+    }
+    if (RETRYABLE_ERROR_CODES.indexOf(err.code) !== -1) {
+        return true;
+    }
+    return (cause ? isRetryableError(cause) : false);
+}
+
+/*
+ * Exponential backoff with "equal jitter": the delay for the given attempt
+ * (starting at 1) is between half and all of `min * 2^(attempt-1)`, capped
+ * at `max`.
+ */
+function backoffDelay(attempt, min, max) {
+    var base = Math.min(max, min * Math.pow(BACKOFF_FACTOR, attempt - 1));
+
+    return (base - Math.random() * base * BACKOFF_JITTER);
+}
+
+/*
+ * Validate a `retry` option (see MantaDirWatcher) and return the policy,
+ * with defaults for what it doesn't set.
+ */
+function retryFromOpts(retryOpt) {
+    var retry = objCopy(retryOpt || {}, objCopy(DEFAULT_RETRY));
+
+    assert.number(retry.minDelay, 'opts.retry.minDelay');
+    assert.ok(retry.minDelay > 0,
+        'opts.retry.minDelay is not positive: ' + retry.minDelay);
+    assert.number(retry.maxDelay, 'opts.retry.maxDelay');
+    assert.ok(retry.maxDelay >= retry.minDelay,
+        'opts.retry.maxDelay is less than opts.retry.minDelay');
+    assert.number(retry.maxFailures, 'opts.retry.maxFailures');
+    assert.ok(retry.maxFailures >= 0,
+        'opts.retry.maxFailures is negative: ' + retry.maxFailures);
+    assert.optionalFunc(retry.isRetryable, 'opts.retry.isRetryable');
+    return retry;
+}
+
+/*
+ * Apply the retry policy to the `attempt`th consecutive poll failure, `err`.
+ * Returns `{attempt, retryable, retryDelay, giveUpErr}`: the delay (in ms)
+ * before the next try or, if the error is fatal or this was the last
+ * attempt, a null delay and the error to give up with.
+ */
+function pollRetry(retry, err, attempt) {
+    var retryable = Boolean((retry.isRetryable || isRetryableError)(err));
+    var giveUp = (!retryable
+        || (retry.maxFailures > 0 && attempt >= retry.maxFailures));
+    var giveUpErr = null;
+
+    if (giveUp && retryable) {
+        giveUpErr = new VError(err,
+            'giving up after %d consecutive poll failures', attempt);
+    } else if (giveUp) {
+        giveUpErr = err;
+    }
+    return {
+        attempt: attempt,
+        retryable: retryable,
+        retryDelay: (giveUp ? null : Math.round(MS_PER_SEC
+            * backoffDelay(attempt, retry.minDelay, retry.maxDelay))),
+        giveUpErr: giveUpErr
+    };
+}
+
+/*
+ * Validate the `maxDeletes` and `maxDeletePercent` options and return them,
+ * as `{maxDeletes, maxDeletePercent}` (null for no limit).
+ */
+function deleteLimitsFromOpts(opts) {
+    assert.optionalNumber(opts.maxDeletes, 'opts.maxDeletes');
+    assert.ok(typeof (opts.maxDeletes) !== 'number' || opts.maxDeletes >= 0,
+        'opts.maxDeletes is negative: ' + opts.maxDeletes);
+    assert.optionalNumber(opts.maxDeletePercent, 'opts.maxDeletePercent');
+    assert.ok(typeof (opts.maxDeletePercent) !== 'number'
+        || (opts.maxDeletePercent >= 0
+        && opts.maxDeletePercent <= MAX_PERCENT),
+        'opts.maxDeletePercent is not between 0 and 100: '
+        + opts.maxDeletePercent);
+
+    return {
+        maxDeletes: (typeof (opts.maxDeletes) === 'number'
+            ? opts.maxDeletes : null),
+        maxDeletePercent: (typeof (opts.maxDeletePercent) === 'number'
+            ? opts.maxDeletePercent : null)
+    };
+}
+
+/*
+ * The delete-limit guard: return an error if `numDeletes` of `numTotal`
+ * is more than the `maxDeletes` or `maxDeletePercent` limit, else null.
+ *
+ * @param {String} opts.guard: Required. The guard name for the error, e.g.
+ *      "sync-delete-limit".
+ * @param {String} opts.noun: Required. What is deleted, e.g. "object".
+ * @param {Number} opts.numDeletes: Required.
+ * @param {Number} opts.numTotal: Required.
+ * @param {Number} opts.maxDeletes: Required. Null for no limit.
+ * @param {Number} opts.maxDeletePercent: Required. Null for no limit.
+ */
+function checkDeleteLimits(opts) {
+    var numDeletes = opts.numDeletes;
+    var percent = (opts.numTotal
+        ? MAX_PERCENT * numDeletes / opts.numTotal : 0);
+
+    if (opts.maxDeletes !== null && numDeletes > opts.maxDeletes) {
+        return new Error(format('%s guard failure: %d %s%s would be '
+            + 'deleted, which is more than maxDeletes=%d', opts.guard,
+            numDeletes, opts.noun, (numDeletes === 1 ? '' : 's'),
+            opts.maxDeletes));
+    }
+    if (opts.maxDeletePercent !== null && percent > opts.maxDeletePercent) {
+        return new Error(format('%s guard failure: %d of %d %ss (%s%%) '
+            + 'would be deleted, which is more than maxDeletePercent=%d',
+            opts.guard, numDeletes, opts.numTotal, opts.noun,
+            percent.toFixed(1), opts.maxDeletePercent));
+    }
+    return null;
+}
+
+/*
+ * Call back with the base64 MD5 (the form used by Manta's "content-md5") of
+ * the given local file.
+ */
+function md5File(path, cb) {
+    var md5sum = crypto.createHash('md5');
+    var input = fs.createReadStream(path);
+
+    input.on('data', function onData(chunk) {
+        md5sum.update(chunk);
+    });
+    input.once('error', cb);
+    input.once('end', function onEnd() {
+        cb(null, md5sum.digest('base64'));
+    });
+}
+
+/*
+ * Create a node-manta client configured from the usual `MANTA_*` envvars.
+ */
+function createClientFromEnv(log) {
+    return manta.createClient({
+        log: log,
+        sign: manta.cliSigner({
+            keyId: process.env.MANTA_KEY_ID,
+            user: process.env.MANTA_USER,
+            subuser: process.env.MANTA_SUBUSER
+        }),
+        user: process.env.MANTA_USER,
+        url: process.env.MANTA_URL,
+        insecure: Boolean(process.env.MANTA_TLS_INSECURE)
+    });
+}
+
+
+// ---- exports
+
+module.exports = {
+    objCopy: objCopy,
+    isRetryableError: isRetryableError,
+    backoffDelay: backoffDelay,
+    retryFromOpts: retryFromOpts,
+    pollRetry: pollRetry,
+    deleteLimitsFromOpts: deleteLimitsFromOpts,
+    checkDeleteLimits: checkDeleteLimits,
+    md5File: md5File,
+    createClientFromEnv: createClientFromEnv
+};
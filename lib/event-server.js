@@ -0,0 +1,472 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * A local event fan-out server: stream a MantaDirWatcher's event groups to
+ * any number of subscribers, over a Unix socket or local HTTP port, as
+ * newline-delimited JSON or Server-Sent Events.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var http = require('http');
+var mod_url = require('url');
+var net = require('net');
+var util = require('util');
+
+var common = require('./common');
+var mod_filter = require('./filter');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+var DEFAULT_HOST = '127.0.0.1';
+
+// The number of recent events kept for subscribers that reconnect.
+var DEFAULT_REPLAY_SIZE = 1000;
+
+// A subscriber that falls this far behind (bytes not yet written to its
+// socket) is disconnected. It can reconnect and catch up from the replay
+// buffer.
+var MAX_SUBSCRIBER_BACKLOG = 8388608;  // 8 MiB
+
+var ACTIONS = ['create', 'update', 'delete', 'rename', 'repair'];
+
+var HTTP_OK = 200;
+var HTTP_BAD_REQUEST = 400;
+var HTTP_NOT_FOUND = 404;
+var HTTP_METHOD_NOT_ALLOWED = 405;
+
+
+// ---- support functions
+
+/*
+ * Normalize a query param that may be given multiple times to an array (or
+ * undefined).
+ */
+function queryList(value) {
+    return (typeof (value) === 'string' ? [value] : value);
+}
+
+/*
+ * Build a subscriber's filter from its request query params: `name`,
+ * `include` and `exclude` (globs, each may be repeated), `type` ("object"
+ * or "directory") and `action` (comma-separated actions). Throws on invalid
+ * params.
+ */
+function filterFromQuery(query) {
+    var filter;
+
+    if (query.type && mod_filter.FILTER_TYPES.indexOf(query.type) === -1) {
+        throw new Error(format('invalid type: "%s"', query.type));
+    }
+
+    filter = mod_filter.normalizeFilter({
+        name: queryList(query.name),
+        include: queryList(query.include),
+        exclude: queryList(query.exclude),
+        type: query.type
+    });
+
+    if (query.action) {
+        filter.actions = String(query.action).split(',');
+        filter.actions.forEach(function checkAction(action) {
+            if (ACTIONS.indexOf(action) === -1) {
+                throw new Error(format('invalid action: "%s"', action));
+            }
+        });
+    }
+    return filter;
+}
+
+/*
+ * Does the given event or listing entry pass a subscriber's filter?
+ */
+function matchesFilter(filter, item, isEvent) {
+    if (isEvent && filter.actions
+        && filter.actions.indexOf(item.action) === -1) {
+        return false;
+    }
+    if (filter.type && item.type !== filter.type) {
+        return false;
+    }
+    return mod_filter.nameMatchesFilter(filter, item.name);
+}
+
+/*
+ * Does the subscriber want Server-Sent Events? Yes with "format=sse", or
+ * without a `format` param, if it accepts "text/event-stream".
+ */
+function wantsSse(req, query) {
+    if ('format' in query) {
+        return (query.format === 'sse');
+    }
+    return (/text\/event-stream/).test(req.headers.accept || '');
+}
+
+/*
+ * Get the seq after which a subscriber wants to resume (the `since` param,
+ * or SSE's "Last-Event-ID" header): a number (NaN if invalid), or null if
+ * not given.
+ */
+function sinceFromRequest(req, query) {
+    var since = ('since' in query ? query.since
+        : req.headers['last-event-id']);
+
+    if (typeof (since) === 'undefined') {
+        return null;
+    }
+    return Number(since);
+}
+
+function respondError(res, statusCode, message) {
+    res.writeHead(statusCode, {'Content-Type': 'text/plain'});
+    res.end(message + '\n');
+}
+
+/*
+ * If `path` is a Unix socket that no one is listening on (e.g. left by a
+ * process that crashed), remove it.
+ */
+function removeStaleSocket(path, cb) {
+    fs.stat(path, function onStat(statErr, stats) {
+        var conn;
+
+        if (statErr || !stats.isSocket()) {
+            cb();
+            return;
+        }
+        conn = net.connect(path);
+        conn.once('connect', function onConnect() {
+            conn.end();
+            cb(new Error(format('"%s" is in use', path)));
+        });
+        conn.once('error', function onConnectError(err) {
+            if (err.code !== 'ECONNREFUSED') {
+                cb(err);
+                return;
+            }
+            fs.unlink(path, cb);
+        });
+    });
+}
+
+
+// ---- EventServer class
+
+/*
+ * Create an event server. Call `publish(group)` with each group from the
+ * watcher, *after* the watcher's listing includes its changes, i.e. on the
+ * watcher's "poll" event:
+ *
+ *      var server = new EventServer({socketPath: '/var/run/mwatchdir.sock',
+ *          getListing: function () { return watcher.getListing(); },
+ *          log: log});
+ *      watcher.on('poll', function (group) {
+ *          server.publish(group);
+ *      });
+ *
+ * Subscribers "GET /events", optionally with these query params:
+ *
+ * - `format=sse` for Server-Sent Events (also chosen by an "Accept:
+ *   text/event-stream" header). The default is newline-delimited JSON.
+ * - `name`, `include`, `exclude`, `type`, `action`: a filter for this
+ *   subscriber (see `filterFromQuery`).
+ * - `since=SEQ`: resume after the event with sequence number SEQ (for SSE,
+ *   the "Last-Event-ID" header does the same). If the events since then are
+ *   still in the replay buffer they are sent, else a snapshot is.
+ * - `snapshot=false`: don't start with a snapshot.
+ *
+ * Each message is a JSON object with a `type` and the `seq` of the latest
+ * event it covers:
+ *
+ * - `{type: "snapshot", seq, entries: [...]}`: the current listing (see
+ *   `MantaDirWatcher#getListing`) as of event `seq`. If the watcher hasn't
+ *   finished a poll yet, the snapshot is sent when it does.
+ * - `{type: "group", seq, events: [...]}`: a group of events, each with its
+ *   own `seq`.
+ *
+ * With SSE, each message's `type` is the event name and its `seq` the id.
+ * Sequence numbers start at the time (in ms) the server was created, so that
+ * they keep increasing across restarts.
+ *
+ * @param {String} opts.socketPath: The Unix socket path on which to listen.
+ *      One of `socketPath` or `port` is required.
+ * @param {Number} opts.port: The TCP port on which to listen.
+ * @param {String} opts.host: Optional. The address on which to listen with
+ *      `port`. Default "127.0.0.1".
+ * @param {Function} opts.getListing: Required. A function returning the
+ *      current listing, or null if there isn't one yet.
+ * @param {Number} opts.replaySize: Optional. The number of recent events to
+ *      keep for reconnecting subscribers. Default 1000.
+ * @param {Object} opts.log: Required. Bunyan logger.
+ */
+function EventServer(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.socketPath, 'opts.socketPath');
+    assert.optionalNumber(opts.port, 'opts.port');
+    assert.ok((typeof (opts.socketPath) === 'string')
+        !== (typeof (opts.port) === 'number'),
+        'exactly one of opts.socketPath or opts.port is required');
+    assert.optionalString(opts.host, 'opts.host');
+    assert.func(opts.getListing, 'opts.getListing');
+    assert.optionalNumber(opts.replaySize, 'opts.replaySize');
+    assert.object(opts.log, 'opts.log');
+
+    this.socketPath = opts.socketPath;
+    this.port = opts.port;
+    this.host = opts.host || DEFAULT_HOST;
+    this.getListing = opts.getListing;
+    this.replaySize = (typeof (opts.replaySize) === 'number'
+        ? opts.replaySize : DEFAULT_REPLAY_SIZE);
+    assert.ok(this.replaySize >= 0,
+        'opts.replaySize is negative: ' + this.replaySize);
+    this.log = opts.log.child({component: 'event-server'}, true);
+
+    this._seq = Date.now();     // the seq of the latest event
+    this._replay = [];          // recent groups, oldest first
+    this._numReplayEvents = 0;
+    this._subscribers = [];
+    this._nextSubscriberId = 1;
+    this._server = http.createServer(function onRequest(req, res) {
+        self._handleRequest(req, res);
+    });
+}
+
+EventServer.prototype.listen = function listen(cb) {
+    var self = this;
+
+    assert.func(cb, 'cb');
+
+    function onError(err) {
+        cb(err);
+    }
+
+    function onListening() {
+        self._server.removeListener('error', onError);
+        self.log.debug({socketPath: self.socketPath, port: self.port,
+            host: self.host}, 'event server listening');
+        cb();
+    }
+
+    if (!self.socketPath) {
+        self._server.once('error', onError);
+        self._server.listen(self.port, self.host, onListening);
+        return;
+    }
+    removeStaleSocket(self.socketPath, function onRemoved(err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        self._server.once('error', onError);
+        self._server.listen(self.socketPath, onListening);
+    });
+};
+
+/*
+ * Stop listening and disconnect all subscribers. (Node removes the Unix
+ * socket file.)
+ */
+EventServer.prototype.close = function close(cb) {
+    this._subscribers.forEach(function endSubscriber(sub) {
+        sub.res.end();
+    });
+    this._subscribers = [];
+    this._server.close(cb);
+};
+
+/*
+ * Publish a group from the watcher to all subscribers. Each event is
+ * given the next sequence number (on a copy: the given group is not
+ * modified).
+ */
+EventServer.prototype.publish = function publish(group) {
+    var self = this;
+    var events;
+
+    assert.object(group, 'group');
+    assert.arrayOfObject(group.events, 'group.events');
+
+    events = group.events.map(function sequence(event) {
+        var e = common.objCopy(event);
+
+        e.seq = ++self._seq;
+        return e;
+    });
+
+    if (events.length > 0) {
+        self._replay.push(events);
+        self._numReplayEvents += events.length;
+        while (self._replay.length > 0
+            && self._numReplayEvents > self.replaySize) {
+            self._numReplayEvents -= self._replay.shift().length;
+        }
+    }
+
+    self._subscribers.slice().forEach(function publishTo(sub) {
+        if (sub.awaitingSnapshot) {
+            self._sendSnapshot(sub);
+        } else if (events.length > 0) {
+            self._sendGroup(sub, events);
+        }
+    });
+};
+
+EventServer.prototype._handleRequest = function _handleRequest(req, res) {
+    var self = this;
+    var url = mod_url.parse(req.url, true);
+    var query = url.query;
+    var sub;
+    var since;
+
+    self.log.trace({method: req.method, url: req.url}, 'request');
+
+    if (url.pathname !== '/events') {
+        respondError(res, HTTP_NOT_FOUND, 'not found');
+        return;
+    }
+    if (req.method !== 'GET') {
+        respondError(res, HTTP_METHOD_NOT_ALLOWED, 'method not allowed');
+        return;
+    }
+
+    sub = {
+        id: self._nextSubscriberId++,
+        res: res,
+        sse: wantsSse(req, query),
+        filter: null,
+        awaitingSnapshot: false
+    };
+    try {
+        sub.filter = filterFromQuery(query);
+    } catch (filterErr) {
+        respondError(res, HTTP_BAD_REQUEST, filterErr.message);
+        return;
+    }
+    since = sinceFromRequest(req, query);
+    if (isNaN(since)) {
+        respondError(res, HTTP_BAD_REQUEST, 'invalid "since"');
+        return;
+    }
+
+    res.writeHead(HTTP_OK, {
+        'Content-Type': (sub.sse ? 'text/event-stream'
+            : 'application/x-ndjson'),
+        'Cache-Control': 'no-cache'
+    });
+    res.flushHeaders();
+    self._subscribers.push(sub);
+    self.log.debug({subscriber: sub.id, sse: sub.sse, since: since,
+        numSubscribers: self._subscribers.length}, 'subscriber connected');
+    res.once('close', function onClose() {
+        var idx = self._subscribers.indexOf(sub);
+
+        if (idx !== -1) {
+            self._subscribers.splice(idx, 1);
+        }
+        self.log.debug({subscriber: sub.id}, 'subscriber disconnected');
+    });
+
+    self._catchUp(sub, since, query.snapshot !== 'false');
+};
+
+/*
+ * Start a new subscriber off with the events since `since` (if not null,
+ * and they are all still in the replay buffer), else with a snapshot, if
+ * `wantSnapshot`.
+ */
+EventServer.prototype._catchUp = function _catchUp(sub, since, wantSnapshot) {
+    var self = this;
+
+    if (since !== null && self._canReplaySince(since)) {
+        self._replay.forEach(function replayGroup(events) {
+            var missed = events.filter(function isMissed(event) {
+                return (event.seq > since);
+            });
+
+            if (missed.length > 0) {
+                self._sendGroup(sub, missed);
+            }
+        });
+    } else if (wantSnapshot) {
+        self._sendSnapshot(sub);
+    }
+};
+
+/*
+ * Are all events after `since` still in the replay buffer?
+ */
+EventServer.prototype._canReplaySince = function _canReplaySince(since) {
+    var firstSeq = (this._replay.length > 0
+        ? this._replay[0][0].seq : this._seq + 1);
+
+    return (since >= firstSeq - 1 && since <= this._seq);
+};
+
+EventServer.prototype._sendSnapshot = function _sendSnapshot(sub) {
+    var listing = this.getListing();
+
+    if (!listing) {
+        sub.awaitingSnapshot = true;
+        return;
+    }
+    sub.awaitingSnapshot = false;
+    this._send(sub, {
+        type: 'snapshot',
+        seq: this._seq,
+        entries: listing.filter(function entryMatches(entry) {
+            return matchesFilter(sub.filter, entry, false);
+        })
+    });
+};
+
+EventServer.prototype._sendGroup = function _sendGroup(sub, events) {
+    var matching = events.filter(function eventMatches(event) {
+        return matchesFilter(sub.filter, event, true);
+    });
+
+    if (matching.length > 0) {
+        this._send(sub, {
+            type: 'group',
+            seq: matching[matching.length - 1].seq,
+            events: matching
+        });
+    }
+};
+
+EventServer.prototype._send = function _send(sub, msg) {
+    var conn = sub.res.connection;
+    var json = JSON.stringify(msg);
+
+    if (sub.sse) {
+        sub.res.write(format('id: %d\nevent: %s\ndata: %s\n\n', msg.seq,
+            msg.type, json));
+    } else {
+        sub.res.write(json + '\n');
+    }
+
+    if (conn && conn.bufferSize > MAX_SUBSCRIBER_BACKLOG) {
+        this.log.warn({subscriber: sub.id}, 'subscriber is too far behind, '
+            + 'disconnecting');
+        sub.res.destroy();
+    }
+};
+
+
+// ---- exports
+
+module.exports = EventServer;
@@ -0,0 +1,255 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * An "exec hook": run a shell command for change groups from a
+ * MantaDirWatcher.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var child_process = require('child_process');
+var mod_path = require('path');
+var vasync = require('vasync');
+
+
+// ---- globals/consts
+
+var MS_PER_SEC = 1000;
+
+var EXEC_MODES = [
+    'event',    // run the command once per event
+    'group'     // run the command once per group of events
+];
+
+var EXEC_OVERLAPS = [
+    'serialize',    // queue a run until the current one completes
+    'skip'          // drop a run if one is already in progress
+];
+
+
+// ---- ExecHook class
+
+/*
+ * Create an exec hook. Call `handleGroup(group)` with each event group
+ * emitted by the watcher (i.e. after the sync for that group is complete).
+ *
+ * The command is run with `/bin/sh -c CMD`, gets the group as JSON on
+ * stdin and, in "event" mode, these envvars:
+ *
+ *      MWATCHDIR_ACTION        the event action, e.g. "create"
+ *      MWATCHDIR_PATH          the Manta path
+ *      MWATCHDIR_LOCAL_PATH    the local path, if syncing (else empty)
+ *      MWATCHDIR_MTIME         the mtime (empty for "delete")
+ *
+ * The command's stdout goes to our stderr (as does its stderr), so that it
+ * can't corrupt our stdout, e.g. `mwatchdir --ndjson` output. Command
+ * failures are logged and otherwise ignored.
+ *
+ * @param {String} opts.cmd: Required. The shell command to run.
+ * @param {Object} opts.log: Required. Bunyan logger.
+ * @param {String} opts.mode: Optional. One of EXEC_MODES. Default "group".
+ * @param {Number} opts.debounce: Optional. Seconds to wait for more groups
+ *      before running. Groups received in that time are merged into one.
+ *      Default 0.
+ * @param {String} opts.overlap: Optional. One of EXEC_OVERLAPS, to choose
+ *      how to handle groups received while a run is in progress. Default
+ *      "serialize".
+ * @param {String} opts.syncDir: Optional. The watcher's sync dir, used for
+ *      MWATCHDIR_LOCAL_PATH.
+ */
+function ExecHook(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.cmd, 'opts.cmd');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.mode, 'opts.mode');
+    assert.optionalNumber(opts.debounce, 'opts.debounce');
+    assert.optionalString(opts.overlap, 'opts.overlap');
+    assert.optionalString(opts.syncDir, 'opts.syncDir');
+
+    this.cmd = opts.cmd;
+    this.log = opts.log.child({component: 'exec-hook'}, true);
+    this.mode = opts.mode || 'group';
+    assert.ok(EXEC_MODES.indexOf(this.mode) !== -1,
+        'invalid opts.mode: ' + opts.mode);
+    this.debounceMs = (opts.debounce || 0) * MS_PER_SEC;
+    this.overlap = opts.overlap || 'serialize';
+    assert.ok(EXEC_OVERLAPS.indexOf(this.overlap) !== -1,
+        'invalid opts.overlap: ' + opts.overlap);
+    this.syncDir = (opts.syncDir ? mod_path.resolve(opts.syncDir) : null);
+
+    this._debounceTimeout = null;
+    this._debouncedEvents = [];
+    this._running = false;
+    this._queue = [];
+    this._closeCbs = [];
+}
+
+ExecHook.prototype.handleGroup = function handleGroup(group) {
+    var self = this;
+
+    assert.arrayOfObject(group.events, 'group.events');
+
+    if (!self.debounceMs) {
+        self._trigger(group);
+        return;
+    }
+
+    self._debouncedEvents = self._debouncedEvents.concat(group.events);
+    if (self._debounceTimeout) {
+        clearTimeout(self._debounceTimeout);
+    }
+    self._debounceTimeout = setTimeout(function debounced() {
+        var events = self._debouncedEvents;
+
+        self._debounceTimeout = null;
+        self._debouncedEvents = [];
+        self._trigger({events: events});
+    }, self.debounceMs);
+};
+
+ExecHook.prototype._trigger = function _trigger(group) {
+    var self = this;
+
+    if (self._running) {
+        if (self.overlap === 'skip') {
+            self.log.warn({numEvents: group.events.length},
+                'previous exec still running, skipping');
+        } else {
+            self._queue.push(group);
+        }
+        return;
+    }
+
+    self._running = true;
+    self._run(group, function onRun() {
+        self._running = false;
+        if (self._queue.length > 0) {
+            self._trigger(self._queue.shift());
+        } else {
+            self._finishClose();
+        }
+    });
+};
+
+/*
+ * Run any debounced group now, and call back when all runs (including
+ * queued ones) are done.
+ */
+ExecHook.prototype.close = function close(cb) {
+    var self = this;
+
+    assert.func(cb, 'cb');
+
+    self._closeCbs.push(cb);
+    if (self._debounceTimeout) {
+        clearTimeout(self._debounceTimeout);
+        self._debounceTimeout = null;
+        self._trigger({events: self._debouncedEvents});
+        self._debouncedEvents = [];
+    }
+    if (!self._running) {
+        self._finishClose();
+    }
+};
+
+ExecHook.prototype._finishClose = function _finishClose() {
+    var cbs = this._closeCbs;
+
+    this._closeCbs = [];
+    cbs.forEach(function callCloseCb(cb) {
+        setImmediate(cb);
+    });
+};
+
+ExecHook.prototype._run = function _run(group, cb) {
+    var self = this;
+
+    if (self.mode === 'group') {
+        self._spawn({MWATCHDIR_NUM_EVENTS: String(group.events.length)},
+            group, cb);
+        return;
+    }
+
+    vasync.forEachPipeline({
+        inputs: group.events,
+        func: function execOne(event, next) {
+            self._spawn({
+                MWATCHDIR_ACTION: event.action,
+                MWATCHDIR_PATH: event.path,
+                MWATCHDIR_LOCAL_PATH: (self.syncDir
+                    ? mod_path.join(self.syncDir, event.relpath) : ''),
+                MWATCHDIR_MTIME: event.mtime || ''
+            }, group, next);
+        }
+    }, function onExeced() {
+        cb();
+    });
+};
+
+/*
+ * Run the command once. This never calls back with an error: failures are
+ * logged.
+ */
+ExecHook.prototype._spawn = function _spawn(extraEnv, group, cb) {
+    var self = this;
+    var log = self.log;
+    var env = {};
+    var called = false;
+    var child;
+
+    Object.keys(process.env).forEach(function copyEnv(k) {
+        env[k] = process.env[k];
+    });
+    Object.keys(extraEnv).forEach(function copyExtraEnv(k) {
+        env[k] = extraEnv[k];
+    });
+
+    function finish() {
+        if (called) {
+            return;
+        }
+        called = true;
+        cb();
+    }
+
+    log.trace({cmd: self.cmd, env: extraEnv}, 'exec');
+    child = child_process.spawn('/bin/sh', ['-c', self.cmd], {
+        env: env,
+        stdio: ['pipe', process.stderr, 'inherit']
+    });
+
+    child.once('error', function onError(err) {
+        log.warn({err: err, cmd: self.cmd}, 'exec failed');
+        finish();
+    });
+    child.once('exit', function onExit(code, signal) {
+        if (code !== 0) {
+            log.warn({cmd: self.cmd, code: code, signal: signal,
+                env: extraEnv}, 'exec command failed (exit status %s)',
+                (signal || code));
+        }
+        finish();
+    });
+
+    // The command needn't read stdin: ignore EPIPE.
+    child.stdin.on('error', function onStdinError(err) {
+        log.trace({err: err}, 'exec stdin error');
+    });
+    child.stdin.end(JSON.stringify(group) + '\n');
+};
+
+
+// ---- exports
+
+module.exports = ExecHook;
+module.exports.EXEC_MODES = EXEC_MODES;
+module.exports.EXEC_OVERLAPS = EXEC_OVERLAPS;
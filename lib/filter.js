@@ -0,0 +1,351 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Dirent filtering for MantaDirWatcher: the `filter` option.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+
+
+// ---- globals/consts
+
+var FILTER_TYPES = [
+    'object',
+    'directory'
+];
+
+// Chars that need escaping in a RegExp bracket expression.
+var BRACKET_SPECIAL_CHARS = '\\[]^';
+
+
+// ---- glob support
+
+function regexpEscape(s) {
+    return s.replace(/[\\^$+?.()|[\]{}*]/g, '\\$&');
+}
+
+/*
+ * Is `c` the char that negates a bracket expression, "!" (or "^")?
+ */
+function isBracketNegation(c) {
+    return (c === '!' || c === '^');
+}
+
+/*
+ * Return the index of the "]" closing the bracket expression starting at
+ * `glob[start]` (a "["), or -1 if it isn't closed. A "]" right after the
+ * "[" (or "[!", "[^") is a literal.
+ */
+function bracketEnd(glob, start) {
+    var i = start + 1;
+
+    if (isBracketNegation(glob[i])) {
+        i++;
+    }
+    if (glob[i] === ']') {
+        i++;
+    }
+    for (; i < glob.length; i++) {
+        if (glob[i] === '\\') {
+            i++;
+        } else if (glob[i] === ']') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function regexpFromBracket(body) {
+    var re = '[';
+    var i = 0;
+
+    if (isBracketNegation(body[0])) {
+        re += '^';
+        i++;
+    }
+    for (; i < body.length; i++) {
+        if (body[i] === '\\' && i + 1 < body.length) {
+            i++;
+            re += '\\' + body[i];
+        } else if (BRACKET_SPECIAL_CHARS.indexOf(body[i]) === -1) {
+            re += body[i];
+        } else {
+            re += '\\' + body[i];
+        }
+    }
+    return re + ']';
+}
+
+/*
+ * Return true if the "{" at `glob[start]` has a matching "}".
+ */
+function braceIsClosed(glob, start) {
+    var depth = 0;
+    var i;
+
+    for (i = start; i < glob.length; i++) {
+        if (glob[i] === '\\') {
+            i++;
+        } else if (glob[i] === '{') {
+            depth++;
+        } else if (glob[i] === '}') {
+            depth--;
+            if (depth === 0) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/*
+ * Convert a glob to an anchored RegExp. Supported syntax:
+ *
+ *      *           any string
+ *      ?           any single char
+ *      [abc] [a-z] a char in the set or range
+ *      [!a-z]      a char not in the set (also "[^a-z]")
+ *      {a,b}       either alternative (may be nested)
+ *      \x          a literal "x"
+ */
+function regexpFromGlob(glob) {
+    var re = '';
+    var braceDepth = 0;
+    var i;
+    var c;
+    var end;
+
+    assert.string(glob, 'glob');
+
+    for (i = 0; i < glob.length; i++) {
+        c = glob[i];
+        switch (c) {
+            case '\\':
+                i++;
+                re += (i < glob.length ? regexpEscape(glob[i]) : '\\\\');
+                break;
+            case '*':
+                re += '.*';
+                break;
+            case '?':
+                re += '.';
+                break;
+            case '[':
+                end = bracketEnd(glob, i);
+                if (end === -1) {
+                    re += '\\[';
+                } else {
+                    re += regexpFromBracket(glob.slice(i + 1, end));
+                    i = end;
+                }
+                break;
+            case '{':
+                if (braceIsClosed(glob, i)) {
+                    braceDepth++;
+                    re += '(?:';
+                } else {
+                    re += '\\{';
+                }
+                break;
+            case '}':
+                if (braceDepth > 0) {
+                    braceDepth--;
+                    re += ')';
+                } else {
+                    re += '\\}';
+                }
+                break;
+            case ',':
+                re += (braceDepth > 0 ? '|' : ',');
+                break;
+            default:
+                re += regexpEscape(c);
+                break;
+        }
+    }
+
+    return new RegExp('^' + re + '$');
+}
+
+
+// ---- filter
+
+/*
+ * Normalize a list of glob strings and/or RegExps (or a single one) to an
+ * array of RegExps, or null.
+ */
+function regexpsFromPatterns(patterns, name) {
+    var list;
+
+    if (patterns === null || typeof (patterns) === 'undefined') {
+        return null;
+    }
+    list = (Array.isArray(patterns) ? patterns : [patterns]);
+    return list.map(function regexpFromPattern(pattern, i) {
+        if (typeof (pattern) === 'string') {
+            return regexpFromGlob(pattern);
+        }
+        assert.regexp(pattern, name + '[' + i + ']');
+        return pattern;
+    });
+}
+
+/*
+ * Validate and normalize the `filter` option given to MantaDirWatcher.
+ * Glob patterns are compiled to RegExps, `newerThan` to epoch ms.
+ */
+function normalizeFilter(opts) {
+    var filter = {};
+    var name;
+    var newerThan;
+
+    assert.optionalObject(opts, 'opts.filter');
+
+    if (!opts) {
+        return filter;
+    }
+
+    name = regexpsFromPatterns(opts.name, 'opts.filter.name');
+    if (name) {
+        // Keep the single-pattern case as a RegExp, as it always was.
+        filter.name = (name.length === 1 ? name[0] : name);
+    }
+    filter.include = regexpsFromPatterns(opts.include, 'opts.filter.include');
+    filter.exclude = regexpsFromPatterns(opts.exclude, 'opts.filter.exclude');
+
+    assert.optionalString(opts.type, 'opts.filter.type');
+    if (opts.type) {
+        assert.ok(FILTER_TYPES.indexOf(opts.type) !== -1,
+            'invalid opts.filter.type: ' + opts.type);
+        filter.type = opts.type;
+    }
+
+    assert.optionalNumber(opts.minSize, 'opts.filter.minSize');
+    assert.optionalNumber(opts.maxSize, 'opts.filter.maxSize');
+    filter.minSize = opts.minSize;
+    filter.maxSize = opts.maxSize;
+
+    if (typeof (opts.newerThan) !== 'undefined') {
+        newerThan = new Date(opts.newerThan).getTime();
+        assert.ok(!isNaN(newerThan),
+            'invalid opts.filter.newerThan: ' + opts.newerThan);
+        filter.newerThan = newerThan;
+    }
+
+    assert.optionalFunc(opts.fn, 'opts.filter.fn');
+    filter.fn = opts.fn;
+
+    return filter;
+}
+
+function anyMatch(regexps, name) {
+    var i;
+
+    for (i = 0; i < regexps.length; i++) {
+        if (regexps[i].test(name)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/*
+ * Does the given entry name pass the name-based filters (`name`, `include`
+ * and `exclude`)?
+ */
+function nameMatchesFilter(filter, name) {
+    var names = (Array.isArray(filter.name) ? filter.name : [filter.name]);
+
+    if (filter.name && !anyMatch(names, name)) {
+        return false;
+    }
+    if (filter.include && !anyMatch(filter.include, name)) {
+        return false;
+    }
+    if (filter.exclude && anyMatch(filter.exclude, name)) {
+        return false;
+    }
+    return true;
+}
+
+function sizeMatchesFilter(filter, size) {
+    if (typeof (filter.minSize) === 'number' && size < filter.minSize) {
+        return false;
+    }
+    if (typeof (filter.maxSize) === 'number' && size > filter.maxSize) {
+        return false;
+    }
+    return true;
+}
+
+/*
+ * Does the given (remote) dirent pass the filters that can't be applied to
+ * local files (`newerThan` and `fn`)?
+ */
+function direntMatchesRemoteOnlyFilter(filter, dirent) {
+    if (typeof (filter.newerThan) === 'number'
+        && new Date(dirent.mtime).getTime() <= filter.newerThan) {
+        return false;
+    }
+    if (filter.fn && !filter.fn(dirent)) {
+        return false;
+    }
+    return true;
+}
+
+/*
+ * Does the given (remote) dirent pass all filters? Size filters only apply
+ * to objects.
+ */
+function direntMatchesFilter(filter, dirent) {
+    if (filter.type && dirent.type !== filter.type) {
+        return false;
+    }
+    if (!nameMatchesFilter(filter, dirent.name)) {
+        return false;
+    }
+    if (dirent.type === 'object' && !sizeMatchesFilter(filter, dirent.size)) {
+        return false;
+    }
+    return direntMatchesRemoteOnlyFilter(filter, dirent);
+}
+
+/*
+ * Does the given local file or dir (in a sync dir) pass the filters? Only
+ * the type, name and size filters are applied: the local mtime isn't the
+ * Manta mtime, and `fn` is given Manta dirents. A local file that passes
+ * may so have a remote dirent that `direntMatchesRemoteOnlyFilter` drops:
+ * that doesn't make the local file local-only.
+ */
+function localFileMatchesFilter(filter, name, stat) {
+    var type = (stat.isDirectory() ? 'directory' : 'object');
+
+    if (filter.type && type !== filter.type) {
+        return false;
+    }
+    return (nameMatchesFilter(filter, name)
+        && (type === 'directory' || sizeMatchesFilter(filter, stat.size)));
+}
+
+
+// ---- exports
+
+module.exports = {
+    FILTER_TYPES: FILTER_TYPES,
+    regexpFromGlob: regexpFromGlob,
+    normalizeFilter: normalizeFilter,
+    nameMatchesFilter: nameMatchesFilter,
+    direntMatchesFilter: direntMatchesFilter,
+    direntMatchesRemoteOnlyFilter: direntMatchesRemoteOnlyFilter,
+    localFileMatchesFilter: localFileMatchesFilter
+};
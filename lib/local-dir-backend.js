@@ -0,0 +1,443 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * A MantaDirWatcher storage backend that presents a local directory as if it
+ * were Manta. See the "backend" docs in "manta-dir-watcher.js".
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var mkdirp = require('mkdirp');
+var mod_path = require('path');
+var util = require('util');
+var vasync = require('vasync');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+var OBJECT_CONTENT_TYPE = 'application/octet-stream';
+var DIRECTORY_CONTENT_TYPE = 'application/x-json-stream; type=directory';
+
+var HTTP_BAD_REQUEST = 400;
+var HTTP_NOT_FOUND = 404;
+
+
+// ---- support functions
+
+/*
+ * Create an error that looks like a node-manta one, e.g. with `statusCode`
+ * for the HTTP status Manta would have responded with.
+ */
+function backendError(statusCode, name, msg) {
+    var err = new Error(msg);
+
+    err.name = name;
+    err.code = name.replace(/Error$/, '');
+    err.statusCode = statusCode;
+    return err;
+}
+
+function errFromFsErr(err, path) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+        return backendError(HTTP_NOT_FOUND, 'ResourceNotFoundError',
+            format('%s was not found', path));
+    }
+    return err;
+}
+
+
+// ---- LocalDirBackend class
+
+/*
+ * Create a backend for the local directory `root`. A Manta path maps to the
+ * same path under `root`, e.g. "/trent.mick/stor/foo" maps to
+ * "$root/trent.mick/stor/foo". A leading "~~" in paths is expanded to
+ * "/$user".
+ *
+ * Etags are derived from the MD5 of the file content. Hashes are cached
+ * (keyed on file size and mtime) so unchanged files are not re-read on
+ * every `ls`.
+ *
+ * Besides the backend methods, `put` and `unlink` are supported, so that
+ * this can be the target of a MantaDirPublisher.
+ *
+ * @param {String} opts.root: Required. The local dir to present.
+ * @param {String} opts.user: Optional. The user for "~~" expansion. Default
+ *      is "$MANTA_USER", else "user".
+ */
+function LocalDirBackend(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.root, 'opts.root');
+    assert.optionalString(opts.user, 'opts.user');
+
+    this.root = mod_path.resolve(opts.root);
+    this.user = opts.user || process.env.MANTA_USER || 'user';
+    this._md5Cache = {};
+}
+
+LocalDirBackend.prototype._localPath = function _localPath(path) {
+    var p = path.replace(/^~~(?=\/|$)/, '/' + this.user);
+
+    return mod_path.join(this.root, mod_path.normalize('/' + p));
+};
+
+/*
+ * Call back with the MD5 (`md5`, base64) and etag (`etag`, the hex form of
+ * the MD5) of the given local file.
+ */
+LocalDirBackend.prototype._md5 = function _md5(localPath, stat, cb) {
+    var self = this;
+    var key = format('%d:%d', stat.size, stat.mtime.getTime());
+    var cached = self._md5Cache[localPath];
+    var md5sum;
+    var input;
+
+    if (cached && cached.key === key) {
+        cb(null, cached.hash);
+        return;
+    }
+
+    md5sum = crypto.createHash('md5');
+    input = fs.createReadStream(localPath);
+    input.on('data', function onData(chunk) {
+        md5sum.update(chunk);
+    });
+    input.once('error', cb);
+    input.once('end', function onEnd() {
+        var digest = md5sum.digest();
+        var hash = {
+            md5: digest.toString('base64'),
+            etag: digest.toString('hex')
+        };
+
+        self._md5Cache[localPath] = {key: key, hash: hash};
+        cb(null, hash);
+    });
+};
+
+/*
+ * Stat the given local path and gather the Manta-like dirent/info fields.
+ */
+LocalDirBackend.prototype._stat = function _stat(path, cb) {
+    var self = this;
+    var localPath = self._localPath(path);
+
+    fs.stat(localPath, function onStat(err, stat) {
+        var dirent;
+
+        if (err) {
+            cb(errFromFsErr(err, path));
+            return;
+        }
+
+        dirent = {
+            name: mod_path.basename(path),
+            parent: mod_path.dirname(path),
+            mtime: stat.mtime.toISOString()
+        };
+        if (stat.isDirectory()) {
+            dirent.type = 'directory';
+            cb(null, dirent);
+            return;
+        }
+
+        self._md5(localPath, stat, function onMd5(md5Err, hash) {
+            if (md5Err) {
+                cb(errFromFsErr(md5Err, path));
+                return;
+            }
+            dirent.type = 'object';
+            dirent.size = stat.size;
+            dirent.etag = hash.etag;
+            dirent.md5 = hash.md5;
+            cb(null, dirent);
+        });
+    });
+};
+
+LocalDirBackend.prototype.ls = function ls(dir, opts, cb) {
+    var self = this;
+    var callback = (typeof (opts) === 'function' ? opts : cb);
+
+    assert.string(dir, 'dir');
+    assert.func(callback, 'cb');
+
+    fs.readdir(self._localPath(dir), function onReaddir(err, names) {
+        var res;
+        var parent;
+
+        if (err) {
+            callback(errFromFsErr(err, dir));
+            return;
+        }
+
+        res = new EventEmitter();
+        parent = dir.replace(/\/+$/, '');
+        // Dirents and 'end' are only emitted asynchronously, so the caller
+        // gets `res` in time to listen for them.
+        vasync.forEachPipeline({
+            inputs: names.sort(),
+            func: function statOne(name, next) {
+                self._stat(parent + '/' + name, function onStat(statErr,
+                        dirent) {
+                    if (statErr) {
+                        // Removed since the readdir: skip it.
+                        next(statErr.statusCode === HTTP_NOT_FOUND
+                            ? null : statErr);
+                        return;
+                    }
+                    dirent.parent = parent;
+                    delete dirent.md5;
+                    res.emit(dirent.type, dirent);
+                    next();
+                });
+            }
+        }, function onStatted(statErr) {
+            if (statErr) {
+                res.emit('error', statErr);
+            } else {
+                res.emit('end');
+            }
+        });
+        callback(null, res);
+    });
+};
+
+LocalDirBackend.prototype.info = function info(path, opts, cb) {
+    var callback = (typeof (opts) === 'function' ? opts : cb);
+
+    assert.string(path, 'path');
+    assert.func(callback, 'cb');
+
+    this._stat(path, function onStat(err, dirent) {
+        var isDir;
+        var headers;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        isDir = (dirent.type === 'directory');
+        headers = {
+            'content-type': (isDir ? DIRECTORY_CONTENT_TYPE
+                : OBJECT_CONTENT_TYPE),
+            'last-modified': new Date(dirent.mtime).toUTCString()
+        };
+        if (!isDir) {
+            headers['content-length'] = String(dirent.size);
+            headers['content-md5'] = dirent.md5;
+            headers.etag = dirent.etag;
+        }
+        callback(null, {
+            name: dirent.name,
+            type: headers['content-type'],
+            etag: dirent.etag,
+            md5: dirent.md5,
+            size: dirent.size,
+            headers: headers
+        });
+    });
+};
+
+LocalDirBackend.prototype.get = function get(path, opts, cb) {
+    var self = this;
+    var callback = (typeof (opts) === 'function' ? opts : cb);
+
+    assert.string(path, 'path');
+    assert.func(callback, 'cb');
+
+    self.info(path, function onInfo(err, info) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (typeof (info.size) !== 'number') {
+            callback(backendError(HTTP_BAD_REQUEST,
+                'DirectoryOperationError',
+                format('%s is a directory', path)));
+            return;
+        }
+
+        callback(null, fs.createReadStream(self._localPath(path)),
+            {statusCode: 200, headers: info.headers});
+    });
+};
+
+/*
+ * Write the object at `path` from the readable stream `input`. As with
+ * Manta, the object is replaced atomically (the content is written to a
+ * temp file that is renamed into place), and the upload fails if its
+ * length or MD5 doesn't match the given `size` or `md5`.
+ *
+ * @param {Number} opts.size: Optional. The expected content length.
+ * @param {String} opts.md5: Optional. The expected base64 MD5. A
+ *      "content-md5" header in `opts.headers` works too.
+ * @param {Boolean} opts.mkdirs: Optional. Create missing parent dirs.
+ */
+LocalDirBackend.prototype.put = function put(path, input, opts, cb) {
+    var self = this;
+    var callback = (typeof (opts) === 'function' ? opts : cb);
+    var options = (typeof (opts) === 'function' ? {} : opts);
+    var localPath;
+    var tmpPath;
+    var md5;
+    var size = 0;
+    var md5sum = crypto.createHash('md5');
+
+    assert.string(path, 'path');
+    assert.object(input, 'input');
+    assert.object(options, 'opts');
+    assert.optionalNumber(options.size, 'opts.size');
+    assert.func(callback, 'cb');
+
+    localPath = self._localPath(path);
+    tmpPath = mod_path.join(mod_path.dirname(localPath),
+        '.' + mod_path.basename(localPath) + '.mwatchdirpart');
+    md5 = options.md5 || (options.headers && options.headers['content-md5']);
+
+    function finish(err) {
+        var digest;
+
+        if (err) {
+            fs.unlink(tmpPath, function onUnlinked() {
+                callback(err);
+            });
+            return;
+        }
+        digest = md5sum.digest();
+        if (typeof (options.size) === 'number' && size !== options.size) {
+            finish(backendError(HTTP_BAD_REQUEST, 'BadRequestError', format(
+                '%s: wrote %d bytes, expected %d', path, size, options.size)));
+            return;
+        }
+        if (md5 && md5 !== digest.toString('base64')) {
+            finish(backendError(HTTP_BAD_REQUEST, 'ContentMD5MismatchError',
+                format('%s: MD5 %s does not match content-md5 %s', path,
+                    digest.toString('base64'), md5)));
+            return;
+        }
+        fs.stat(localPath, function onStat(statErr, stat) {
+            if (!statErr && stat.isDirectory()) {
+                finish(backendError(HTTP_BAD_REQUEST,
+                    'DirectoryOperationError',
+                    format('%s is a directory', path)));
+                return;
+            }
+            fs.rename(tmpPath, localPath, function onRenamed(renameErr) {
+                if (renameErr) {
+                    finish(renameErr);
+                    return;
+                }
+                delete self._md5Cache[localPath];
+                callback(null, {statusCode: 204, headers: {
+                    etag: digest.toString('hex'),
+                    'computed-md5': digest.toString('base64')
+                }});
+            });
+        });
+    }
+
+    function write() {
+        var output = fs.createWriteStream(tmpPath);
+        var finished = false;
+
+        function once(err) {
+            if (!finished) {
+                finished = true;
+                finish(err);
+            }
+        }
+
+        input.on('data', function onData(chunk) {
+            size += chunk.length;
+            md5sum.update(chunk);
+        });
+        input.once('error', once);
+        output.once('error', once);
+        output.once('finish', function onFinish() {
+            once();
+        });
+        input.pipe(output);
+    }
+
+    if (options.mkdirs) {
+        mkdirp(mod_path.dirname(localPath), function onMkdirp(err) {
+            if (err) {
+                callback(errFromFsErr(err, path));
+                return;
+            }
+            write();
+        });
+        return;
+    }
+    fs.stat(mod_path.dirname(localPath), function onStat(err, stat) {
+        if (err || !stat.isDirectory()) {
+            callback(backendError(HTTP_NOT_FOUND,
+                'DirectoryDoesNotExistError',
+                format('%s does not exist', mod_path.dirname(path))));
+            return;
+        }
+        write();
+    });
+};
+
+/*
+ * Remove the object (or empty directory) at `path`.
+ */
+LocalDirBackend.prototype.unlink = function unlink(path, opts, cb) {
+    var self = this;
+    var callback = (typeof (opts) === 'function' ? opts : cb);
+    var localPath;
+
+    assert.string(path, 'path');
+    assert.func(callback, 'cb');
+
+    localPath = self._localPath(path);
+    fs.lstat(localPath, function onLstat(statErr, stat) {
+        var rm;
+
+        if (statErr) {
+            callback(errFromFsErr(statErr, path));
+            return;
+        }
+        rm = (stat.isDirectory() ? fs.rmdir : fs.unlink);
+        rm(localPath, function onRemoved(err) {
+            if (err && err.code === 'ENOTEMPTY') {
+                callback(backendError(HTTP_BAD_REQUEST,
+                    'DirectoryNotEmptyError',
+                    format('%s is not empty', path)));
+                return;
+            }
+            if (err) {
+                callback(errFromFsErr(err, path));
+                return;
+            }
+            delete self._md5Cache[localPath];
+            callback(null, {statusCode: 204, headers: {}});
+        });
+    });
+};
+
+LocalDirBackend.prototype.close = function close() {
+    this._md5Cache = {};
+};
+
+
+// ---- exports
+
+module.exports = LocalDirBackend;
@@ -0,0 +1,236 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * A manifest of the files synced to a MantaDirWatcher `syncDir`: the etag,
+ * size and MD5 of each synced object, and the local size and mtime at the
+ * time it was synced (or last verified).
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var mkdirp = require('mkdirp');
+var mod_path = require('path');
+var rimraf = require('rimraf');
+var util = require('util');
+var vasync = require('vasync');
+
+var common = require('./common');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+// Bump this if the manifest file format changes incompatibly.
+var MANIFEST_FILE_VERSION = 1;
+
+/*
+ * Filesystem timestamps are coarse (a clock tick, or even 1-2s on some
+ * filesystems), so a file changed just after it was recorded can keep the
+ * same size and mtime. As with git's "racy" index entries, an entry whose
+ * mtime is this close to when it was recorded is never trusted.
+ */
+var RACY_WINDOW_MS = 2000;
+
+
+// ---- LocalManifest class
+
+/*
+ * Create a manifest for the given local dir. If `file` is given, the
+ * manifest can be loaded from and saved to it, so that after a restart
+ * unchanged local files needn't be hashed again.
+ *
+ * A local file is presumed unchanged (and its recorded MD5 still valid) if
+ * its size and mtime match those recorded (see RACY_WINDOW_MS for an
+ * exception).
+ *
+ * @param {String} opts.localDir: Required. The local dir of synced files.
+ * @param {String} opts.file: Optional. The manifest file path.
+ * @param {Object} opts.log: Required. Bunyan logger.
+ */
+function LocalManifest(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.localDir, 'opts.localDir');
+    assert.optionalString(opts.file, 'opts.file');
+    assert.object(opts.log, 'opts.log');
+
+    this.localDir = opts.localDir;
+    this.file = (opts.file ? mod_path.resolve(opts.file) : null);
+    this.log = opts.log;
+
+    this._entries = {};
+    this._dirty = false;
+}
+
+/*
+ * Load the manifest from `file`, if any. A missing manifest file, or one for
+ * a different local dir, gives an empty manifest.
+ */
+LocalManifest.prototype.load = function load(cb) {
+    var self = this;
+
+    assert.func(cb, 'cb');
+
+    if (!self.file) {
+        setImmediate(cb);
+        return;
+    }
+
+    fs.readFile(self.file, 'utf8', function onRead(err, content) {
+        var data;
+
+        if (err) {
+            cb(err.code === 'ENOENT' ? null : err);
+            return;
+        }
+
+        try {
+            data = JSON.parse(content);
+        } catch (parseErr) {
+            cb(new Error(format('could not parse manifest file "%s": %s',
+                self.file, parseErr.message)));
+            return;
+        }
+
+        if (data.v !== MANIFEST_FILE_VERSION
+            || data.localDir !== self.localDir) {
+            self.log.warn({manifestFile: self.file, v: data.v,
+                localDir: data.localDir}, 'ignoring manifest file for a '
+                + 'different local dir or version');
+            cb();
+            return;
+        }
+
+        self._entries = data.files;
+        self.log.trace({manifestFile: self.file,
+            numFiles: Object.keys(self._entries).length},
+            'loaded manifest file');
+        cb();
+    });
+};
+
+/*
+ * Atomically save the manifest to `file`, if any, and if it has changed.
+ */
+LocalManifest.prototype.save = function save(cb) {
+    var self = this;
+    var tmpFile;
+    var content;
+
+    assert.func(cb, 'cb');
+
+    if (!self.file || !self._dirty) {
+        setImmediate(cb);
+        return;
+    }
+
+    tmpFile = self.file + '.mwatchdirpart';
+    content = JSON.stringify({
+        v: MANIFEST_FILE_VERSION,
+        localDir: self.localDir,
+        files: self._entries
+    });
+
+    vasync.pipeline({funcs: [
+        function mkdirpManifestDir(_, next) {
+            mkdirp(mod_path.dirname(self.file), next);
+        },
+        function writeTmpManifestFile(_, next) {
+            fs.writeFile(tmpFile, content, next);
+        },
+        function moveManifestFileInPlace(_, next) {
+            fs.rename(tmpFile, self.file, next);
+        }
+    ]}, function onSaved(err) {
+        if (err) {
+            rimraf(tmpFile, function onRemoved() {
+                cb(err);
+            });
+            return;
+        }
+        self._dirty = false;
+        self.log.trace({manifestFile: self.file}, 'saved manifest file');
+        cb();
+    });
+};
+
+LocalManifest.prototype.get = function get(relpath) {
+    return this._entries[relpath] || null;
+};
+
+/*
+ * Does the given local stat match that recorded for the entry?
+ */
+LocalManifest.prototype.statMatches = function statMatches(entry, stat) {
+    return (entry.localSize === stat.size
+        && entry.localMtime === stat.mtime.getTime()
+        && entry.localMtime < entry.recorded - RACY_WINDOW_MS);
+};
+
+/*
+ * Record the given (synced, or verified) dirent for `relpath`. `stat` is the
+ * local file's stat.
+ */
+LocalManifest.prototype.set = function set(relpath, dirent, stat) {
+    assert.string(dirent.md5, 'dirent.md5');
+
+    this._entries[relpath] = {
+        etag: dirent.etag,
+        size: dirent.size,
+        md5: dirent.md5,
+        localSize: stat.size,
+        localMtime: stat.mtime.getTime(),
+        recorded: Date.now()
+    };
+    this._dirty = true;
+};
+
+LocalManifest.prototype.remove = function remove(relpath) {
+    if (this._entries[relpath]) {
+        delete this._entries[relpath];
+        this._dirty = true;
+    }
+};
+
+/*
+ * Remove entries for which `keep(relpath)` returns false.
+ */
+LocalManifest.prototype.prune = function prune(keep) {
+    var self = this;
+
+    Object.keys(self._entries).forEach(function pruneOne(relpath) {
+        if (!keep(relpath)) {
+            self.remove(relpath);
+        }
+    });
+};
+
+/*
+ * Call back with the base64 MD5 of the given local file. If the file's stat
+ * matches the manifest entry, the recorded MD5 is used rather than reading
+ * the file.
+ */
+LocalManifest.prototype.localMd5 = function localMd5(relpath, stat, cb) {
+    var entry = this.get(relpath);
+
+    if (entry && this.statMatches(entry, stat)) {
+        setImmediate(cb, null, entry.md5);
+        return;
+    }
+    common.md5File(mod_path.join(this.localDir, relpath), cb);
+};
+
+
+// ---- exports
+
+module.exports = LocalManifest;
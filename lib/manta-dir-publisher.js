@@ -0,0 +1,1134 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * A MantaDirPublisher: the reverse of syncing with MantaDirWatcher. It
+ * watches a local directory and uploads new and changed files to a Manta
+ * directory (and, optionally, deletes Manta objects whose local file is
+ * gone).
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var manta = require('manta');
+var mod_path = require('path');
+var util = require('util');
+var vasync = require('vasync');
+var VError = require('verror').VError;
+
+var common = require('./common');
+var mod_filter = require('./filter');
+var LocalManifest = require('./local-manifest');
+
+
+// ---- globals/consts
+
+var format = util.format;
+var objCopy = common.objCopy;
+
+var DEFAULT_INTERVAL = 60;  // seconds
+
+// With `fsWatch`, how long to wait for more local changes before polling.
+var FS_WATCH_DELAY_MS = 1000;
+
+var MS_PER_SEC = 1000;
+
+var HTTP_NOT_FOUND = 404;
+
+// The filter fields that apply when publishing (see `opts.filter`).
+var PUBLISH_FILTER_FIELDS = ['name', 'include', 'exclude', 'type', 'minSize',
+    'maxSize'];
+
+
+// ---- support functions
+
+/*
+ * Temp files from an in-progress write by mwatchdir (e.g. a sync download
+ * into the same dir) are never published.
+ */
+function isTmpName(name) {
+    return (name[0] === '.' && (/\.mwatchdirpart$/).test(name));
+}
+
+
+// ---- MantaDirPublisher class
+
+/*
+ * Create a publisher of the local dir `localDir` to the Manta dir `dir`.
+ * Call `start()` to start polling. Each poll compares the local files
+ * against a listing of `dir`:
+ *
+ * - A local file with no object at its path is uploaded.
+ * - A local file whose object differs, by size or else by MD5, is uploaded.
+ *   As when syncing, the manifest (see `manifestFile`) saves hashing local
+ *   files, and `info` calls for the object MD5, that haven't changed since
+ *   they were last compared.
+ * - With `publishDelete`, an object with no local file is deleted.
+ *
+ * Uploads are atomic: the object is only replaced once all of its content
+ * has been received, and Manta checks it against the "content-md5" of the
+ * local file. A file that changes during its upload fails that check and
+ * is left for the next poll. Empty local dirs aren't published (dirs are
+ * created as needed for the files in them) and remote dirs are never
+ * deleted.
+ *
+ * Emits:
+ * - "upload" and "delete" events (`event`) for each object uploaded or
+ *   deleted, with `action`, `name`, `relpath`, `path` (the Manta path),
+ *   `localPath`, `size`, `etag`, and for uploads `mtime` (the local mtime),
+ *   `md5` and a `reason` ("new", "size differs" or "md5 differs");
+ * - "poll" (`group`) after each poll, where `group.events` are the events
+ *   from it, and with `dryRun` `group.plan` is the plan (see `_planPublish`);
+ * - "pollError" (`err`, `info`) and "error" (`err`) as for MantaDirWatcher.
+ *
+ * @param {String} opts.localDir: Required. The local dir to publish.
+ * @param {String} opts.dir: Required. The Manta dir to publish to.
+ * @param {Object} opts.backend: Optional. A storage backend (see
+ *      MantaDirWatcher) that also has `put(path, input, opts, cb)` and
+ *      `unlink(path, cb)`, as a node-manta client does. `client` and
+ *      `clientOpts` work as for MantaDirWatcher, else a node-manta client is
+ *      created from the `MANTA_*` envvars.
+ * @param {Number} opts.interval: Optional. Polling interval (in seconds).
+ *      Default is 60s.
+ * @param {Boolean} opts.fsWatch: Optional. Also poll (after a short delay,
+ *      to catch a burst of changes at once) when `fs.watch` reports a change
+ *      in `localDir` (or, if recursive, its subdirs).
+ * @param {Object} opts.filter: Optional. As for MantaDirWatcher, but only
+ *      the name and size filters apply (and `type`, which can only be
+ *      "object"). Other fields, e.g. `newerThan` or `fn`, are an error.
+ *      Objects whose name doesn't match the name filters are never deleted.
+ * @param {Boolean} opts.recursive: Optional. Also publish subdirectories.
+ * @param {Number} opts.maxDepth: Optional. With `recursive`, the maximum
+ *      number of directory levels below `localDir` to descend into.
+ * @param {Boolean} opts.publishDelete: Optional. Delete objects in `dir`
+ *      whose local file is gone.
+ * @param {Number} opts.maxDeletes: Optional. Refuse to publish a poll's
+ *      changes if it would delete more than this many objects.
+ * @param {Number} opts.maxDeletePercent: Optional. Refuse to publish a
+ *      poll's changes if it would delete more than this percentage of the
+ *      objects.
+ * @param {Boolean} opts.disablePublishDeleteGuard: Optional. Disable the
+ *      guard that refuses to delete objects when none of the local files
+ *      are in `dir`, i.e. when it looks like `localDir` is the wrong dir (or
+ *      is empty because, say, a disk isn't mounted).
+ * @param {String} opts.manifestFile: Optional. A local file in which to
+ *      persist the manifest of published files, so that unchanged local
+ *      files are not hashed again after a restart.
+ * @param {Object} opts.retry: Optional. The policy for retrying failed
+ *      polls, as for MantaDirWatcher.
+ * @param {Boolean} opts.oneShot: Optional. Do a single poll and then close.
+ * @param {Boolean} opts.dryRun: Optional. Don't upload or delete anything,
+ *      but add the `plan` of what publishing would do to each group.
+ * @param {Object} opts.log: Optional. Bunyan logger.
+ */
+function MantaDirPublisher(opts) {
+    var clientOpts;
+    var deleteLimits;
+    var filter;
+    var retry;
+    var unsupported;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.localDir, 'opts.localDir');
+    assert.string(opts.dir, 'opts.dir');
+    assert.optionalNumber(opts.interval, 'opts.interval');
+    assert.ok(typeof (opts.interval) !== 'number' || opts.interval > 0,
+        'opts.interval is not positive: ' + opts.interval);
+    assert.optionalBool(opts.fsWatch, 'opts.fsWatch');
+    assert.optionalObject(opts.filter, 'opts.filter');
+    unsupported = Object.keys(opts.filter || {}).filter(
+        function isUnsupported(field) {
+            return (PUBLISH_FILTER_FIELDS.indexOf(field) === -1
+                && typeof (opts.filter[field]) !== 'undefined');
+        });
+    assert.ok(unsupported.length === 0, format('opts.filter.%s is not '
+        + 'supported for publishing (only %s are)', unsupported.join(', '),
+        PUBLISH_FILTER_FIELDS.join(', ')));
+    filter = mod_filter.normalizeFilter(opts.filter);
+    assert.ok(!filter.type || filter.type === 'object',
+        'opts.filter.type can only be "object" for publishing');
+    assert.optionalBool(opts.recursive, 'opts.recursive');
+    assert.optionalNumber(opts.maxDepth, 'opts.maxDepth');
+    if (typeof (opts.maxDepth) === 'number') {
+        assert.ok(opts.recursive, 'opts.maxDepth requires opts.recursive');
+        assert.ok(opts.maxDepth >= 0,
+            'opts.maxDepth is negative: ' + opts.maxDepth);
+    }
+    assert.optionalBool(opts.publishDelete, 'opts.publishDelete');
+    deleteLimits = common.deleteLimitsFromOpts(opts);
+    assert.optionalBool(opts.disablePublishDeleteGuard,
+        'opts.disablePublishDeleteGuard');
+    assert.optionalString(opts.manifestFile, 'opts.manifestFile');
+    retry = common.retryFromOpts(opts.retry);
+    assert.optionalBool(opts.oneShot, 'opts.oneShot');
+    assert.optionalBool(opts.dryRun, 'opts.dryRun');
+    assert.optionalObject(opts.log, 'opts.log');
+
+    EventEmitter.call(this);
+
+    this.localDir = mod_path.resolve(opts.localDir);
+    this.dir = opts.dir.replace(/\/+$/, '');
+    this.log = (opts.log
+        ? opts.log.child({localDir: this.localDir, dir: this.dir}, true)
+        : bunyan.createLogger({name: 'manta-dir-publisher',
+            localDir: this.localDir, dir: this.dir}));
+    this.intervalMs = (opts.interval || DEFAULT_INTERVAL) * MS_PER_SEC;
+    this.fsWatch = Boolean(opts.fsWatch);
+    this.filter = filter;
+    this.recursive = Boolean(opts.recursive);
+    this.maxDepth = (typeof (opts.maxDepth) === 'number'
+        ? opts.maxDepth : null);
+    this.publishDelete = Boolean(opts.publishDelete);
+    this.maxDeletes = deleteLimits.maxDeletes;
+    this.maxDeletePercent = deleteLimits.maxDeletePercent;
+    this.disablePublishDeleteGuard = Boolean(opts.disablePublishDeleteGuard);
+    this.retry = retry;
+    this.oneShot = opts.oneShot;
+    this.dryRun = opts.dryRun;
+
+    if (opts.backend) {
+        assert.object(opts.backend, 'opts.backend');
+        ['ls', 'info', 'put', 'unlink', 'close'].forEach(
+            function assertMethod(method) {
+                assert.func(opts.backend[method],
+                    'opts.backend.' + method);
+            });
+        this.backend = opts.backend;
+        this._closeBackend = false;
+    } else if (opts.client) {
+        assert.object(opts.client, 'opts.client');
+        this.backend = opts.client;
+        this._closeBackend = false;
+    } else if (opts.clientOpts) {
+        assert.object(opts.clientOpts, 'opts.clientOpts');
+        assert.string(opts.clientOpts.url, 'opts.clientOpts.url');
+        assert.string(opts.clientOpts.user, 'opts.clientOpts.user');
+        clientOpts = objCopy(opts.clientOpts);
+        if (!clientOpts.log) {
+            clientOpts.log = this.log;
+        }
+        this.backend = manta.createClient(clientOpts);
+        this._closeBackend = true;
+    } else {
+        this.backend = common.createClientFromEnv(this.log);
+        this._closeBackend = true;
+    }
+
+    this._manifest = new LocalManifest({
+        localDir: this.localDir,
+        file: opts.manifestFile,
+        log: this.log
+    });
+    this._manifestLoaded = false;
+    // With `fsWatch`, the `fs.watch` watchers, keyed on local dir path.
+    this._fsWatchers = {};
+    this._fsWatchTimeout = null;
+    this._polling = false;
+    this._pollCbs = [];
+    this._pollAgain = null;
+    this._pollTimeout = null;
+    this._numPollFailures = 0;  // consecutive failures
+    this._closed = false;
+    this._closePromise = null;
+    this._closeResolve = null;
+    this._started = false;
+}
+util.inherits(MantaDirPublisher, EventEmitter);
+
+/*
+ * Start polling, with the first poll now. (Alternatively, use `pollOnce()`
+ * to poll on demand.)
+ */
+MantaDirPublisher.prototype.start = function start() {
+    assert.ok(!this._started, 'already started');
+
+    this._started = true;
+    this.poke();
+};
+
+/*
+ * Stop polling. This returns a Promise that resolves when any in-progress
+ * poll (and its uploads) has finished.
+ */
+MantaDirPublisher.prototype.close = function close() {
+    var self = this;
+
+    if (self._closePromise) {
+        return self._closePromise;
+    }
+
+    self._closed = true;
+    if (self._pollTimeout) {
+        clearTimeout(self._pollTimeout);
+        self._pollTimeout = null;
+    }
+    if (self._fsWatchTimeout) {
+        clearTimeout(self._fsWatchTimeout);
+        self._fsWatchTimeout = null;
+    }
+    Object.keys(self._fsWatchers).forEach(function closeWatcher(path) {
+        self._fsWatchers[path].close();
+    });
+    self._fsWatchers = {};
+    self._closePromise = new Promise(function onClose(resolve) {
+        self._closeResolve = resolve;
+    });
+    if (!self._polling) {
+        self._finishClose();
+    }
+    return self._closePromise;
+};
+
+MantaDirPublisher.prototype._finishClose = function _finishClose() {
+    if (!this._closeResolve) {
+        return;
+    }
+    if (this._closeBackend) {
+        this.backend.close();
+    }
+    this.log.trace('closed');
+    this.emit('end');
+    this._closeResolve();
+    this._closeResolve = null;
+};
+
+/*
+ * Poke this publisher to poll now, rather than waiting for the coming
+ * poll interval.
+ */
+MantaDirPublisher.prototype.poke = function poke() {
+    var self = this;
+
+    if (self._pollTimeout) {
+        clearTimeout(self._pollTimeout);
+        self._pollTimeout = null;
+    }
+    setImmediate(function pokeIt() {
+        self._poll();
+    });
+};
+
+/*
+ * Poll now, returning a Promise of the poll's group.
+ */
+MantaDirPublisher.prototype.pollOnce = function pollOnce() {
+    var self = this;
+
+    return new Promise(function pollIt(resolve, reject) {
+        self._poll(function onPolled(err, group) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(group);
+            }
+        });
+    });
+};
+
+MantaDirPublisher.prototype._scheduleNextPoll = function _scheduleNextPoll() {
+    var self = this;
+
+    if (!self._started || self._closed) {
+        return;
+    }
+    if (self._pollTimeout) {
+        clearTimeout(self._pollTimeout);
+    }
+    self._pollTimeout = setTimeout(function nextPoll() {
+        self._pollTimeout = null;
+        self._poll();
+    }, self.intervalMs);
+    self.log.trace({delay: self.intervalMs}, 'schedule next poll');
+};
+
+/*
+ * Whether, when walking dirs, to descend into the subdirs of a dir at the
+ * given depth below `localDir` (or `dir`).
+ */
+MantaDirPublisher.prototype._descendsBelow = function _descendsBelow(depth) {
+    return (this.recursive
+        && (this.maxDepth === null || depth < this.maxDepth));
+};
+
+/*
+ * Poll: compare the local files to the listing of `dir`, then upload and
+ * delete (or, with `dryRun`, plan to). As for MantaDirWatcher, polls never
+ * overlap, and if `cb` is given it is called with `(err, group)`.
+ */
+MantaDirPublisher.prototype._poll = function _poll(cb) {
+    var self = this;
+    var log = self.log;
+    var context;
+
+    if (self._polling) {
+        self._pollAgain = (self._pollAgain || []).concat(cb ? [cb] : []);
+        return;
+    }
+    if (self._closed) {
+        if (cb) {
+            setImmediate(cb, new Error('publisher is closed'));
+        }
+        return;
+    }
+
+    self._polling = true;
+    self._pollCbs = (cb ? [cb] : []);
+    if (self._pollTimeout) {
+        clearTimeout(self._pollTimeout);
+        self._pollTimeout = null;
+    }
+    context = {
+        localFiles: {},     // relpath -> stat, for files to publish
+        localTypes: {},     // relpath -> "file" or "directory", for all
+        localDirs: [],
+        remoteObjects: {},  // relpath -> dirent
+        remoteDirs: {},
+        uploads: [],
+        deletes: [],
+        skips: [],
+        numNameMatches: 0,
+        guardErrors: [],
+        events: [],
+        group: null
+    };
+
+    /*
+     * A publish guard has failed. That fails the poll, unless this is a
+     * dry-run, in which case it is noted in the plan.
+     */
+    function guardFailed(err, next) {
+        if (self.dryRun) {
+            log.info({err: err}, 'dry-run: publish guard would fail');
+            context.guardErrors.push(err.message);
+            next();
+            return;
+        }
+        next(err);
+    }
+
+    vasync.pipeline({arg: context, funcs: [
+        function loadManifest(arg, next) {
+            if (self._manifestLoaded) {
+                next();
+                return;
+            }
+            self._manifest.load(function onLoaded(err) {
+                if (!err) {
+                    self._manifestLoaded = true;
+                }
+                next(err);
+            });
+        },
+
+        /*
+         * Collect the local files (and, if recursive, those in subdirs).
+         * Files are published if they match the name and size filters, but
+         * all local names count when deciding which objects to delete.
+         */
+        function walkLocalDir(arg, next) {
+            var dirs = [{relpath: null, depth: 0}];
+
+            // Note the local file (or dir) `name` in the dir `d`.
+            function statOne(d, name, nextName) {
+                var relpath = (d.relpath ? d.relpath + '/' + name : name);
+                var path = mod_path.join(self.localDir, relpath);
+
+                if (isTmpName(name)) {
+                    nextName();
+                    return;
+                }
+                fs.stat(path, function onStat(statErr, stat) {
+                    var isDir;
+
+                    if (statErr) {
+                        // Removed since the readdir: skip it.
+                        nextName(statErr.code === 'ENOENT' ? null : statErr);
+                        return;
+                    }
+                    isDir = stat.isDirectory();
+                    arg.localTypes[relpath] = (isDir ? 'directory' : 'file');
+                    if (isDir && self._descendsBelow(d.depth)) {
+                        dirs.push({relpath: relpath, depth: d.depth + 1});
+                    }
+                    if (stat.isFile() && mod_filter.localFileMatchesFilter(
+                            self.filter, name, stat)) {
+                        arg.localFiles[relpath] = stat;
+                    }
+                    nextName();
+                });
+            }
+
+            function readNextDir() {
+                var d = dirs.shift();
+                var dirPath;
+
+                if (!d) {
+                    log.trace({numLocalFiles:
+                        Object.keys(arg.localFiles).length},
+                        'walked local dir');
+                    next();
+                    return;
+                }
+
+                dirPath = (d.relpath
+                    ? mod_path.join(self.localDir, d.relpath) : self.localDir);
+                fs.readdir(dirPath, function onReaddir(err, names) {
+                    if (err) {
+                        // A subdir may have been removed since it was read.
+                        if (err.code === 'ENOENT' && d.relpath) {
+                            readNextDir();
+                            return;
+                        }
+                        next(err);
+                        return;
+                    }
+                    arg.localDirs.push(dirPath);
+
+                    vasync.forEachPipeline({
+                        inputs: names,
+                        func: function statName(name, nextName) {
+                            statOne(d, name, nextName);
+                        }
+                    }, function onStatted(statErr) {
+                        if (statErr) {
+                            next(statErr);
+                            return;
+                        }
+                        readNextDir();
+                    });
+                });
+            }
+
+            readNextDir();
+        },
+
+        function updateFsWatchers(arg, next) {
+            if (self.fsWatch) {
+                self._updateFsWatchers(arg.localDirs);
+            }
+            next();
+        },
+
+        /*
+         * List `dir` (and, if recursive, its subdirs). A missing `dir` is
+         * just empty: uploads create it.
+         */
+        function listRemoteDir(arg, next) {
+            var dirs = [{path: self.dir, relpath: null, depth: 0}];
+
+            function lsNextDir() {
+                var d = dirs.shift();
+
+                function handleDirent(dirent) {
+                    dirent.relpath = (d.relpath
+                        ? d.relpath + '/' + dirent.name : dirent.name);
+                    if (dirent.type !== 'directory') {
+                        arg.remoteObjects[dirent.relpath] = dirent;
+                        return;
+                    }
+                    arg.remoteDirs[dirent.relpath] = true;
+                    if (self._descendsBelow(d.depth)) {
+                        dirs.push({
+                            path: d.path + '/' + dirent.name,
+                            relpath: dirent.relpath,
+                            depth: d.depth + 1
+                        });
+                    }
+                }
+
+                if (!d) {
+                    log.trace({numRemoteObjects:
+                        Object.keys(arg.remoteObjects).length},
+                        'listed remote dir');
+                    next();
+                    return;
+                }
+
+                self.backend.ls(d.path, function onLs(err, res) {
+                    if (err) {
+                        if (err.statusCode === HTTP_NOT_FOUND) {
+                            lsNextDir();
+                            return;
+                        }
+                        next(err);
+                        return;
+                    }
+
+                    res.on('object', handleDirent);
+                    res.on('directory', handleDirent);
+                    res.once('error', next);
+                    res.once('end', function onEnd() {
+                        lsNextDir();
+                    });
+                });
+            }
+
+            lsNextDir();
+        },
+
+        /*
+         * Objects (matching the name filter) with no local file are
+         * deletes. Deletes go first, so that an object can be replaced by a
+         * dir of the same name in the same poll.
+         */
+        function findDeletes(arg, next) {
+            function findDelete(relpath) {
+                var dirent = arg.remoteObjects[relpath];
+
+                if (arg.localTypes[relpath]) {
+                    arg.numNameMatches++;
+                    if (arg.localTypes[relpath] === 'file') {
+                        return;
+                    }
+                }
+                if (!mod_filter.nameMatchesFilter(self.filter, dirent.name)) {
+                    return;
+                }
+                if (self.publishDelete) {
+                    arg.deletes.push(dirent);
+                } else {
+                    arg.skips.push({relpath: relpath,
+                        reason: 'publishDelete off'});
+                }
+            }
+
+            Object.keys(arg.remoteObjects).sort().forEach(findDelete);
+            next();
+        },
+
+        /*
+         * Find the local files to upload: those with no object, or whose
+         * object differs by size or else by MD5.
+         */
+        function findUploads(arg, next) {
+            var deleted = {};
+
+            arg.deletes.forEach(function noteDeleted(dirent) {
+                deleted[dirent.relpath] = true;
+            });
+
+            // The relpath of an object (not being deleted) in the way of
+            // the given relpath's parent dirs, if any.
+            function objectInTheWay(relpath) {
+                var parts = relpath.split('/');
+                var i;
+                var parent;
+
+                for (i = 1; i < parts.length; i++) {
+                    parent = parts.slice(0, i).join('/');
+                    if (arg.remoteObjects[parent] && !deleted[parent]) {
+                        return parent;
+                    }
+                }
+                return null;
+            }
+
+            vasync.forEachPipeline({
+                inputs: Object.keys(arg.localFiles).sort(),
+                func: function checkLocalFile(relpath, nextFile) {
+                    var stat = arg.localFiles[relpath];
+                    var dirent = arg.remoteObjects[relpath];
+                    var inTheWay = objectInTheWay(relpath);
+                    var entry;
+
+                    function onCompared(err, md5) {
+                        if (md5) {
+                            arg.uploads.push({relpath: relpath, stat: stat,
+                                md5: md5, reason: 'md5 differs'});
+                        }
+                        nextFile(err);
+                    }
+
+                    if (arg.remoteDirs[relpath]) {
+                        arg.skips.push({relpath: relpath,
+                            reason: 'remote is a directory'});
+                        nextFile();
+                        return;
+                    } else if (inTheWay) {
+                        arg.skips.push({relpath: relpath, reason: format(
+                            'remote "%s" is an object', inTheWay)});
+                        nextFile();
+                        return;
+                    } else if (!dirent) {
+                        arg.uploads.push({relpath: relpath, stat: stat,
+                            reason: 'new'});
+                        nextFile();
+                        return;
+                    } else if (dirent.size !== stat.size) {
+                        arg.uploads.push({relpath: relpath, stat: stat,
+                            reason: 'size differs'});
+                        nextFile();
+                        return;
+                    }
+
+                    /*
+                     * Only check the content (hashing the local file, and
+                     * an `info` call) if it may have changed on either side
+                     * since the last check.
+                     */
+                    entry = self._manifest.get(relpath);
+                    if (entry && entry.etag === dirent.etag
+                        && self._manifest.statMatches(entry, stat)) {
+                        nextFile();
+                        return;
+                    }
+                    self._compareMd5(relpath, stat, dirent, onCompared);
+                }
+            }, function onChecked(err) {
+                log.trace({numUploads: arg.uploads.length,
+                    numDeletes: arg.deletes.length,
+                    numSkips: arg.skips.length}, 'compared local files');
+                next(err);
+            });
+        },
+
+        /*
+         * As with the sync-delete-guard for MantaDirWatcher: bail if
+         * objects would be deleted and none of the local files are in
+         * `dir`, i.e. there is no sign that `localDir` isn't an accident.
+         */
+        function publishDeleteGuard(arg, next) {
+            if (arg.deletes.length === 0 || arg.numNameMatches > 0
+                || self.disablePublishDeleteGuard) {
+                next();
+                return;
+            }
+
+            guardFailed(new Error(format('publish-delete-guard failure: '
+                + 'Are you sure localDir="%s" is correct for publishing to '
+                + 'dir="%s"; %d object%s (%s) would be deleted and there are '
+                + 'no filename matches between "localDir" and "dir" to '
+                + 'indicate localDir is correct. (Use the '
+                + '"disablePublishDeleteGuard" option to override this '
+                + 'guard.)', self.localDir, self.dir, arg.deletes.length,
+                (arg.deletes.length === 1 ? '' : 's'),
+                arg.deletes.map(function getRelpath(dirent) {
+                    return dirent.relpath;
+                }).join(', '))), next);
+        },
+
+        function publishDeleteLimitGuard(arg, next) {
+            var limitErr;
+
+            if (self.maxDeletes === null && self.maxDeletePercent === null) {
+                next();
+                return;
+            }
+
+            limitErr = common.checkDeleteLimits({
+                guard: 'publish-delete-limit',
+                noun: 'object',
+                numDeletes: arg.deletes.length,
+                numTotal: Object.keys(arg.remoteObjects).length,
+                maxDeletes: self.maxDeletes,
+                maxDeletePercent: self.maxDeletePercent
+            });
+
+            if (limitErr) {
+                guardFailed(limitErr, next);
+                return;
+            }
+            next();
+        },
+
+        function deleteObjects(arg, next) {
+            if (self.dryRun) {
+                next();
+                return;
+            }
+
+            vasync.forEachPipeline({
+                inputs: arg.deletes,
+                func: function deleteOne(dirent, nextDirent) {
+                    var path = self.dir + '/' + dirent.relpath;
+
+                    log.debug({path: path}, 'delete object');
+                    self.backend.unlink(path, function onUnlink(err) {
+                        // Already gone is fine.
+                        if (err && err.statusCode !== HTTP_NOT_FOUND) {
+                            nextDirent(new VError(err,
+                                'could not delete "%s"', path));
+                            return;
+                        }
+                        self._manifest.remove(dirent.relpath);
+                        arg.events.push(self._event('delete', dirent.relpath,
+                            {size: dirent.size, etag: dirent.etag}));
+                        nextDirent();
+                    });
+                }
+            }, function onDeleted(err) {
+                next(err);
+            });
+        },
+
+        function uploadFiles(arg, next) {
+            if (self.dryRun) {
+                next();
+                return;
+            }
+
+            vasync.forEachPipeline({
+                inputs: arg.uploads,
+                func: function uploadOne(upload, nextUpload) {
+                    self._upload(upload, function onUpload(err, event) {
+                        if (event) {
+                            arg.events.push(event);
+                        }
+                        nextUpload(err);
+                    });
+                }
+            }, function onUploaded(err) {
+                next(err);
+            });
+        },
+
+        function saveManifest(arg, next) {
+            self._manifest.prune(function isLocalFile(relpath) {
+                return Boolean(arg.localFiles[relpath]);
+            });
+            self._manifest.save(next);
+        },
+
+        function emitEventsAndScheduleNextPoll(arg, next) {
+            arg.group = {events: arg.events};
+            if (self.dryRun) {
+                arg.group.plan = self._planPublish(arg);
+            }
+            self._numPollFailures = 0;
+
+            arg.events.forEach(function emitEvent(event) {
+                self.emit(event.action, event);
+            });
+            self.emit('poll', arg.group);
+            if (self.oneShot) {
+                self.close();
+            } else if (!self._pollAgain) {
+                self._scheduleNextPoll();
+            }
+            next();
+        }
+
+    ]}, function finishPoll(err) {
+        var cbs = self._pollCbs;
+        var again = self._pollAgain;
+
+        log.trace({err: err}, '_poll: end');
+        self._polling = false;
+        self._pollCbs = [];
+        self._pollAgain = null;
+
+        if (err && cbs.length > 0) {
+            // A `pollOnce()` failure goes to the caller. Carry on polling.
+            if (!again) {
+                self._scheduleNextPoll();
+            }
+        } else if (err) {
+            self._handlePollError(err);
+        }
+        cbs.forEach(function callPollCb(pollCb) {
+            pollCb(err, (err ? null : context.group));
+        });
+
+        if (again && again.length === 0) {
+            self._poll();
+        } else if (again) {
+            self._poll(function onPollAgain(againErr, group) {
+                again.forEach(function callAgainCb(pollCb) {
+                    pollCb(againErr, group);
+                });
+            });
+        }
+        if (self._closed && !self._polling) {
+            self._finishClose();
+        }
+    });
+};
+
+/*
+ * Compare the MD5 of the given local file to that of its object. Calls back
+ * with `(err, md5)`, where `md5` is the local file's MD5 if it differs, else
+ * null (and the manifest is updated).
+ */
+MantaDirPublisher.prototype._compareMd5 = function _compareMd5(relpath, stat,
+    dirent, cb) {
+    var self = this;
+    var entry = self._manifest.get(relpath);
+    var path = self.dir + '/' + relpath;
+
+    self._manifest.localMd5(relpath, stat, function onLocalMd5(err, localMd5) {
+        function compare(remoteMd5) {
+            if (remoteMd5 !== localMd5) {
+                self.log.trace({relpath: relpath, md5: remoteMd5,
+                    localMd5: localMd5}, 'compareMd5: md5 diff');
+                cb(null, localMd5);
+                return;
+            }
+            self._manifest.set(relpath, {etag: dirent.etag,
+                size: dirent.size, md5: localMd5}, stat);
+            cb(null, null);
+        }
+
+        if (err) {
+            cb(err);
+            return;
+        }
+        // The same etag as last time means the same content.
+        if (entry && entry.etag === dirent.etag) {
+            compare(entry.md5);
+            return;
+        }
+        self.backend.info(path, function onInfo(infoErr, info) {
+            if (infoErr) {
+                cb(infoErr);
+                return;
+            }
+            compare(info.md5);
+        });
+    });
+};
+
+/*
+ * Upload the given local file. If the file changed while it was being
+ * uploaded, the upload fails (the content doesn't match the MD5 it was
+ * sent with) and is skipped: it is uploaded again on the next poll. Calls
+ * back with `(err, event)`, where `event` is null if skipped.
+ */
+MantaDirPublisher.prototype._upload = function _upload(upload, cb) {
+    var self = this;
+    var relpath = upload.relpath;
+    var stat = upload.stat;
+    var localPath = mod_path.join(self.localDir, relpath);
+    var path = self.dir + '/' + relpath;
+    var md5 = upload.md5;
+
+    function changedSince(cb2) {
+        fs.stat(localPath, function onStat(err, newStat) {
+            cb2(Boolean(err) || newStat.size !== stat.size
+                || newStat.mtime.getTime() !== stat.mtime.getTime());
+        });
+    }
+
+    function put() {
+        var input = fs.createReadStream(localPath);
+        var etag;
+
+        self.log.debug({path: path, localPath: localPath, size: stat.size,
+            reason: upload.reason}, 'upload file');
+        self.backend.put(path, input, {
+            size: stat.size,
+            md5: md5,
+            mkdirs: true
+        }, function onPut(err, res) {
+            if (err) {
+                changedSince(function onChecked(changed) {
+                    if (changed) {
+                        self.log.info({err: err, path: path},
+                            'local file changed during upload, skipping '
+                            + 'it until the next poll');
+                        cb(null, null);
+                        return;
+                    }
+                    cb(new VError(err, 'could not upload "%s" to "%s"',
+                        localPath, path));
+                });
+                return;
+            }
+            if (res && res.headers && res.headers.etag) {
+                etag = res.headers.etag;
+                self._manifest.set(relpath, {etag: etag, size: stat.size,
+                    md5: md5}, stat);
+            }
+            cb(null, self._event('upload', relpath, {
+                size: stat.size,
+                etag: etag,
+                mtime: stat.mtime.toISOString(),
+                md5: md5,
+                reason: upload.reason
+            }));
+        });
+    }
+
+    if (md5) {
+        put();
+        return;
+    }
+    self._manifest.localMd5(relpath, stat, function onLocalMd5(err, localMd5) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        md5 = localMd5;
+        put();
+    });
+};
+
+MantaDirPublisher.prototype._event = function _event(action, relpath, fields) {
+    var event = {
+        timeEvent: new Date().toISOString(),
+        action: action,
+        name: mod_path.basename(relpath),
+        relpath: relpath,
+        path: this.dir + '/' + relpath,
+        localPath: mod_path.join(this.localDir, relpath),
+        type: 'object'
+    };
+
+    Object.keys(fields).forEach(function addField(k) {
+        if (typeof (fields[k]) !== 'undefined') {
+            event[k] = fields[k];
+        }
+    });
+    return event;
+};
+
+/*
+ * With `dryRun`, the plan of what publishing would do, in the form of a
+ * MantaDirWatcher sync plan:
+ *
+ * - `actions`: an array of `{action, relpath, path, localPath}` where
+ *   `action` is one of "upload" (with the `size` and a `reason`: "new",
+ *   "size differs" or "md5 differs"), "delete" or "skip" (with a `reason`,
+ *   e.g. "publishDelete off");
+ * - `errors`: the messages of guards that would have failed the poll;
+ * - `totals`: the number of each action, and `uploadBytes`;
+ * - `inSync`: true if there is nothing to do (skips aside) and no errors.
+ */
+MantaDirPublisher.prototype._planPublish = function _planPublish(context) {
+    var self = this;
+    var actions = [];
+    var totals = {upload: 0, uploadBytes: 0, delete: 0, skip: 0};
+
+    function add(action, relpath, fields) {
+        var entry = {
+            action: action,
+            relpath: relpath,
+            path: self.dir + '/' + relpath,
+            localPath: mod_path.join(self.localDir, relpath)
+        };
+
+        Object.keys(fields || {}).forEach(function addField(k) {
+            entry[k] = fields[k];
+        });
+        actions.push(entry);
+        totals[action]++;
+    }
+
+    context.deletes.forEach(function addDelete(dirent) {
+        add('delete', dirent.relpath);
+    });
+    context.uploads.forEach(function addUpload(upload) {
+        add('upload', upload.relpath,
+            {size: upload.stat.size, reason: upload.reason});
+        totals.uploadBytes += upload.stat.size;
+    });
+    context.skips.forEach(function addSkip(skip) {
+        add('skip', skip.relpath, {reason: skip.reason});
+    });
+
+    return {
+        actions: actions,
+        errors: context.guardErrors,
+        totals: totals,
+        inSync: (context.guardErrors.length === 0
+            && actions.every(function isSkip(a) {
+                return (a.action === 'skip');
+            }))
+    };
+};
+
+/*
+ * With `fsWatch`, watch the given local dirs (and stop watching any others)
+ * for changes, polling shortly after one.
+ */
+MantaDirPublisher.prototype._updateFsWatchers = function _updateFsWatchers(
+    dirPaths) {
+    var self = this;
+
+    function onChange() {
+        if (self._fsWatchTimeout || !self._started || self._closed) {
+            return;
+        }
+        self._fsWatchTimeout = setTimeout(function pokeAfterChange() {
+            self._fsWatchTimeout = null;
+            self.poke();
+        }, FS_WATCH_DELAY_MS);
+    }
+
+    Object.keys(self._fsWatchers).forEach(function unwatchDir(dirPath) {
+        if (dirPaths.indexOf(dirPath) === -1) {
+            self._fsWatchers[dirPath].close();
+            delete self._fsWatchers[dirPath];
+        }
+    });
+    dirPaths.forEach(function watchDir(dirPath) {
+        var watcher;
+
+        if (self._fsWatchers[dirPath]) {
+            return;
+        }
+        try {
+            watcher = fs.watch(dirPath, onChange);
+        } catch (err) {
+            self.log.warn({err: err, dirPath: dirPath},
+                'could not fs.watch dir, relying on polling');
+            return;
+        }
+        // E.g. the dir was removed. It is watched again if it comes back.
+        watcher.on('error', function onWatchError(err) {
+            self.log.debug({err: err, dirPath: dirPath}, 'fs.watch error');
+            watcher.close();
+            if (self._fsWatchers[dirPath] === watcher) {
+                delete self._fsWatchers[dirPath];
+            }
+        });
+        self._fsWatchers[dirPath] = watcher;
+    });
+};
+
+/*
+ * Retry a failed poll with backoff, per the `retry` policy, as for
+ * MantaDirWatcher.
+ */
+MantaDirPublisher.prototype._handlePollError = function _handlePollError(err) {
+    var self = this;
+    var r = common.pollRetry(self.retry, err, ++self._numPollFailures);
+    var delay = r.retryDelay;
+
+    self.log.warn({err: err, attempt: r.attempt, retryable: r.retryable,
+        retryDelay: delay}, 'poll failed');
+    self.emit('pollError', err, {
+        attempt: r.attempt,
+        retryable: r.retryable,
+        retryDelay: delay
+    });
+
+    if (self._closed) {
+        return;
+    }
+    if (r.giveUpErr) {
+        self.emit('error', r.giveUpErr);
+        return;
+    }
+
+    self._pollTimeout = setTimeout(function retryPoll() {
+        self._pollTimeout = null;
+        self._poll();
+    }, delay);
+    self.log.trace({delay: delay}, 'schedule poll retry');
+};
+
+
+// ---- exports
+
+module.exports = MantaDirPublisher;
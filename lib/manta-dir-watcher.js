@@ -12,6 +12,9 @@
 
 var assert = require('assert-plus');
 var bunyan = require('bunyan');
+var common = require('./common');
+var mod_filter = require('./filter');
+var mod_schedule = require('./schedule');
 var crypto = require('crypto');
 var fs = require('fs');
 var manta = require('manta');
@@ -21,41 +24,108 @@ var Readable = require('stream').Readable;
 var rimraf = require('rimraf');
 var util = require('util');
 var vasync = require('vasync');
+var VError = require('verror').VError;
 var vstream = require('vstream');
 
+var LocalDirBackend = require('./local-dir-backend');
+var EventServer = require('./event-server');
+var LocalManifest = require('./local-manifest');
+var MantaDirPublisher = require('./manta-dir-publisher');
+var MetricsServer = require('./metrics-server').MetricsServer;
+var validators = require('./validators');
+var WebhookSink = require('./webhook-sink');
+
 
 // ---- globals/consts
 
 var format = util.format;
+var backoffDelay = common.backoffDelay;
+var createClientFromEnv = common.createClientFromEnv;
+var isRetryableError = common.isRetryableError;
+var objCopy = common.objCopy;
+
+// Bump this if the state file format changes incompatibly.
+var STATE_FILE_VERSION = 2;
 
-var FILTER_TYPES = [
-    'object',
-    'directory'
+var SYNC_MODES = [
+    'inplace',  // sync each file into `syncDir` as it is downloaded
+    'snapshot'  // build a new versioned dir per poll, then flip "current"
 ];
 
+/*
+ * How to handle a local entry of the other type (a file where the remote is
+ * a directory, or vice versa) when syncing in place.
+ */
+var SYNC_TYPE_CONFLICTS = [
+    'replace',  // remove the local entry (as for a delete), then sync
+    'keep',     // leave the local entry, and don't sync the remote one
+    'error'     // fail the sync
+];
 
-// ---- support stuff
+// Names used under `syncDir` in "snapshot" sync mode.
+var SNAPSHOTS_DIR = 'snapshots';
+var CURRENT_LINK = 'current';
+var DEFAULT_SYNC_SNAPSHOTS = 3;
+
+// Snapshot (and trash) dir names made in the same millisecond get a
+// sequence suffix of this many digits (see `snapshotName`).
+var SNAPSHOT_SEQ_WIDTH = 3;
+var lastSnapshotName = null;
+var numSameSnapshotNames = 0;
+
+// Failed downloads are retried this many times (with backoff) by default.
+var DEFAULT_SYNC_RETRIES = 3;
+
+var DEFAULT_SYNC_TRASH_MAX_AGE = 604800;  // seconds (a week)
+
+var DEFAULT_INTERVAL = 60;  // seconds
+// With `maxInterval`, the interval is multiplied by this after each quiet
+// poll.
+var ADAPTIVE_INTERVAL_FACTOR = 2;
+// The default `jitter` with `maxInterval` or `schedule`.
+var DEFAULT_JITTER = 0.1;
+// An interval is varied by up to `jitter` either way, i.e. over a range of
+// twice that.
+var JITTER_SPREAD = 2;
+var MINUTE_MS = 60000;
+
+var MS_PER_SEC = 1000;
+var HTTP_NOT_FOUND = 404;
+
+// Upper bounds (in seconds) of the `getStats()` poll duration histogram
+// buckets.
+var TENTH_SEC = 0.1;
+var HALF_SEC = 0.5;
+var FIVE_SECS = 5;
+var TEN_SECS = 10;
+var HALF_MIN_SECS = 30;
+var MIN_SECS = 60;
+var FIVE_MIN_SECS = 300;
+var POLL_DURATION_BUCKETS = [TENTH_SEC, HALF_SEC, 1, FIVE_SECS, TEN_SECS,
+    HALF_MIN_SECS, MIN_SECS, FIVE_MIN_SECS];
+
+var EVENT_ACTIONS = ['create', 'update', 'delete', 'rename', 'repair'];
+
+// The conditions for `waitFor()`.
+var WAIT_FOR_ACTIONS = ['create', 'update', 'delete', 'exists'];
+
+// The object headers tracked by `watchMetadata`: those that can change
+// without the content changing (e.g. with `mchattr`).
+var METADATA_HEADERS = [
+    'cache-control',
+    'content-disposition',
+    'content-encoding',
+    'content-language',
+    'content-type',
+    'durability-level'
+];
+var METADATA_HEADER_PREFIXES = ['access-control-', 'm-'];
 
-function regexpEscape(s) {
-    return s.replace(/[\\^$+?.()|[\]{}]/g, '\\$&');
-}
+// The JSON indent of `metadataSidecar` files.
+var SIDECAR_INDENT = 4;
 
-function regexpFromGlob(s) {
-    return new RegExp(
-        '^'
-        + regexpEscape(s).replace(/\?/g, '.').replace(/\*/g, '.*')
-        + '$');
-}
 
-function objCopy(obj, target) {
-    if (!target) {
-        target = {};
-    }
-    Object.keys(obj).forEach(function (k) {
-        target[k] = obj[k];
-    });
-    return target;
-}
+// ---- support stuff
 
 /**
  * Calculate and return the diff between two Manta dirents.
@@ -63,7 +133,8 @@ function objCopy(obj, target) {
 function diffDirents(a, b) {
     var isDiff = false;
     var diff = {};
-    ['type', 'etag'].forEach(function (attr) {
+
+    ['type', 'etag'].forEach(function diffAttr(attr) {
         if (a[attr] !== b[attr]) {
             diff[attr] = [a[attr], b[attr]];
             isDiff = true;
@@ -73,12 +144,188 @@ function diffDirents(a, b) {
 }
 
 
+/*
+ * The tracked (see METADATA_HEADERS) headers from an object's headers, with
+ * lowercase names.
+ */
+function metadataFromHeaders(headers) {
+    var metadata = {};
+    var lheaders = {};
+
+    Object.keys(headers).forEach(function lowercaseHeader(name) {
+        lheaders[name.toLowerCase()] = headers[name];
+    });
+    Object.keys(lheaders).sort().forEach(function trackHeader(name) {
+        var tracked = (METADATA_HEADERS.indexOf(name) !== -1
+            || METADATA_HEADER_PREFIXES.some(function hasPrefix(prefix) {
+                return (name.indexOf(prefix) === 0);
+            }));
+
+        if (tracked) {
+            metadata[name] = lheaders[name];
+        }
+    });
+    return metadata;
+}
+
+/*
+ * The per-header diff of two objects' tracked headers: a map of header name
+ * to `[<old value>, <new value>]` (`null` for a missing header), or null if
+ * they are the same.
+ */
+function diffMetadata(a, b) {
+    var isDiff = false;
+    var diff = {};
+    var names = Object.keys(a).concat(Object.keys(b)).sort();
+
+    names.forEach(function diffHeader(name) {
+        var aValue = (typeof (a[name]) === 'undefined' ? null : a[name]);
+        var bValue = (typeof (b[name]) === 'undefined' ? null : b[name]);
+
+        if (aValue !== bValue && !diff[name]) {
+            diff[name] = [aValue, bValue];
+            isDiff = true;
+        }
+    });
+    return (isDiff ? diff : null);
+}
+
+/*
+ * Is this an update of just an object's headers (no content to sync)?
+ */
+function isMetadataOnlyChange(change) {
+    return (change.action === 'update'
+        && typeof (change.diff.headers) !== 'undefined'
+        && Object.keys(change.diff).length === 1);
+}
+
+/*
+ * The relpath of the `metadataSidecar` file for the given relpath:
+ * ".$name.meta.json" in the same dir.
+ */
+function sidecarRelpath(relpath) {
+    var slash = relpath.lastIndexOf('/');
+
+    return relpath.slice(0, slash + 1) + '.' + relpath.slice(slash + 1)
+        + '.meta.json';
+}
+
+function isSidecarName(name) {
+    return (/^\..+\.meta\.json$/).test(name);
+}
+
+
+/*
+ * The watcher state (the dirents seen by the last poll) is kept compact so
+ * that dirs of hundreds of thousands of entries can be watched: a map of
+ * relpath to "d" for a directory, or "ETAG SIZE" for an object. This is just
+ * enough to detect changes and to report the last known etag and size.
+ */
+function stateEntryFromDirent(dirent) {
+    if (dirent.type === 'directory') {
+        return 'd';
+    }
+    return (dirent.etag || '') + ' ' + dirent.size;
+}
+
+
+/*
+ * A name for a new snapshot dir that sorts by creation time, e.g.
+ * "20160629T233459.939Z". Names are unique in this process: a name made
+ * in the same millisecond as the last one gets a sequence suffix, e.g.
+ * "20160629T233459.939Z-001".
+ */
+function snapshotName(date) {
+    var name = date.toISOString().replace(/[-:]/g, '');
+    var seq;
+
+    if (name !== lastSnapshotName) {
+        lastSnapshotName = name;
+        numSameSnapshotNames = 0;
+        return name;
+    }
+    numSameSnapshotNames++;
+    seq = String(numSameSnapshotNames);
+    while (seq.length < SNAPSHOT_SEQ_WIDTH) {
+        seq = '0' + seq;
+    }
+    return name + '-' + seq;
+}
+
+
+/*
+ * Copy the file or dir tree at `src` to `dst`, preserving modes.
+ */
+function copyTree(src, dst, cb) {
+    var finished = false;
+
+    function finish(err) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        cb(err);
+    }
+
+    fs.lstat(src, function onLstat(statErr, stat) {
+        var input;
+        var output;
+
+        if (statErr) {
+            finish(statErr);
+            return;
+        }
+        if (stat.isDirectory()) {
+            fs.readdir(src, function onReaddir(readErr, names) {
+                if (readErr) {
+                    finish(readErr);
+                    return;
+                }
+                mkdirp(dst, stat.mode, function onMkdirp(mkdirErr) {
+                    if (mkdirErr) {
+                        finish(mkdirErr);
+                        return;
+                    }
+                    vasync.forEachPipeline({
+                        inputs: names,
+                        func: function copyOne(name, next) {
+                            copyTree(mod_path.join(src, name),
+                                mod_path.join(dst, name), next);
+                        }
+                    }, function onCopied(err) {
+                        finish(err);
+                    });
+                });
+            });
+            return;
+        }
+
+        input = fs.createReadStream(src);
+        output = fs.createWriteStream(dst, {mode: stat.mode});
+        input.once('error', finish);
+        output.once('error', finish);
+        output.once('finish', function onFinish() {
+            finish();
+        });
+        input.pipe(output);
+    });
+}
+
+
 // ---- MantaDirWatcher class
 
 /*
  * Create for a new Manta dir watcher (a readable stream).
  * The polling process is started in `nextTick`.
  *
+ * Besides "data" events with each group of events, the watcher emits an
+ * event per change, named for the action, e.g.:
+ *
+ *      watcher.on('create', function (evt) { ... });
+ *
+ * Alternatively, `pollOnce()` and (with node 10 or later)
+ * `for await (const group of watcher)` give a Promise-based API.
+ *
  * If no `clientOpts` are passed in, then the usual `MANTA_*` envvars are used:
  *
  *      var watcher = new MantaDirWatcher({dir: '~~/stor/tmp'});
@@ -106,53 +353,307 @@ function diffDirents(a, b) {
  *          dir: '~~/stor/tmp'
  *      });
  *
+ * Or any other storage "backend". A backend is an object with the subset
+ * of the node-manta client API used by the watcher (so a node-manta client
+ * *is* a backend):
+ *
+ * - `ls(dir, cb)`: Calls back with `(err, res)`, where `res` is an event
+ *   emitter that emits an "object" or "directory" event for each dirent
+ *   (with `name`, `parent`, `type`, `mtime`, and for objects `etag` and
+ *   `size`), then "end". `err.statusCode` is 404 if `dir` doesn't exist.
+ * - `info(path, cb)`: Calls back with `(err, info)`, where `info` has
+ *   `size`, `md5` (base64), `etag`, `type` (the content-type) and `headers`.
+ * - `get(path, cb)`: Calls back with `(err, stream, res)`, where `stream` is
+ *   a readable stream of the object content and `res.headers` has
+ *   "content-length" and "content-md5".
+ * - `close()`
+ *
+ * For example, `LocalDirBackend` presents a local directory as if it were
+ * Manta, which is useful for testing and offline use:
+ *
+ *      var watcher = new MantaDirWatcher({
+ *          backend: new MantaDirWatcher.LocalDirBackend({root: '/var/tmp/m'}),
+ *          dir: '/trent.mick/stor/tmp'
+ *      });
+ *
  *
  * @param {String} opts.dir: Required. Manta dir path to watch.
+ * @param {Object} opts.backend: Optional. A storage backend (see above) to
+ *      use instead of a node-manta client.
  * @param {Number} opts.interval: Optional. Polling interval (in seconds).
  *      Default is 60s.
- * @param {String|RegExp} opts.filter.name: Optional. A glob pattern (if a
- *      string) or a regex to match against entry names to which to limit
- *      watching.
+ * @param {Number} opts.maxInterval: Optional. Use an adaptive interval of
+ *      at most this many seconds: the interval doubles after each poll that
+ *      finds no changes, up to `maxInterval`, and drops back to
+ *      `minInterval` after a poll that finds changes.
+ * @param {Number} opts.minInterval: Optional. With `maxInterval`, the
+ *      shortest interval (in seconds). Default is `interval`, else 60s.
+ * @param {String} opts.schedule: Optional. Poll on a cron-like schedule
+ *      ("MIN HOUR DAY-OF-MONTH MONTH DAY-OF-WEEK", e.g. "*\/5 * * * *")
+ *      rather than at an interval. See "schedule.js".
+ * @param {Number} opts.jitter: Optional. Randomly spread poll times, so that
+ *      many watchers don't poll in lockstep. A fraction (0 to 1) of the
+ *      interval by which to vary it either way or, with `schedule`, of a
+ *      minute by which to delay each poll. Default is 0.1 with `maxInterval`
+ *      or `schedule`, else 0.
+ * @param {String|RegExp|Array} opts.filter.name: Optional. A glob pattern (if
+ *      a string) or a regex, or an array of them, to match against entry
+ *      names to which to limit watching. Globs support "*", "?", "[a-z]",
+ *      "[!a-z]", "{a,b}" and "\" escapes.
+ * @param {Array} opts.filter.include: Optional. Globs and/or regexes. If
+ *      given, an entry name must match at least one of them.
+ * @param {Array} opts.filter.exclude: Optional. Globs and/or regexes. An
+ *      entry name must match none of them.
  * @param {String} opts.filter.type: Optional. "object" or "directory" to limit
  *      watching to entries of this type.
+ * @param {Number} opts.filter.minSize: Optional. Limit to objects of at least
+ *      this many bytes.
+ * @param {Number} opts.filter.maxSize: Optional. Limit to objects of at most
+ *      this many bytes.
+ * @param {Date|String|Number} opts.filter.newerThan: Optional. Limit to
+ *      entries with an mtime after this time (a Date, ISO string or epoch ms).
+ * @param {Function} opts.filter.fn: Optional. A predicate `fn(dirent)` that
+ *      returns true for entries to watch.
+ *      When comparing against local files in `syncDir` on the first poll,
+ *      only the name, type and size filters are applied to local files. A
+ *      local file whose remote entry `newerThan` or `fn` filters out is left
+ *      alone: it is neither synced nor deleted.
+ * @param {Boolean} opts.recursive: Optional. Recursively watch subdirectories
+ *      of `dir`. Events then carry a `relpath` relative to `dir`. Note that
+ *      `filter.name` is matched against the entry name at each level, and
+ *      `filter.*` does not limit which subdirectories are descended into.
+ * @param {Number} opts.maxDepth: Optional. With `recursive`, the maximum
+ *      number of directory levels below `dir` to descend into. By default
+ *      there is no limit.
  * @param {String} opts.syncDir: Optional. A local directory to which to
- *      sync the watched objects. This implies `filter.type="object"` (i.e.
- *      sync'ing of directories is not supported.
+ *      sync the watched entries. Directories are created (and, with
+ *      `syncDelete`, removed with their contents) as local directories.
  * @param {Boolean} opts.syncDelete: Optional. Allow delete of local files
- *      when syncing to `syncDir`.
+ *      (and directories) when syncing to `syncDir`. This includes, on the
+ *      first poll without a state, local directories (and everything in
+ *      them) that aren't in `dir`.
+ * @param {String} opts.syncTypeConflict: Optional. One of
+ *      SYNC_TYPE_CONFLICTS: how to sync an entry whose local path has an
+ *      entry of the other type, e.g. a local directory where the remote is
+ *      an object. These are reported as "update" events with a "type"
+ *      change and `conflict` set to the policy applied. With "replace" (the
+ *      default), the local entry is removed (or moved to `syncTrashDir`)
+ *      and counts as a delete for the delete guards. That needs
+ *      `syncDelete`: without it, "keep" is applied instead. With "keep",
+ *      it is left alone. With "error", the sync fails. This doesn't
+ *      apply to the "snapshot" sync mode.
+ * @param {String} opts.syncMode: Optional. One of SYNC_MODES. The default,
+ *      "inplace", syncs each file directly into `syncDir`, so a reader can
+ *      see a mix of old and new files during a sync. With "snapshot", each
+ *      poll with changes builds a complete new dir
+ *      "$syncDir/snapshots/$timestamp" (hardlinking unchanged files from the
+ *      previous snapshot) and then atomically repoints the
+ *      "$syncDir/current" symlink to it. Readers should use
+ *      "$syncDir/current/..." and treat the files as read-only. Each snapshot
+ *      mirrors the remote dir, so `syncDelete` doesn't apply.
+ * @param {Number} opts.syncSnapshots: Optional. With the "snapshot" sync
+ *      mode, the number of snapshots to keep. Default 3.
+ * @param {Number} opts.syncConcurrency: Optional. Number of sync downloads
+ *      (and deletes) to run at once. Default 1.
+ * @param {Number} opts.syncRetries: Optional. Number of times to retry a
+ *      failed download, with backoff per the `retry` option delays. A
+ *      download whose size or MD5 doesn't match the response's
+ *      "content-length" or "content-md5" is a failure; if it still doesn't
+ *      match after the retries, the object is left for the next poll.
+ *      Default 3.
+ * @param {Function} opts.syncValidate: Optional. When syncing, a function
+ *      `(tmpPath, dirent)` called with each downloaded (and verified) file
+ *      before it is moved into place. It returns a Promise (e.g. it is an
+ *      async function) that rejects, with an Error, if the file should not
+ *      be installed. A rejected file's previous version (if any) is left in
+ *      place, a "reject" event is emitted, and the change is left out of the
+ *      group. It is tried again when the object next changes. See
+ *      "lib/validators.js" for some validators.
+ * @param {String} opts.syncTrashDir: Optional. A local directory into which
+ *      to move files deleted by `syncDelete`, instead of removing them. Each
+ *      poll's deletes go into a "$syncTrashDir/$timestamp" dir. This must
+ *      not be inside `syncDir`.
+ * @param {Number} opts.syncTrashMaxAge: Optional. Seconds after which trash
+ *      dirs are removed. Use 0 to never remove by age. Default 7 days.
+ * @param {Number} opts.syncTrashMaxCount: Optional. The max number of trash
+ *      dirs to keep. By default there is no limit.
+ * @param {Number} opts.maxDeletes: Optional. Refuse to sync a poll's changes
+ *      if it would delete more than this many local files. This applies on
+ *      every poll, with "syncDelete" or in "snapshot" sync mode.
+ * @param {Number} opts.maxDeletePercent: Optional. Refuse to sync a poll's
+ *      changes if it would delete more than this percentage of local files.
+ *      Like `maxDeletes`, this applies on every poll.
+ * @param {Boolean|Number} opts.reconcileLocal: Optional. When syncing,
+ *      re-check the local files on every poll (`true`), or every Nth poll (a
+ *      number), against the etag, size and MD5 last synced. Drifted files
+ *      (edited or removed locally) are downloaded again, with a "repair"
+ *      event giving the `reason`.
+ * @param {Boolean|Number} opts.watchMetadata: Optional. Also watch objects'
+ *      metadata (content-type, content-disposition, content-encoding,
+ *      content-language, cache-control, durability-level and the
+ *      "access-control-*" and "m-*" headers), reporting changes to it as
+ *      "update" events with "headers" in `changed` and a `headersDiff`.
+ *      The headers are only fetched (an `info` call) for objects that are
+ *      new or whose listing mtime has changed or, if a number N, for all
+ *      objects every Nth poll (for changes that don't touch the mtime).
+ *      The first poll (without a `stateFile` holding the metadata) fetches
+ *      the headers of every object, reporting no changes.
+ * @param {Boolean} opts.metadataSidecar: Optional. With `watchMetadata`,
+ *      when syncing in place, write each object's tracked headers (as JSON)
+ *      to a ".$name.meta.json" file next to the synced file. Local files
+ *      with such names are otherwise ignored.
+ * @param {String} opts.manifestFile: Optional. When syncing, a local file
+ *      in which to persist the manifest of synced files (etag, size, MD5
+ *      and local mtime), so that unchanged local files are not hashed again
+ *      after a restart.
+ * @param {Boolean} opts.detectRenames: Optional. Report a delete and a
+ *      create of objects with the same etag in one poll as a single "rename"
+ *      event. When syncing with `syncDelete`, the local file is moved rather
+ *      than downloaded again. This requires a previous poll (or `stateFile`)
+ *      to compare against.
  * @param {Boolean} opts.disableSyncDeleteGuard: Optional. Disable the guard
  *      that attempts to bail when it looks like the given `syncDir` was
  *      an accident. See "sync-delete-guard" in code below for details.
+ * @param {String} opts.stateFile: Optional. A local file in which to persist
+ *      the last-seen dirents after each successful poll. It is loaded on
+ *      the first poll, so that changes made while the watcher wasn't running
+ *      are reported.
+ * @param {Object} opts.retry: Optional. The policy for retrying failed polls.
+ *      Each failure emits a "pollError" event. "error" is emitted only if
+ *      the error is fatal or the policy gives up. Fields:
+ *      - `minDelay`: Seconds to wait before the first retry. Default 1.
+ *      - `maxDelay`: Max seconds to wait between retries. Default 60.
+ *      - `maxFailures`: Number of consecutive failed polls after which to
+ *        give up. Use 0 to retry forever. Default 10.
+ *      - `isRetryable`: A function `(err)` returning true if the poll error
+ *        is retryable. The default retries network errors and HTTP 5xx,
+ *        408 and 429 responses.
+ *      Delays use exponential backoff with jitter.
  * @param {Boolean} opts.oneShot: Optional. Do a single poll and then close.
  * @param {Boolean} opts.dryRun: Optional. Do a dry-run, don't actually
- *      sync files.
+ *      sync files. Instead, with `syncDir`, each poll's group has a `plan`
+ *      of what syncing would do (see `_planSync`), and guards that would
+ *      fail the sync are noted in the plan rather than failing the poll.
+ *      As nothing is synced, each poll compares against the local files
+ *      again.
  * @param {Object} opts.log: Optional. Bunyan logger.
  */
 function MantaDirWatcher(opts) {
     var self = this;
+    var filter;
+    var clientOpts;
+    var deleteLimits;
+    var retry;
+
     assert.string(opts.dir, 'opts.dir');
     assert.optionalNumber(opts.interval, 'opts.interval');
-    this.intervalMs = (opts.interval !== undefined ? opts.interval : 60) * 1000;
+    assert.optionalNumber(opts.minInterval, 'opts.minInterval');
+    assert.optionalNumber(opts.maxInterval, 'opts.maxInterval');
+    assert.optionalString(opts.schedule, 'opts.schedule');
+    assert.optionalNumber(opts.jitter, 'opts.jitter');
+    assert.ok(typeof (opts.minInterval) !== 'number'
+        || typeof (opts.interval) !== 'number',
+        'cannot use both opts.interval and opts.minInterval');
+    // The (min, if adaptive) interval.
+    this.intervalMs = DEFAULT_INTERVAL * MS_PER_SEC;
+    if (typeof (opts.minInterval) === 'number') {
+        this.intervalMs = opts.minInterval * MS_PER_SEC;
+    } else if (typeof (opts.interval) === 'number') {
+        this.intervalMs = opts.interval * MS_PER_SEC;
+    }
     assert.ok(this.intervalMs > 0,
-        'opts.interval is not positive: ' + opts.interval);
-    assert.optionalObject(opts.log, 'opts.log');
-    var filter = opts.filter || {};
-    if (filter.name) {
-        if (typeof(filter.name) === 'string') {
-            // glob -> regex (limited to '*' and '?')
-            filter.name = regexpFromGlob(filter.name);
-        }
-        assert.regexp(filter.name, 'opts.filter.name');
+        'opts.interval is not positive: ' + this.intervalMs / MS_PER_SEC);
+    assert.ok(typeof (opts.minInterval) !== 'number'
+        || typeof (opts.maxInterval) === 'number',
+        'opts.minInterval requires opts.maxInterval');
+    this.maxIntervalMs = (typeof (opts.maxInterval) === 'number'
+        ? opts.maxInterval * MS_PER_SEC : null);
+    assert.ok(this.maxIntervalMs === null
+        || this.maxIntervalMs >= this.intervalMs,
+        'opts.maxInterval is less than the min interval: '
+        + opts.maxInterval);
+    this.schedule = null;
+    if (opts.schedule) {
+        assert.ok(typeof (opts.interval) !== 'number'
+            && this.maxIntervalMs === null,
+            'cannot use opts.schedule with an interval');
+        this.schedule = mod_schedule.parseSchedule(opts.schedule);
     }
-    assert.optionalString(filter.type, 'opts.filter.type');
-    if (filter.type) {
-        assert.ok(FILTER_TYPES.indexOf(filter.type) !== -1,
-            'invalid opts.filter.type: ' + filter.type);
+    this.jitter = opts.jitter;
+    if (typeof (this.jitter) !== 'number') {
+        this.jitter = (this.maxIntervalMs !== null || this.schedule
+            ? DEFAULT_JITTER : 0);
+    }
+    assert.ok(this.jitter >= 0 && this.jitter <= 1,
+        'opts.jitter is not between 0 and 1: ' + opts.jitter);
+    assert.optionalObject(opts.log, 'opts.log');
+    filter = mod_filter.normalizeFilter(opts.filter);
+    assert.optionalBool(opts.recursive, 'opts.recursive');
+    assert.optionalNumber(opts.maxDepth, 'opts.maxDepth');
+    if (typeof (opts.maxDepth) === 'number') {
+        assert.ok(opts.recursive, 'opts.maxDepth requires opts.recursive');
+        assert.ok(opts.maxDepth >= 0,
+            'opts.maxDepth is negative: ' + opts.maxDepth);
     }
     assert.optionalString(opts.syncDir, 'opts.syncDir');
     assert.optionalBool(opts.syncDelete, 'opts.syncDelete');
+    assert.optionalString(opts.syncMode, 'opts.syncMode');
+    assert.ok(!opts.syncMode || SYNC_MODES.indexOf(opts.syncMode) !== -1,
+        'invalid opts.syncMode: ' + opts.syncMode);
+    assert.optionalString(opts.syncTypeConflict, 'opts.syncTypeConflict');
+    assert.ok(!opts.syncTypeConflict
+        || SYNC_TYPE_CONFLICTS.indexOf(opts.syncTypeConflict) !== -1,
+        'invalid opts.syncTypeConflict: ' + opts.syncTypeConflict);
+    assert.optionalNumber(opts.syncSnapshots, 'opts.syncSnapshots');
+    assert.ok(typeof (opts.syncSnapshots) !== 'number'
+        || opts.syncSnapshots >= 1,
+        'opts.syncSnapshots is not positive: ' + opts.syncSnapshots);
+    assert.optionalNumber(opts.syncConcurrency, 'opts.syncConcurrency');
+    assert.ok(typeof (opts.syncConcurrency) !== 'number'
+        || opts.syncConcurrency >= 1,
+        'opts.syncConcurrency is not positive: ' + opts.syncConcurrency);
+    assert.optionalNumber(opts.syncRetries, 'opts.syncRetries');
+    assert.ok(typeof (opts.syncRetries) !== 'number' || opts.syncRetries >= 0,
+        'opts.syncRetries is negative: ' + opts.syncRetries);
+    assert.optionalFunc(opts.syncValidate, 'opts.syncValidate');
+    assert.ok(!opts.syncValidate || opts.syncDir,
+        'opts.syncValidate requires opts.syncDir');
+    assert.optionalString(opts.syncTrashDir, 'opts.syncTrashDir');
+    assert.optionalNumber(opts.syncTrashMaxAge, 'opts.syncTrashMaxAge');
+    assert.ok(typeof (opts.syncTrashMaxAge) !== 'number'
+        || opts.syncTrashMaxAge >= 0,
+        'opts.syncTrashMaxAge is negative: ' + opts.syncTrashMaxAge);
+    assert.optionalNumber(opts.syncTrashMaxCount, 'opts.syncTrashMaxCount');
+    assert.ok(typeof (opts.syncTrashMaxCount) !== 'number'
+        || opts.syncTrashMaxCount >= 1,
+        'opts.syncTrashMaxCount is not positive: ' + opts.syncTrashMaxCount);
+    deleteLimits = common.deleteLimitsFromOpts(opts);
+    assert.ok(typeof (opts.reconcileLocal) === 'undefined'
+        || typeof (opts.reconcileLocal) === 'boolean'
+        || (typeof (opts.reconcileLocal) === 'number'
+        && opts.reconcileLocal >= 1),
+        'opts.reconcileLocal is not a boolean or positive number: '
+        + opts.reconcileLocal);
+    assert.ok(typeof (opts.watchMetadata) === 'undefined'
+        || typeof (opts.watchMetadata) === 'boolean'
+        || (typeof (opts.watchMetadata) === 'number'
+        && opts.watchMetadata >= 1),
+        'opts.watchMetadata is not a boolean or positive number: '
+        + opts.watchMetadata);
+    assert.optionalBool(opts.metadataSidecar, 'opts.metadataSidecar');
+    if (opts.metadataSidecar) {
+        assert.ok(opts.watchMetadata,
+            'opts.metadataSidecar requires opts.watchMetadata');
+        assert.ok(opts.syncDir && opts.syncMode !== 'snapshot',
+            'opts.metadataSidecar requires opts.syncDir and the "inplace" '
+            + 'sync mode');
+    }
+    assert.optionalString(opts.manifestFile, 'opts.manifestFile');
+    assert.optionalBool(opts.detectRenames, 'opts.detectRenames');
     assert.optionalBool(opts.disableSyncDeleteGuard,
         'opts.disableSyncDeleteGuard');
+    assert.optionalString(opts.stateFile, 'opts.stateFile');
+    retry = common.retryFromOpts(opts.retry);
     assert.optionalBool(opts.oneShot, 'opts.oneShot');
     assert.optionalBool(opts.dryRun, 'opts.dryRun');
 
@@ -165,20 +666,64 @@ function MantaDirWatcher(opts) {
         ? opts.log.child({dir: this.dir}, true)
         : bunyan.createLogger({name: 'manta-dir-watcher', dir: this.dir}));
     this.filter = filter;
+    this.recursive = Boolean(opts.recursive);
+    this.maxDepth = (typeof (opts.maxDepth) === 'number' ? opts.maxDepth
+        : null);
     if (opts.syncDir) {
         this.syncDir = mod_path.resolve(opts.syncDir);
     } else {
         this.syncDir = null;
     }
     this.syncDelete = opts.syncDelete;
+    this.syncMode = opts.syncMode || 'inplace';
+    this.syncSnapshots = opts.syncSnapshots || DEFAULT_SYNC_SNAPSHOTS;
+    // The local dir holding the synced files.
+    if (this.syncDir && this.syncMode === 'snapshot') {
+        this.localDir = mod_path.join(this.syncDir, CURRENT_LINK);
+    } else {
+        this.localDir = this.syncDir;
+    }
+    this.syncTypeConflict = opts.syncTypeConflict || 'replace';
+    this.syncConcurrency = opts.syncConcurrency || 1;
+    this.syncRetries = (typeof (opts.syncRetries) === 'number'
+        ? opts.syncRetries : DEFAULT_SYNC_RETRIES);
+    this.syncValidate = opts.syncValidate || null;
+    this.syncTrashDir = (opts.syncTrashDir
+        ? mod_path.resolve(opts.syncTrashDir) : null);
+    if (this.syncTrashDir && this.syncDir) {
+        assert.ok(this.syncTrashDir !== this.syncDir
+            && this.syncTrashDir.indexOf(this.syncDir + '/') !== 0,
+            'opts.syncTrashDir must not be inside opts.syncDir');
+    }
+    this.syncTrashMaxAge = (typeof (opts.syncTrashMaxAge) === 'number'
+        ? opts.syncTrashMaxAge : DEFAULT_SYNC_TRASH_MAX_AGE);
+    this.syncTrashMaxCount = opts.syncTrashMaxCount || null;
+    this.maxDeletes = deleteLimits.maxDeletes;
+    this.maxDeletePercent = deleteLimits.maxDeletePercent;
+    // The number of polls between local reconciles, 0 for never.
+    this.reconcileLocal = (opts.reconcileLocal === true ? 1
+        : Math.floor(opts.reconcileLocal || 0));
+    this.watchMetadata = Boolean(opts.watchMetadata);
+    // The number of polls between fetching all objects' headers, 0 for
+    // never.
+    this.watchMetadataEvery = (typeof (opts.watchMetadata) === 'number'
+        ? Math.floor(opts.watchMetadata) : 0);
+    this.metadataSidecar = Boolean(opts.metadataSidecar);
+    this.detectRenames = Boolean(opts.detectRenames);
     this.disableSyncDeleteGuard = opts.disableSyncDeleteGuard;
+    this.stateFile = (opts.stateFile ? mod_path.resolve(opts.stateFile)
+        : null);
+    this.retry = retry;
     this.oneShot = opts.oneShot;
     this.dryRun = opts.dryRun;
 
-    var client;
-    if (opts.client) {
+    if (opts.backend) {
+        assert.object(opts.backend, 'opts.backend');
+        ['ls', 'info', 'get', 'close'].forEach(function checkMethod(method) {
+            assert.func(opts.backend[method], 'opts.backend.' + method);
+        });
+    } else if (opts.client) {
         assert.object(opts.client, 'opts.client');
-        client = opts.client;
     } else if (opts.clientOpts) {
         assert.object(opts.clientOpts, 'opts.clientOpts');
         assert.string(opts.clientOpts.url, 'opts.clientOpts.url');
@@ -187,6 +732,7 @@ function MantaDirWatcher(opts) {
             'opts.clientOpts.subuser');
         assert.optionalBool(opts.clientOpts.insecure,
             'opts.clientOpts.insecure');
+
         /*
          * Just client node-manta's `createClient()`: `clientOpts.sign` can be
          * empty, a signing function, or an object with:
@@ -195,50 +741,363 @@ function MantaDirWatcher(opts) {
          */
     }
 
-    if (opts.client) {
-        this.client = opts.client;
-        this._closeClient = false;
+    if (opts.backend) {
+        this.backend = opts.backend;
+        this._closeBackend = false;
+    } else if (opts.client) {
+        this.backend = opts.client;
+        this._closeBackend = false;
     } else if (opts.clientOpts) {
-        var clientOpts = objCopy(opts.clientOpts);
+        clientOpts = objCopy(opts.clientOpts);
         if (!clientOpts.log) {
             clientOpts.log = this.log;
         }
-        this.client = manta.createClient(clientOpts);
-        this._closeClient = true;
+        this.backend = manta.createClient(clientOpts);
+        this._closeBackend = true;
     } else {
-        this.client = manta.createClient({
-            log: this.log,
-            sign: manta.cliSigner({
-                keyId: process.env.MANTA_KEY_ID,
-                user: process.env.MANTA_USER,
-                subuser: process.env.MANTA_SUBUSER
-            }),
-            user: process.env.MANTA_USER,
-            url: process.env.MANTA_URL,
-            insecure: Boolean(process.env.MANTA_TLS_INSECURE)
-        });
-        this._closeClient = true;
+        this.backend = createClientFromEnv(this.log);
+        this._closeBackend = true;
     }
-
-    this._state = null;
+    // Backward compat: this was `client` before backends were pluggable.
+    this.client = this.backend;
+
+    this._state = null;         // the state the next poll compares against
+    this._listing = null;       // the state from the last successful poll
+    this._stateFileLoaded = false;
+    this._manifest = (this.syncDir ? new LocalManifest({
+        localDir: this.localDir,
+        file: opts.manifestFile,
+        log: this.log
+    }) : null);
+    this._manifestLoaded = false;
+    // With `watchMetadata`, a map of object relpath to `{mtime, headers}`
+    // (the tracked headers) as of the last poll.
+    this._metadata = null;
+    // The etag of each relpath whose latest download failed `syncValidate`.
+    this._rejectedEtags = {};
+    self._numPolls = 0;
+    self._polling = false;      // a poll is in progress
+    self._pollCbs = [];         // callbacks for the in-progress poll
+    self._pollAgain = null;     // callbacks for a poll queued behind it
+    self._closePromise = null;
+    self._closeResolve = null;
     self._pollTimeout = null;
     self._lastPollTime = null;
+    self._nextPollTime = null;
+    self._curIntervalMs = self.intervalMs;  // varies with `maxInterval`
+    self._numPollFailures = 0;  // consecutive failures
+    self._retryTime = null;
+    self._closed = false;
+    self._failed = false;       // stopped on an error
     self._buffer = [];
     self._paused = true;
 
+    // Counters for `getStats()`.
+    self._startTime = Date.now();
+    self._numPollFailuresTotal = 0;
+    self._pollDurationCounts = POLL_DURATION_BUCKETS.map(function zero() {
+        return 0;
+    });
+    self._pollDurationSum = 0;
+    self._lastGoodPollTime = null;
+    self._numEvents = {};
+    EVENT_ACTIONS.forEach(function zeroNumEvents(action) {
+        self._numEvents[action] = 0;
+    });
+    self._bytesDownloaded = 0;
+    self._numSyncFailures = 0;
+    self._numSyncRejects = 0;
+    self._numEntries = 0;
+
     this.log.trace({intervalMs: this.intervalMs}, 'MantaDirWatcher created');
 }
 util.inherits(MantaDirWatcher, Readable);
 
+/*
+ * Stop polling. This returns a Promise that resolves when any in-progress
+ * poll (and its sync) has finished, events from it have been pushed, and
+ * the stream has been ended.
+ */
 MantaDirWatcher.prototype.close = function close() {
-    if (this.client && this._closeClient) {
-        this.client.close();
+    var self = this;
+
+    if (self._closePromise) {
+        return self._closePromise;
     }
-    if (this._pollTimeout) {
-        clearTimeout(this._pollTimeout);
-        this._pollTimeout = null;
+
+    self._closed = true;
+    if (self._pollTimeout) {
+        clearTimeout(self._pollTimeout);
+        self._pollTimeout = null;
+    }
+    self._closePromise = new Promise(function closing(resolve) {
+        self._closeResolve = resolve;
+    });
+    if (!self._polling) {
+        self._finishClose();
+    }
+    return self._closePromise;
+};
+
+MantaDirWatcher.prototype._finishClose = function _finishClose() {
+    if (!this._closeResolve) {
+        return;
+    }
+    if (this.backend && this._closeBackend) {
+        this.backend.close();
+    }
+
+    // Don't lose buffered events: the stream buffers them until read.
+    while (this._buffer.length > 0) {
+        this.push(this._buffer.shift());
     }
     this.push(null);
+
+    this.log.trace('closed');
+    this._closeResolve();
+    this._closeResolve = null;
+};
+
+/*
+ * Return a snapshot of this watcher's counters and status:
+ *
+ * - `dir`
+ * - `status`: "polling", "failed" (stopped on an error) or "closed"
+ * - `startTime`: when the watcher was created (a Date)
+ * - `numPolls`, `numPollFailures`: polls started, and failed, in total
+ * - `consecutivePollFailures`
+ * - `pollDuration`: a histogram of poll durations in seconds:
+ *   `{buckets: [<upper bound>, ...], counts: [<cumulative count>, ...],
+ *   sum, count}` (as for a Prometheus histogram, the last bucket, +Inf, is
+ *   `count`)
+ * - `lastPollTime`: when the last successful poll finished (a Date), or null
+ * - `interval`: the current time in seconds between polls (with `schedule`,
+ *   that from the last poll to the next), for judging if polls are overdue
+ * - `numEvents`: events emitted per action, e.g. `{create: 3, ...}`
+ * - `bytesDownloaded`: bytes received by sync downloads (including failed
+ *   attempts)
+ * - `numSyncFailures`: sync downloads that failed after any retries
+ * - `numSyncRejects`: sync downloads rejected by `syncValidate`
+ * - `numEntries`: entries (matching the filter) in the last listing
+ */
+MantaDirWatcher.prototype.getStats = function getStats() {
+    var self = this;
+    var status = 'polling';
+    var interval = self._curIntervalMs / MS_PER_SEC;
+
+    if (self._closed) {
+        status = 'closed';
+    } else if (self._failed) {
+        status = 'failed';
+    }
+    if (self.schedule && self._lastPollTime && self._nextPollTime) {
+        interval = (self._nextPollTime - self._lastPollTime) / MS_PER_SEC;
+    }
+
+    return {
+        dir: self.dir,
+        status: status,
+        startTime: new Date(self._startTime),
+        numPolls: self._numPolls,
+        numPollFailures: self._numPollFailuresTotal,
+        consecutivePollFailures: self._numPollFailures,
+        pollDuration: {
+            buckets: POLL_DURATION_BUCKETS.slice(),
+            counts: self._pollDurationCounts.slice(),
+            sum: self._pollDurationSum,
+            count: self._numPolls - (self._polling ? 1 : 0)
+        },
+        lastPollTime: (self._lastGoodPollTime
+            ? new Date(self._lastGoodPollTime) : null),
+        interval: interval,
+        numEvents: objCopy(self._numEvents),
+        bytesDownloaded: self._bytesDownloaded,
+        numSyncFailures: self._numSyncFailures,
+        numSyncRejects: self._numSyncRejects,
+        numEntries: self._numEntries
+    };
+};
+
+/*
+ * Return the entries (matching the filter) found by the last successful
+ * poll, or null if there hasn't been one: an array of `{name, relpath, path,
+ * type, etag, size}`, where `etag` and `size` are only set for objects.
+ */
+MantaDirWatcher.prototype.getListing = function getListing() {
+    var self = this;
+
+    if (!self._listing) {
+        return null;
+    }
+    return Object.keys(self._listing).map(function entry(relpath) {
+        return self._listingEntry(relpath);
+    });
+};
+
+MantaDirWatcher.prototype._listingEntry = function _listingEntry(relpath) {
+    var dirent = this._direntFromStateEntry(relpath, this._listing[relpath]);
+
+    return {
+        name: dirent.name,
+        relpath: relpath,
+        path: this.dir + '/' + relpath,
+        type: dirent.type,
+        etag: dirent.etag,
+        size: dirent.size
+    };
+};
+
+/*
+ * Return a Promise that resolves when the entry `name` (a relpath, or a glob
+ * matched against relpaths) meets the given condition:
+ *
+ * - "exists": it is in the listing, now or later. Resolves with the
+ *   matching event, or (if it already exists) its listing entry (see
+ *   `getListing()`).
+ * - "create", "update": a create (or a rename to it), or an update, event
+ *   for it. Resolves with the event.
+ * - "delete": it is not in the listing, now or later. Resolves with the
+ *   delete (or rename away) event, or null if it didn't exist.
+ *
+ * This pokes the watcher to poll now, and the current listing is checked
+ * after that poll, so an entry that exists when this is called isn't
+ * missed. (Later polls, as for other events, only happen while the watcher
+ * is flowing, e.g. after `resume()`.)
+ *
+ * With `timeout` (in seconds), the Promise rejects with an error with
+ * `timedOut: true` if the condition isn't met in time. It also rejects if
+ * the watcher emits "error".
+ */
+MantaDirWatcher.prototype.waitFor = function waitFor(opts) {
+    var self = this;
+    var action;
+    var nameRe;
+
+    assert.object(opts, 'opts');
+    assert.ok(WAIT_FOR_ACTIONS.indexOf(opts.action) !== -1,
+        'invalid opts.action: ' + opts.action);
+    assert.string(opts.name, 'opts.name');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+
+    action = opts.action;
+    nameRe = mod_filter.regexpFromGlob(opts.name);
+
+    function eventMatches(event) {
+        var isMatch = nameRe.test(event.relpath);
+        var wasMatch = (event.action === 'rename'
+            && nameRe.test(event.oldRelpath));
+
+        switch (action) {
+            case 'exists':
+                return (isMatch && event.action !== 'delete');
+            case 'create':
+                return (isMatch && (event.action === 'create'
+                    || (event.action === 'rename' && !wasMatch)));
+            case 'update':
+                return (isMatch && event.action === 'update');
+            case 'delete':
+                return ((isMatch && event.action === 'delete')
+                    || (wasMatch && !isMatch));
+            default:
+                throw new Error('unknown waitFor action: ' + action);
+        }
+    }
+
+    return new Promise(function waitForCondition(resolve, reject) {
+        var checkedListing = false;
+        var timer = null;
+        var onError;
+        var onPoll;
+
+        function finish(err, result) {
+            self.removeListener('poll', onPoll);
+            self.removeListener('error', onError);
+            if (timer) {
+                clearTimeout(timer);
+            }
+            if (err) {
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        }
+
+        onError = function onWatcherError(err) {
+            finish(err);
+        };
+
+        onPoll = function onWatcherPoll(group) {
+            var existing;
+            var i;
+
+            for (i = 0; i < group.events.length; i++) {
+                if (eventMatches(group.events[i])) {
+                    finish(null, group.events[i]);
+                    return;
+                }
+            }
+            if (checkedListing || !self._listing) {
+                return;
+            }
+            checkedListing = true;
+
+            existing = Object.keys(self._listing).filter(
+                function isNameMatch(rp) {
+                    return nameRe.test(rp);
+                });
+            if (action === 'exists' && existing.length > 0) {
+                finish(null, self._listingEntry(existing[0]));
+            } else if (action === 'delete' && existing.length === 0) {
+                finish(null, null);
+            }
+        };
+
+        if (self._closed) {
+            reject(new Error('watcher is closed'));
+            return;
+        }
+        self.on('poll', onPoll);
+        self.on('error', onError);
+        if (typeof (opts.timeout) === 'number') {
+            timer = setTimeout(function onTimeout() {
+                var err = new Error(format('timed out after %ds waiting '
+                    + 'for %s of "%s"', opts.timeout, action, opts.name));
+
+                err.timedOut = true;
+                finish(err);
+            }, opts.timeout * MS_PER_SEC);
+        }
+        self.poke();
+    });
+};
+
+/*
+ * Poll now and return a Promise of the resulting group, `{events: [...]}`,
+ * with an empty `events` array if there were no changes. When syncing, the
+ * group resolves once the sync is complete, and each event has the
+ * `localPath` of its file. If a poll is already in progress, another is
+ * run after it.
+ *
+ * A group with changes is also pushed to the stream (and the per-action
+ * events emitted), so stream consumers see every change whoever polled. A
+ * failed poll rejects the Promise rather than applying the `retry` policy.
+ */
+MantaDirWatcher.prototype.pollOnce = function pollOnce() {
+    var self = this;
+
+    return new Promise(function polling(resolve, reject) {
+        if (self._pollTimeout) {
+            clearTimeout(self._pollTimeout);
+            self._pollTimeout = null;
+        }
+        self._poll(function onPoll(err, group) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(group);
+        });
+    });
 };
 
 /*
@@ -251,6 +1110,9 @@ MantaDirWatcher.prototype._read = function _read() {
 
 MantaDirWatcher.prototype._resume = function _resume() {
     var self = this;
+    var now;
+    var timeToNextPoll;
+
     if (!this._paused) {
         return;
     }
@@ -266,18 +1128,23 @@ MantaDirWatcher.prototype._resume = function _resume() {
     }
 
     // Resume polling.
-    if (!this._pollTimeout) {
-        var now = Date.now();
-        var timeToNextPoll = (this._lastPollTime
-            ? (this._lastPollTime + this.intervalMs) - now
-            : 0);
+    if (!this._pollTimeout && !this._polling && !this._closed) {
+        now = Date.now();
+        if (this._retryTime) {
+            timeToNextPoll = this._retryTime - now;
+        } else if (this._nextPollTime) {
+            timeToNextPoll = this._nextPollTime - now;
+        } else {
+            timeToNextPoll = 0;
+        }
         this.log.trace({timeToNextPoll: timeToNextPoll}, '_resume: poll time');
         if (timeToNextPoll <= 0) {
-            setImmediate(function () {
+            setImmediate(function pollNow() {
                 self._poll();
             });
         } else {
-            this._pollTimeout = setTimeout(function () {
+            this._pollTimeout = setTimeout(function pollLater() {
+                self._pollTimeout = null;
                 self._poll();
             }, timeToNextPoll);
         }
@@ -293,6 +1160,48 @@ MantaDirWatcher.prototype._pause = function _pause() {
     }
 };
 
+/*
+ * With an adaptive interval (`maxInterval`), stretch the interval after a
+ * poll with no changes, and drop back to the min after one with changes.
+ */
+MantaDirWatcher.prototype._adaptInterval = function _adaptInterval(changed) {
+    if (changed) {
+        this._curIntervalMs = this.intervalMs;
+    } else {
+        this._curIntervalMs = Math.min(this.maxIntervalMs,
+            this._curIntervalMs * ADAPTIVE_INTERVAL_FACTOR);
+    }
+};
+
+/*
+ * Set the time of the next poll, per the interval (or `schedule`) and
+ * `jitter`, and start the timer for it unless paused.
+ */
+MantaDirWatcher.prototype._scheduleNextPoll = function _scheduleNextPoll() {
+    var self = this;
+    var now = Date.now();
+    var next;
+    var delay;
+
+    if (self.schedule) {
+        next = mod_schedule.nextScheduledTime(self.schedule, new Date(now));
+        delay = next.getTime() - now + Math.random() * self.jitter * MINUTE_MS;
+    } else {
+        delay = self._curIntervalMs
+            * (1 + self.jitter * (JITTER_SPREAD * Math.random() - 1));
+    }
+    delay = Math.round(delay);
+    self._nextPollTime = now + delay;
+
+    if (!self._paused && !self._closed) {
+        self._pollTimeout = setTimeout(function scheduledPoll() {
+            self._pollTimeout = null;
+            self._poll();
+        }, delay);
+        self.log.trace({delay: delay}, 'schedule next poll');
+    }
+};
+
 /*
  * Poke this watcher to poll now, rather than waiting for the coming
  * poll interval.
@@ -310,240 +1219,801 @@ MantaDirWatcher.prototype.poke = function poke() {
     });
 };
 
-MantaDirWatcher.prototype._poll = function _poll() {
+/*
+ * Whether, when walking dirs, to descend into the subdirs of a dir at the
+ * given depth below `dir` (or `syncDir`).
+ */
+MantaDirWatcher.prototype._descendsBelow = function _descendsBelow(depth) {
+    return (this.recursive
+        && (this.maxDepth === null || depth < this.maxDepth));
+};
+
+/*
+ * The `syncTypeConflict` policy to apply. Replacing a local entry removes
+ * it (and, for a dir, everything in it), so "replace" is only applied with
+ * `syncDelete`: without it, conflicts are kept.
+ */
+MantaDirWatcher.prototype._typeConflictPolicy = function
+    _typeConflictPolicy() {
+    if (this.syncTypeConflict === 'replace' && !this.syncDelete) {
+        return 'keep';
+    }
+    return this.syncTypeConflict;
+};
+
+/*
+ * Poll for changes. If `cb` is given, it is called with `(err, group)` (see
+ * `pollOnce`). Polls never overlap: a poll requested while one is in
+ * progress is run after it.
+ */
+MantaDirWatcher.prototype._poll = function _poll(cb) {
     var self = this;
     var log = self.log;
-    var context = {
+    var pollNum;
+    var pollStart;
+    var context;
+
+    if (self._polling) {
+        self._pollAgain = (self._pollAgain || []).concat(cb ? [cb] : []);
+        return;
+    }
+    if (self._closed) {
+        if (cb) {
+            setImmediate(cb, new Error('watcher is closed'));
+        }
+        return;
+    }
+
+    self._polling = true;
+    self._pollCbs = (cb ? [cb] : []);
+    pollNum = ++self._numPolls;
+    pollStart = Date.now();
+    context = {
         oldState: self._state,
         newState: {},
-        dirents: [],
-        localDirents: [],
+        numEntries: 0,
+        localFiles: null,
+        remoteOnlyFiltered: {},
+        possibleUpdates: [],
+        newMetadata: {},
+        metadataChecks: [],
+        metadataFetched: [],
+        guardErrors: [],
+        numNameMatches: 0,
         changes: []
     };
 
-    vasync.pipeline({arg: context, funcs: [
-        function listDir(arg, next) {
-            var handleDirent = function (dirent) {
-                if (self.filter.type && dirent.type !== self.filter.type) {
-                    return;
-                }
-                if (self.filter.name && !self.filter.name.test(dirent.name)) {
-                    return;
-                }
-                arg.newState[dirent.name] = dirent;
-                arg.dirents.push(dirent);
-            };
+    /*
+     * A sync guard has failed. That fails the poll, unless this is a
+     * dry-run, in which case it is noted in the plan.
+     */
+    function guardFailed(err, next) {
+        if (!self.dryRun) {
+            next(err);
+            return;
+        }
+        log.info({err: err}, 'dry-run: sync guard would fail');
+        context.guardErrors.push(err.message);
+        next();
+    }
 
-            self.client.ls(self.dir, function (err, res) {
-                if (err) {
-                    if (err.statusCode === 404) {
-                        next();
-                    } else {
-                        next(err);
-                    }
-                    return;
+    vasync.pipeline({arg: context, funcs: [
+        function loadManifest(arg, next) {
+            if (!self._manifest || self._manifestLoaded) {
+                next();
+                return;
+            }
+            self._manifest.load(function onLoad(err) {
+                if (!err) {
+                    self._manifestLoaded = true;
                 }
-
-                res.on('object', handleDirent);
-                res.on('directory', handleDirent);
-                res.once('end', function () {
-                    next();
-                });
+                next(err);
             });
         },
 
-        /*
-         * If this is the first poll and we have a local `syncDir`, then
-         * we will be comparing against that dir: collect the local dirents.
-         */
-        function firstRunLocalDirents(arg, next) {
-            if (!self.syncDir || self.oldState) {
+        function loadStateFile(arg, next) {
+            if (!self.stateFile || self._stateFileLoaded) {
                 next();
                 return;
             }
 
-            fs.readdir(self.syncDir, function (err, names) {
+            self._loadStateFile(function onLoaded(err, state, metadata) {
                 if (err) {
-                    if (err.code === 'ENOENT') {
-                        next();
-                    } else {
-                        next(err);
+                    next(err);
+                    return;
+                }
+                self._stateFileLoaded = true;
+                if (state) {
+                    self._state = arg.oldState = state;
+                    self._metadata = metadata;
+                }
+                next();
+            });
+        },
+
+        /*
+         * If this is the first poll and we have a local `syncDir`, then
+         * we will be comparing against that dir: collect the local files
+         * (just the size and mtime of each) and dirs (`type: "directory"`
+         * and the mtime).
+         */
+        function firstRunLocalFiles(arg, next) {
+            var dirs = [{relpath: null, depth: 0}];
+
+            // Note the local file (or dir) `name` in the dir `d`.
+            function lstatOne(d, name, nextName) {
+                var relpath = (d.relpath ? d.relpath + '/' + name : name);
+                var path = mod_path.join(self.localDir, relpath);
+
+                if (self.metadataSidecar && isSidecarName(name)) {
+                    nextName();
+                    return;
+                }
+                fs.lstat(path, function onLstat(lstatErr, stat) {
+                    var isDir;
+
+                    if (lstatErr) {
+                        nextName(lstatErr);
+                        return;
                     }
+                    isDir = stat.isDirectory();
+                    if (isDir && self._descendsBelow(d.depth)) {
+                        dirs.push({relpath: relpath, depth: d.depth + 1});
+                    }
+                    if (!mod_filter.localFileMatchesFilter(self.filter, name,
+                            stat)) {
+                        nextName();
+                        return;
+                    }
+                    arg.localFiles[relpath] = (isDir
+                        ? {type: 'directory', mtime: stat.mtime}
+                        : {size: stat.size, mtime: stat.mtime});
+                    nextName();
+                });
+            }
+
+            function readNextDir() {
+                var d = dirs.shift();
+                var dirPath;
+
+                if (!d) {
+                    log.trace({numLocalFiles:
+                        Object.keys(arg.localFiles).length}, 'localFiles');
+                    next();
                     return;
                 }
 
-                if (self.filter.name) {
-                    names = names.filter(function (name) {
-                        return self.filter.name.test(name);
+                dirPath = (d.relpath
+                    ? mod_path.join(self.localDir, d.relpath) : self.localDir);
+                fs.readdir(dirPath, function onReaddir(err, names) {
+                    if (err) {
+                        if (err.code === 'ENOENT') {
+                            readNextDir();
+                            return;
+                        }
+                        next(err);
+                        return;
+                    }
+
+                    vasync.forEachPipeline({
+                        inputs: names,
+                        func: function lstatName(name, nextName) {
+                            lstatOne(d, name, nextName);
+                        }
+                    }, function onLstatted(lstatErr) {
+                        if (lstatErr) {
+                            next(lstatErr);
+                            return;
+                        }
+                        readNextDir();
                     });
+                });
+            }
+
+            if (!self.syncDir || arg.oldState) {
+                next();
+                return;
+            }
+            arg.localFiles = {};
+            readNextDir();
+        },
+
+        /*
+         * List `dir` (and, if `recursive`, its subdirectories), comparing
+         * each dirent as it comes in against `oldState` or, on the first
+         * poll with a `syncDir`, the local files. Only changed dirents are
+         * kept, so memory use is bounded by the (compact) state rather than
+         * the listing. The backend pages through large dirs (node-manta
+         * lists 1024 entries per request, using the last name as the marker
+         * for the next).
+         *
+         * The state is keyed on the dirent `relpath`, which is just the name
+         * unless recursive. All remote dirs seen are noted in `remoteDirs`,
+         * even if filtered out, so that sync doesn't prune them locally.
+         * On the first sync poll, dirents dropped by the `newerThan` or `fn`
+         * filters (which aren't applied to local files) are noted in
+         * `remoteOnlyFiltered`, so that their local files aren't deleted
+         * (their names still count as matches for the sync-delete guard).
+         */
+        function listDir(arg, next) {
+            var dirs = [{path: self.dir, relpath: null, depth: 0}];
+            var checkAllMetadata = (self.watchMetadataEvery > 0
+                && pollNum % self.watchMetadataEvery === 0);
+
+            arg.remoteDirs = {};
+
+            function compareToOldState(dirent) {
+                var oldEntry = arg.oldState[dirent.relpath];
+                var oldDirent;
+                var diff;
+
+                if (typeof (oldEntry) === 'undefined') {
+                    arg.changes.push({action: 'create', dirent: dirent});
+                    return;
+                }
+                oldDirent = self._direntFromStateEntry(dirent.relpath,
+                    oldEntry);
+                diff = diffDirents(oldDirent, dirent);
+                if (diff) {
+                    arg.changes.push({action: 'update', dirent: dirent,
+                        oldDirent: oldDirent, diff: diff});
                 }
+            }
 
-                vasync.forEachPipeline({
-                    inputs: names,
-                    func: function lstatOne(name, nextName) {
-                        var path = mod_path.join(self.syncDir, name);
-                        fs.lstat(path, function (err, stat) {
-                            if (err) {
-                                nextName(err);
-                                return;
-                            }
-                            if (!stat.isDirectory()) {
-                                arg.localDirents.push({
-                                    name: name,
-                                    path: path,
-                                    stat: stat
-                                });
+            function compareToLocalFiles(dirent) {
+                var stat = arg.localFiles[dirent.relpath];
+                var localType;
+                var entry;
+
+                if (!stat) {
+                    arg.changes.push({action: 'create', dirent: dirent});
+                    return;
+                }
+                arg.numNameMatches++;
+
+                localType = stat.type || 'object';
+                if (localType !== dirent.type) {
+                    arg.changes.push({action: 'update', dirent: dirent,
+                        oldLocalDirent: {name: dirent.name,
+                            relpath: dirent.relpath, type: localType,
+                            stat: stat},
+                        diff: {type: [localType, dirent.type]}});
+                    return;
+                }
+                if (dirent.type === 'directory') {
+                    return;
+                }
+
+                /*
+                 * Only check the content (an `info` call, and hashing the
+                 * local file) if it may have changed on either side since
+                 * the last sync.
+                 */
+                entry = self._manifest.get(dirent.relpath);
+                if (!entry || entry.etag !== dirent.etag
+                    || entry.size !== dirent.size
+                    || !self._manifest.statMatches(entry, stat)) {
+                    arg.possibleUpdates.push(dirent);
+                }
+            }
+
+            /*
+             * With `watchMetadata`, carry over the headers of objects whose
+             * mtime hasn't changed. The rest are fetched in `checkMetadata`.
+             */
+            function noteMetadata(dirent) {
+                var meta = (self._metadata
+                    && self._metadata[dirent.relpath]);
+
+                if (meta && meta.mtime === dirent.mtime && !checkAllMetadata) {
+                    arg.newMetadata[dirent.relpath] = meta;
+                } else {
+                    arg.metadataChecks.push(dirent);
+                }
+            }
+
+            function lsNextDir() {
+                var d = dirs.shift();
+
+                if (!d) {
+                    log.trace({numDirents: Object.keys(arg.newState).length,
+                        numChanges: arg.changes.length}, 'listed dir');
+                    next();
+                    return;
+                }
+
+                function handleDirent(dirent) {
+                    dirent.relpath = (d.relpath
+                        ? d.relpath + '/' + dirent.name : dirent.name);
+                    if (dirent.type === 'directory') {
+                        arg.remoteDirs[dirent.relpath] = true;
+                        if (self._descendsBelow(d.depth)) {
+                            dirs.push({
+                                path: d.path + '/' + dirent.name,
+                                relpath: dirent.relpath,
+                                depth: d.depth + 1
+                            });
+                        }
+                    }
+                    if (!mod_filter.direntMatchesFilter(self.filter, dirent)) {
+                        if (arg.localFiles
+                            && !mod_filter.direntMatchesRemoteOnlyFilter(
+                                self.filter, dirent)) {
+                            arg.remoteOnlyFiltered[dirent.relpath] = true;
+                            if (arg.localFiles[dirent.relpath]) {
+                                arg.numNameMatches++;
                             }
-                            nextName();
-                        });
+                        }
+                        return;
                     }
-                }, function (err) {
-                    log.trace({localDirents: arg.localDirents}, 'localDirents');
-                    next(err);
+                    arg.newState[dirent.relpath] = stateEntryFromDirent(
+                        dirent);
+                    arg.numEntries++;
+                    if (self.watchMetadata && dirent.type === 'object') {
+                        noteMetadata(dirent);
+                    }
+                    if (arg.oldState) {
+                        compareToOldState(dirent);
+                    } else if (arg.localFiles) {
+                        compareToLocalFiles(dirent);
+                    }
+                }
+
+                self.backend.ls(d.path, function onLs(err, res) {
+                    if (err && err.statusCode === HTTP_NOT_FOUND) {
+                        // A subdir may have been removed since it was listed.
+                        lsNextDir();
+                        return;
+                    } else if (err) {
+                        next(err);
+                        return;
+                    }
+
+                    res.on('object', handleDirent);
+                    res.on('directory', handleDirent);
+                    res.once('error', next);
+                    res.once('end', function onEnd() {
+                        lsNextDir();
+                    });
                 });
-            });
+            }
+
+            lsNextDir();
         },
 
+        /*
+         * Add deletes: entries in `oldState` (or local files, on the first
+         * sync poll) not in the listing. Then, on the first sync poll,
+         * check files on both sides whose content may differ (by size,
+         * then MD5).
+         */
         function changesFromDirents(arg, next) {
-            var i, ld, name, dirent;
+            var relpath;
+            var deletes = [];
 
             if (arg.oldState) {
-                // Compare against `oldState`.
-                for (i = 0; i < arg.dirents.length; i++) {
-                    dirent = arg.dirents[i];
-                    name = dirent.name;
-                    var oldDirent = arg.oldState[name];
-                    if (!oldDirent) {
-                        arg.changes.push({action: 'create', dirent: dirent});
-                    } else if (diffDirents(oldDirent, dirent)) {
-                        arg.changes.push({action: 'update', dirent: dirent,
-                            oldDirent: oldDirent});
-                    }
-                }
-                var oldNames = Object.keys(arg.oldState);
-                for (i = 0; i < oldNames.length; i++) {
-                    var n = oldNames[i];
-                    if (!arg.newState[n]) {
+                for (relpath in arg.oldState) {
+                    if (typeof (arg.newState[relpath]) === 'undefined') {
                         arg.changes.push({action: 'delete',
-                            oldDirent: arg.oldState[n]});
+                            oldDirent: self._direntFromStateEntry(relpath,
+                                arg.oldState[relpath])});
                     }
                 }
                 log.trace({changes: arg.changes},
                     'changesFromDirents: compare to oldState');
                 next();
+                return;
+            }
+            if (!arg.localFiles) {
+                // Nothing to compare against.
+                log.trace('changesFromDirents: first poll, intializing');
+                next();
+                return;
+            }
 
-            } else if (self.syncDir) {
-                // Compare against `localDirents` from syncDir.
-
-                var localDirentFromName = {};
-                for (i = 0; i < arg.localDirents.length; i++) {
-                    ld = arg.localDirents[i];
-                    localDirentFromName[ld.name] = ld;
-                    if (!arg.newState[ld.name]) {
-                        arg.changes.push({action: 'delete',
-                            oldLocalDirent: ld});
-                    }
-                }
-
-                arg.possibleUpdates = [];
-                for (i = 0; i < arg.dirents.length; i++) {
-                    dirent = arg.dirents[i];
-                    name = dirent.name;
-                    var localDirent = localDirentFromName[name];
-                    if (!localDirent) {
-                        arg.changes.push({action: 'create', dirent: dirent});
-                    } else {
-                        arg.possibleUpdates.push(name);
-                    }
+            // Deletes go first, e.g. to remove a local file before a remote
+            // dir of the same name is created.
+            for (relpath in arg.localFiles) {
+                if (typeof (arg.newState[relpath]) === 'undefined'
+                    && !arg.remoteOnlyFiltered[relpath]) {
+                    deletes.push({action: 'delete', oldLocalDirent: {
+                        name: mod_path.basename(relpath),
+                        relpath: relpath,
+                        type: arg.localFiles[relpath].type,
+                        stat: arg.localFiles[relpath]
+                    }});
                 }
+            }
+            arg.changes = deletes.concat(arg.changes);
 
-                vasync.forEachPipeline({
-                    inputs: arg.possibleUpdates,
-                    func: function checkPossibleUpdate(name, nextName) {
-                        dirent = arg.newState[name];
-                        var path = dirent.parent + '/' + name;
-                        var localDirent = localDirentFromName[name];
-                        var localPath = mod_path.join(self.syncDir, name);
-                        log.trace({path: path, localPath: localPath},
-                            'checkPossibleUpdate');
-                        self.client.info(path, function (err, info) {
-                            if (err) {
-                                nextName(err);
+            vasync.forEachPipeline({
+                inputs: arg.possibleUpdates,
+                func: function checkPossibleUpdate(dirent, nextName) {
+                    var rp = dirent.relpath;
+                    var path = dirent.parent + '/' + dirent.name;
+                    var localDirent = {
+                        name: dirent.name,
+                        relpath: rp,
+                        stat: arg.localFiles[rp]
+                    };
+
+                    log.trace({path: path, relpath: rp},
+                        'checkPossibleUpdate');
+                    self.backend.info(path, function onInfo(err, info) {
+                        if (err) {
+                            nextName(err);
+                            return;
+                        }
+                        dirent.md5 = info.md5;
+                        dirent.contentType = info.type;
+
+                        function compareMd5(md5Err, localMd5) {
+                            if (md5Err) {
+                                nextName(md5Err);
                                 return;
                             }
-                            if (info.size !== localDirent.stat.size) {
-                                arg.changes.push({action: 'update',
-                                    dirent: dirent,
-                                    oldLocalDirent: localDirent});
-                                log.trace({size: info.size,
-                                    localSize: localDirent.stat.size},
-                                    'checkPossibleUpdate: size diff');
+                            if (localMd5 === info.md5) {
+                                self._manifest.set(rp, dirent,
+                                    localDirent.stat);
                                 nextName();
-                            } else {
-                                // Compare md5.
-                                var md5sum = crypto.createHash('md5');
-                                var input = fs.createReadStream(localPath);
-                                input.on('data', function (chunk) {
-                                    md5sum.update(chunk);
-                                });
-                                input.on('end', function () {
-                                    var localMd5 = md5sum.digest('base64');
-                                    if (localMd5 !== info.md5) {
-                                        arg.changes.push({action: 'update',
-                                            dirent: dirent,
-                                            oldLocalDirent: localDirent});
-                                        log.trace({md5: info.md5,
-                                            localMd5: localMd5},
-                                            'checkPossibleUpdate: md5 diff');
-                                    }
-                                    nextName();
-                                });
+                                return;
                             }
-                        });
-                    }
-                }, function (err) {
-                    log.trace({changes: arg.changes},
-                        'changesFromDirents: compare to localDirents');
-                    next(err);
+                            arg.changes.push({action: 'update',
+                                dirent: dirent,
+                                oldLocalDirent: localDirent,
+                                diff: {md5: [localMd5, info.md5]}});
+                            log.trace({md5: info.md5, localMd5: localMd5},
+                                'checkPossibleUpdate: md5 diff');
+                            nextName();
+                        }
+
+                        if (info.size === localDirent.stat.size) {
+                            // Compare md5.
+                            self._manifest.localMd5(rp, localDirent.stat,
+                                compareMd5);
+                            return;
+                        }
+                        arg.changes.push({action: 'update',
+                            dirent: dirent,
+                            oldLocalDirent: localDirent,
+                            diff: {size: [localDirent.stat.size,
+                                info.size]}});
+                        log.trace({size: info.size,
+                            localSize: localDirent.stat.size},
+                            'checkPossibleUpdate: size diff');
+                        nextName();
+                    });
+                }
+            }, function onChecked(err) {
+                log.trace({changes: arg.changes,
+                    numInfos: arg.possibleUpdates.length},
+                    'changesFromDirents: compare to local files');
+                // Done with these: don't hold them for the rest of the poll.
+                arg.possibleUpdates = null;
+                next(err);
+            });
+        },
+
+        /*
+         * With `detectRenames`, pair up a delete and a create of objects
+         * with the same etag into a single "rename". Only possible when
+         * comparing against `oldState`, as local files don't have etags.
+         */
+        function detectRenames(arg, next) {
+            var deleteFromEtag = {};
+            var renamed = [];
+
+            if (!self.detectRenames || !arg.oldState) {
+                next();
+                return;
+            }
+
+            arg.changes.forEach(function noteDelete(ch) {
+                var etag;
+
+                if (ch.action !== 'delete' || !ch.oldDirent.etag) {
+                    return;
+                }
+                etag = ch.oldDirent.etag;
+                if (!deleteFromEtag[etag]) {
+                    deleteFromEtag[etag] = [];
+                }
+                deleteFromEtag[etag].push(ch);
+            });
+
+            arg.changes.forEach(function pairCreate(ch) {
+                var deletes = (ch.action === 'create' && ch.dirent.etag
+                    && deleteFromEtag[ch.dirent.etag]);
+                var del;
+                var entry;
+
+                if (!deletes || deletes.length === 0) {
+                    return;
+                }
+                del = deletes.shift();
+                entry = (self._manifest
+                    && self._manifest.get(del.oldDirent.relpath));
+                ch.action = 'rename';
+                ch.oldDirent = del.oldDirent;
+                // Same etag, so same content.
+                if (!ch.dirent.md5 && entry
+                    && entry.etag === ch.dirent.etag) {
+                    ch.dirent.md5 = entry.md5;
+                }
+                renamed.push(del);
+            });
+            if (renamed.length > 0) {
+                arg.changes = arg.changes.filter(function notRenamed(ch) {
+                    return (renamed.indexOf(ch) === -1);
                 });
+                log.trace({numRenames: renamed.length}, 'detected renames');
+            }
+            next();
+        },
 
-            } else {
-                // Nothing to compare against.
-                log.trace('changesFromDirents: first poll, intializing');
+        /*
+         * With `watchMetadata`, fetch the headers of the objects noted by
+         * `listDir` and compare their tracked headers to the last poll's.
+         * A difference is added to the object's "update" change or, if its
+         * content hasn't changed, is a new (metadata-only) "update".
+         */
+        function checkMetadata(arg, next) {
+            var changeFromRelpath = {};
+            var numDiffs = 0;
+
+            if (!self.watchMetadata) {
+                next();
+                return;
+            }
+
+            arg.changes.forEach(function noteChange(ch) {
+                if (ch.dirent) {
+                    changeFromRelpath[ch.dirent.relpath] = ch;
+                }
+            });
+
+            vasync.forEachPipeline({
+                inputs: arg.metadataChecks,
+                func: function checkOne(dirent, nextDirent) {
+                    var rp = dirent.relpath;
+                    var path = dirent.parent + '/' + dirent.name;
+
+                    self.backend.info(path, function onInfo(err, info) {
+                        var headers;
+                        var oldMeta;
+                        var diff;
+                        var change;
+
+                        if (err) {
+                            // Removed since the listing: the next poll will
+                            // see the delete.
+                            nextDirent(err.statusCode === HTTP_NOT_FOUND
+                                ? null : err);
+                            return;
+                        }
+                        if (!dirent.md5) {
+                            dirent.md5 = info.md5;
+                            dirent.contentType = info.type;
+                        }
+
+                        headers = metadataFromHeaders(info.headers || {});
+                        oldMeta = (self._metadata && self._metadata[rp]);
+                        diff = (oldMeta
+                            ? diffMetadata(oldMeta.headers, headers) : null);
+                        change = changeFromRelpath[rp];
+
+                        arg.newMetadata[rp] = {mtime: dirent.mtime,
+                            headers: headers};
+                        arg.metadataFetched.push(rp);
+                        if (!diff) {
+                            nextDirent();
+                            return;
+                        }
+                        numDiffs++;
+                        if (!change) {
+                            arg.changes.push({action: 'update',
+                                dirent: dirent,
+                                oldDirent: self._direntFromStateEntry(rp,
+                                    arg.oldState[rp]),
+                                diff: {headers: diff}});
+                        } else if (change.action === 'update') {
+                            change.diff.headers = diff;
+                        }
+                        nextDirent();
+                    });
+                }
+            }, function onChecked(err) {
+                log.trace({numInfos: arg.metadataChecks.length,
+                    numDiffs: numDiffs}, 'checked metadata');
+                arg.metadataChecks = null;
+                next(err);
+            });
+        },
+
+        /*
+         * With `reconcileLocal`, check local files for objects that haven't
+         * changed remotely against what was last synced, and add a "repair"
+         * change for any that have drifted.
+         */
+        function reconcileLocal(arg, next) {
+            var changed = {};
+            var relpaths;
+
+            if (!self.syncDir || !self.reconcileLocal || !arg.oldState
+                || pollNum % self.reconcileLocal !== 0) {
+                next();
+                return;
+            }
+
+            arg.changes.forEach(function noteChanged(ch) {
+                changed[(ch.dirent || ch.oldDirent).relpath] = true;
+            });
+            relpaths = Object.keys(arg.newState).filter(
+                function isUnchanged(rp) {
+                    return (arg.newState[rp] !== 'd' && !changed[rp]);
+                });
+            // Don't repeatedly repair (and reject) a rejected version.
+            relpaths = relpaths.filter(function isNotRejected(rp) {
+                return (typeof (self._rejectedEtags[rp]) === 'undefined'
+                    || self._rejectedEtags[rp] !== self._direntFromStateEntry(
+                        rp, arg.newState[rp]).etag);
+            });
+
+            vasync.forEachPipeline({
+                inputs: relpaths,
+                func: function reconcileOne(rp, nextRelpath) {
+                    var dirent = self._direntFromStateEntry(rp,
+                        arg.newState[rp]);
+
+                    self._checkLocal(dirent, function onCheck(err, reason) {
+                        if (err) {
+                            nextRelpath(err);
+                            return;
+                        }
+                        if (reason === 'type'
+                            && self._typeConflictPolicy() === 'keep') {
+                            // A kept type conflict: leave it be.
+                            nextRelpath();
+                            return;
+                        }
+                        if (reason) {
+                            log.info({relpath: rp, reason: reason},
+                                'local file has drifted, repairing');
+                            arg.changes.push({action: 'repair',
+                                dirent: dirent, reason: reason});
+                        }
+                        nextRelpath();
+                    });
+                }
+            }, function onReconciled(err) {
+                log.trace({numChecked: relpaths.length}, 'reconciled local');
+                next(err);
+            });
+        },
+
+        /*
+         * When syncing in place, find changes whose local path has an entry
+         * of the other type (e.g. a local dir where the remote is now an
+         * object). These become "update" changes with a "type" diff, and
+         * `conflict` set to the `syncTypeConflict` policy. Snapshots are
+         * built afresh, so can't conflict.
+         */
+        function checkTypeConflicts(arg, next) {
+            var conflicts = [];
+            var toCheck;
+
+            function addConflict(change, localType, stat) {
+                var relpath = change.dirent.relpath;
+
+                if (change.action === 'create' || change.action === 'repair') {
+                    change.action = 'update';
+                    change.diff = {};
+                    change.oldLocalDirent = {
+                        name: change.dirent.name,
+                        relpath: relpath,
+                        type: localType,
+                        stat: {mtime: stat.mtime}
+                    };
+                    if (localType === 'object') {
+                        change.oldLocalDirent.stat.size = stat.size;
+                    }
+                }
+                if (change.diff) {
+                    change.diff.type = [localType, change.dirent.type];
+                }
+                change.conflict = self._typeConflictPolicy();
+                if (change.conflict !== self.syncTypeConflict) {
+                    log.warn({relpath: relpath, localType: localType},
+                        'sync type conflict: keeping the local entry, as '
+                        + 'syncDelete is off');
+                }
+                conflicts.push(relpath);
+            }
+
+            if (!self.syncDir || self.syncMode === 'snapshot') {
                 next();
+                return;
             }
+
+            toCheck = arg.changes.filter(function isNotDelete(ch) {
+                return (ch.action !== 'delete');
+            });
+            vasync.forEachPipeline({
+                inputs: toCheck,
+                func: function checkOne(change, nextChange) {
+                    var localPath = self._localPathFromRelpath(
+                        change.dirent.relpath);
+
+                    fs.lstat(localPath, function onLstat(err, stat) {
+                        var localType;
+
+                        if (err) {
+                            // ENOTDIR: a parent is a file (its own conflict).
+                            nextChange((err.code === 'ENOENT'
+                                || err.code === 'ENOTDIR') ? null : err);
+                            return;
+                        }
+                        localType = (stat.isDirectory() ? 'directory'
+                            : 'object');
+                        if (localType !== change.dirent.type) {
+                            addConflict(change, localType, stat);
+                        }
+                        nextChange();
+                    });
+                }
+            }, function onChecked(err) {
+                var policy = self._typeConflictPolicy();
+
+                if (err || conflicts.length === 0) {
+                    next(err);
+                    return;
+                }
+                if (policy === 'error') {
+                    guardFailed(new Error(format('sync type conflict: %d '
+                        + 'local entr%s (%s) %s not the same type as in '
+                        + 'Manta (syncTypeConflict=error)', conflicts.length,
+                        (conflicts.length === 1 ? 'y' : 'ies'),
+                        conflicts.join(', '),
+                        (conflicts.length === 1 ? 'is' : 'are'))), next);
+                    return;
+                }
+                log.info({conflicts: conflicts, policy: policy},
+                    'sync type conflicts');
+                next();
+            });
         },
 
         /*
          * When doing syncing with `syncDelete`, we have a sanity guard
          * to protect against deleting all (or many) files in the given
-         * `syncDir` if it looks like a mischosen local dir.
+         * `syncDir` if it looks like a mischosen local dir. Local entries
+         * replaced for a type conflict count as deletes.
          */
         function firstRunSyncDeleteGuard(arg, next) {
+            var deleteNames = [];
+
             if (!self.syncDir || !self.syncDelete
-                || arg.oldState || self.disableSyncDeleteGuard)
-            {
+                || arg.oldState || self.disableSyncDeleteGuard) {
                 next();
                 return;
             }
 
-            assert.arrayOfString(arg.possibleUpdates, 'arg.possibleUpdates');
-
-            var deleteNames = [];
-            arg.changes.forEach(function (ch) {
+            arg.changes.forEach(function noteDelete(ch) {
                 if (ch.action === 'delete') {
-                    deleteNames.push(ch.oldLocalDirent.name);
+                    deleteNames.push(ch.oldLocalDirent.relpath);
+                } else if (ch.conflict === 'replace') {
+                    deleteNames.push(ch.dirent.relpath);
                 }
             });
 
             /*
              * `deleteNames` entries means we will be deleting local files.
-             * Empty `possibleUpdates` means there were no matching names
+             * Zero `numNameMatches` means there were no matching names
              * between local and manta dirs -- in other words, there is no
              * sign here that `syncDir` isn't an accident.
              */
-            if (deleteNames.length > 0 && arg.possibleUpdates.length === 0) {
-                next(new Error(format('sync-delete-guard failure: '
+            if (deleteNames.length > 0 && arg.numNameMatches === 0) {
+                guardFailed(new Error(format('sync-delete-guard failure: '
                     + 'Are you sure syncDir="%s" is correct for syncing '
                     + 'from dir="%s"; %d local file%s (%s) would be deleted '
                     + 'and there are no filename matches between "syncDir" '
@@ -551,167 +2021,1619 @@ MantaDirWatcher.prototype._poll = function _poll() {
                     + '"disableSyncDeleteGuard" option to override this '
                     + 'guard.)', self.syncDir, self.dir, deleteNames.length,
                     (deleteNames.length === 1 ? '' : 's'),
-                    deleteNames.join(', '))));
-            } else {
-                log.trace({numDeletes: deleteNames.length,
-                    numNameMatches: arg.possibleUpdates.length},
-                    'passed sync-delete-guard');
-                next();
+                    deleteNames.join(', '))), next);
+                return;
             }
+            log.trace({numDeletes: deleteNames.length,
+                numNameMatches: arg.numNameMatches},
+                'passed sync-delete-guard');
+            next();
         },
 
-        function syncChanges(arg, next) {
-            if (!self.syncDir || self.dryRun) {
+        /*
+         * The "sync-delete-limit" guard: refuse to sync a poll's changes if
+         * it would delete too many local files, per `maxDeletes` and
+         * `maxDeletePercent`. Unlike the first-run guard above, this
+         * applies on every poll.
+         */
+        function syncDeleteLimitGuard(arg, next) {
+            var numDeletes;
+            var numLocal;
+            var limitErr;
+
+            if (!self.syncDir
+                || !(self.syncDelete || self.syncMode === 'snapshot')
+                || (self.maxDeletes === null
+                    && self.maxDeletePercent === null)) {
                 next();
                 return;
             }
 
-            vasync.forEachPipeline({
-                inputs: arg.changes,
-                func: function syncChange(change, nextChange) {
-                    switch (change.action) {
-                        case 'update':
-                        case 'create':
-                            self._syncDirent(change.dirent, nextChange);
-                            break;
-                        case 'delete':
-                            if (self.syncDelete) {
-                                var localPath = (change.oldDirent
-                                    ? change.oldDirent.parent + '/'
-                                        + change.oldDirent.name
-                                    : change.oldLocalDirent.path);
-                                log.trace({localPath: localPath}, 'rm');
-                                rimraf(localPath, nextChange);
-                            } else {
-                                nextChange();
-                            }
-                            break;
-                        default:
-                            throw new Error('unknown change action: '
-                                + change.action);
-                    }
-                }
-            }, function finishSyncChanges(err) {
-                next(err);
+            numDeletes = arg.changes.filter(function isDelete(ch) {
+                return (ch.action === 'delete' || ch.conflict === 'replace');
+            }).length;
+            numLocal = Object.keys(arg.oldState || arg.localFiles
+                || {}).length;
+            limitErr = common.checkDeleteLimits({
+                guard: 'sync-delete-limit',
+                noun: 'local file',
+                numDeletes: numDeletes,
+                numTotal: numLocal,
+                maxDeletes: self.maxDeletes,
+                maxDeletePercent: self.maxDeletePercent
             });
+
+            if (limitErr) {
+                guardFailed(limitErr, next);
+                return;
+            }
+            log.trace({numDeletes: numDeletes, numLocal: numLocal},
+                'passed sync-delete-limit guard');
+            next();
         },
 
-        function pushEvents(arg, next) {
-            var timeEvent = new Date().toISOString();
+        function syncChanges(arg, next_) {
+            var deletedRelpaths = [];
+            var syncErr = null;
+            var contentChanges;
+            var trashDir;
+            var queue;
 
-            var events = [];
-            for (var i = 0; i < arg.changes.length; i++) {
-                var change = arg.changes[i];
-                var aDirent = (change.dirent || change.oldDirent
-                    || change.oldLocalDirent);
-                var name = aDirent.name;
-                var path = self.dir + '/' + name;
-                var event = {
-                    timeEvent: timeEvent,
-                    action: change.action,
-                    name: name,
-                    path: path
+            if (!self.syncDir) {
+                next_();
+                return;
+            } else if (self.dryRun) {
+                arg.plan = self._planSync(arg.changes, arg.guardErrors);
+                next_();
+                return;
+            }
+
+            /*
+             * Changes rejected by `syncValidate` weren't synced: drop them.
+             * Deferred changes (downloads that couldn't be verified) are
+             * dropped too, and their state reverted so that the next poll
+             * tries again. Downloaded objects may have been overwritten
+             * since they were listed, so their state is updated to the
+             * version that was downloaded.
+             */
+            function next(err) {
+                arg.changes = arg.changes.filter(function wasSynced(ch) {
+                    var rp;
+
+                    if (!ch.dirent || ch.dirent.type !== 'object') {
+                        return true;
+                    }
+                    rp = ch.dirent.relpath;
+                    if (ch.dirent.deferred) {
+                        if (arg.oldState
+                            && typeof (arg.oldState[rp]) !== 'undefined') {
+                            arg.newState[rp] = arg.oldState[rp];
+                        } else {
+                            delete arg.newState[rp];
+                        }
+                        return false;
+                    }
+                    if (typeof (arg.newState[rp]) !== 'undefined') {
+                        arg.newState[rp] = stateEntryFromDirent(ch.dirent);
+                    }
+                    return !ch.dirent.rejected;
+                });
+                next_(err);
+            }
+
+            // Metadata-only changes have nothing to download.
+            contentChanges = arg.changes.filter(function isContentChange(ch) {
+                return !isMetadataOnlyChange(ch);
+            });
+
+            if (self.syncMode === 'snapshot') {
+                if (contentChanges.length === 0) {
+                    next();
+                    return;
+                }
+                self._syncSnapshot(contentChanges, arg.newState, next);
+                return;
+            }
+
+            // All of a poll's deletes go in the same trash dir. Names from
+            // `snapshotName` are unique, so polls never share one.
+            trashDir = (self.syncTrashDir ? mod_path.join(
+                self.syncTrashDir, snapshotName(new Date())) : null);
+
+            // With `metadataSidecar`, a removed local file's sidecar goes
+            // with it.
+            function andDeleteSidecar(relpath, done) {
+                return function deleteSidecar(err) {
+                    if (err || !self.metadataSidecar) {
+                        done(err);
+                        return;
+                    }
+                    self._deleteLocal(sidecarRelpath(relpath), trashDir,
+                        done);
                 };
+            }
+
+            function syncChange(change, nextChange) {
+                var relpath;
+
+                if (syncErr || change.conflict === 'keep') {
+                    // Don't start more work after a failure. Kept type
+                    // conflicts aren't synced.
+                    nextChange();
+                    return;
+                }
                 switch (change.action) {
                     case 'update':
-                        event.mtime = change.dirent.mtime;
-                        break;
                     case 'create':
-                        event.mtime = change.dirent.mtime;
+                    case 'repair':
+                        if (change.dirent.type === 'directory') {
+                            mkdirp(self._localPathFromRelpath(
+                                change.dirent.relpath), nextChange);
+                        } else {
+                            self._syncDirent(change.dirent,
+                                self._localPathFromRelpath(
+                                    change.dirent.relpath),
+                                nextChange);
+                        }
+                        break;
+                    case 'rename':
+                        if (self.syncDelete) {
+                            deletedRelpaths.push(change.oldDirent.relpath);
+                            self._syncRename(change, andDeleteSidecar(
+                                change.oldDirent.relpath, nextChange));
+                        } else {
+                            self._syncDirent(change.dirent,
+                                self._localPathFromRelpath(
+                                    change.dirent.relpath),
+                                nextChange);
+                        }
                         break;
                     case 'delete':
+                        if (self.syncDelete) {
+                            relpath = (change.oldDirent
+                                || change.oldLocalDirent).relpath;
+                            deletedRelpaths.push(relpath);
+                            self._deleteLocal(relpath, trashDir,
+                                andDeleteSidecar(relpath, nextChange));
+                        } else {
+                            nextChange();
+                        }
                         break;
                     default:
                         throw new Error('unknown change action: '
                             + change.action);
                 }
-                events.push(event);
             }
 
-            if (events.length > 0) {
-                var group = {events: events};
-                if (self._paused) {
-                    log.trace({group: group}, 'pushEvents: buffering events');
-                    self._buffer.push(group);
-                } else {
-                    log.trace({group: group}, 'pushEvents: pushing events');
-                    if (!self.push(group)) {
-                        self._pause();
-                    }
+            queue = vasync.queue(syncChange, self.syncConcurrency);
+            queue.on('end', function finishSyncChanges() {
+                if (syncErr) {
+                    next(syncErr);
+                    return;
                 }
+                vasync.pipeline({funcs: [
+                    function pruneLocalDirs(_, nextPrune) {
+                        if (!self.recursive) {
+                            nextPrune();
+                            return;
+                        }
+                        self._pruneLocalDirs(deletedRelpaths, arg.remoteDirs,
+                            nextPrune);
+                    },
+                    function pruneTrash(_, nextPrune) {
+                        if (!self.syncTrashDir) {
+                            nextPrune();
+                            return;
+                        }
+                        self._pruneTrash(nextPrune);
+                    }
+                ]}, function onPruned(err) {
+                    next(err);
+                });
+            });
+
+            // First remove local entries replaced by one of the other type.
+            vasync.forEachPipeline({
+                inputs: arg.changes.filter(function isReplace(ch) {
+                    return (ch.conflict === 'replace');
+                }),
+                func: function removeConflicting(change, nextChange) {
+                    log.info({relpath: change.dirent.relpath,
+                        type: change.dirent.type}, 'replacing local entry of '
+                        + 'the other type');
+                    self._deleteLocal(change.dirent.relpath, trashDir,
+                        andDeleteSidecar(change.dirent.relpath, nextChange));
+                }
+            }, function onConflictsRemoved(err) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                contentChanges.forEach(function queueChange(change) {
+                    queue.push(change, function onSynced(changeErr) {
+                        if (changeErr && !syncErr) {
+                            syncErr = changeErr;
+                        }
+                    });
+                });
+                queue.close();
+            });
+        },
+
+        /*
+         * With `metadataSidecar`, write the sidecar of each object whose
+         * headers were fetched this poll. Objects whose download was
+         * rejected, or that are a kept type conflict, are skipped.
+         */
+        function writeMetadataSidecars(arg, next) {
+            var kept = {};
+            var relpaths;
+
+            if (!self.metadataSidecar || self.dryRun) {
+                next();
+                return;
+            }
+
+            arg.changes.forEach(function noteKept(ch) {
+                if (ch.conflict === 'keep') {
+                    kept[ch.dirent.relpath] = true;
+                }
+            });
+            relpaths = arg.metadataFetched.filter(function isToWrite(rp) {
+                return (!kept[rp]
+                    && (typeof (self._rejectedEtags[rp]) === 'undefined'
+                    || self._rejectedEtags[rp] !== self._direntFromStateEntry(
+                        rp, arg.newState[rp]).etag));
+            });
+
+            vasync.forEachPipeline({
+                inputs: relpaths,
+                func: function writeOne(rp, nextRelpath) {
+                    self._writeMetadataSidecar(rp,
+                        arg.newMetadata[rp].headers, nextRelpath);
+                }
+            }, function onWritten(err) {
+                log.trace({numSidecars: relpaths.length},
+                    'wrote metadata sidecars');
+                next(err);
+            });
+        },
+
+        /*
+         * Record synced files in the manifest, and drop entries for files
+         * no longer synced. This is done before pushing events, so that
+         * changes made by event handlers aren't recorded as synced.
+         */
+        function updateManifest(arg, next) {
+            var synced;
+
+            if (!self.syncDir || self.dryRun) {
+                next();
+                return;
+            }
+
+            synced = arg.changes.filter(function isSynced(ch) {
+                return (ch.dirent && ch.dirent.type === 'object'
+                    && !isMetadataOnlyChange(ch));
+            });
+            vasync.forEachPipeline({
+                inputs: synced,
+                func: function recordOne(change, nextChange) {
+                    var relpath = change.dirent.relpath;
+                    var localPath = self._localPathFromRelpath(relpath);
+
+                    fs.stat(localPath, function onStat(err, stat) {
+                        if (err && err.code !== 'ENOENT') {
+                            nextChange(err);
+                            return;
+                        }
+                        if (err || !change.dirent.md5) {
+                            // E.g. removed remotely before it was synced.
+                            self._manifest.remove(relpath);
+                        } else {
+                            self._manifest.set(relpath, change.dirent, stat);
+                        }
+                        nextChange();
+                    });
+                }
+            }, function onRecorded(err) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                self._manifest.prune(function isInState(relpath) {
+                    return (Boolean(arg.newState[relpath]));
+                });
+                self._manifest.save(next);
+            });
+        },
+
+        function pushEvents(arg, next) {
+            var timeEvent = new Date().toISOString();
+            var events = [];
+            var i;
+            var change;
+            var aDirent;
+            var event;
+            var old;
+
+            for (i = 0; i < arg.changes.length; i++) {
+                change = arg.changes[i];
+                aDirent = (change.dirent || change.oldDirent
+                    || change.oldLocalDirent);
+                event = {
+                    timeEvent: timeEvent,
+                    action: change.action,
+                    name: aDirent.name,
+                    relpath: aDirent.relpath,
+                    path: self.dir + '/' + aDirent.relpath,
+                    type: aDirent.type || 'object',
+                    size: (aDirent.stat ? aDirent.stat.size : aDirent.size),
+                    etag: aDirent.etag
+                };
+                if (aDirent.contentType) {
+                    event.contentType = aDirent.contentType;
+                }
+                if (aDirent.md5) {
+                    event.md5 = aDirent.md5;
+                }
+                switch (change.action) {
+                    case 'update':
+                        event.mtime = change.dirent.mtime;
+                        old = (change.oldDirent
+                            || {size: change.oldLocalDirent.stat.size});
+                        event.oldEtag = old.etag;
+                        event.oldSize = old.size;
+                        event.changed = Object.keys(change.diff);
+                        if (change.diff.type) {
+                            event.oldType = change.diff.type[0];
+                        }
+                        if (change.diff.headers) {
+                            event.headersDiff = change.diff.headers;
+                        }
+                        if (change.conflict) {
+                            event.conflict = change.conflict;
+                        }
+                        break;
+                    case 'create':
+                        event.mtime = change.dirent.mtime;
+                        break;
+                    case 'repair':
+                        event.mtime = change.dirent.mtime;
+                        event.reason = change.reason;
+                        break;
+                    case 'rename':
+                        event.mtime = change.dirent.mtime;
+                        event.oldName = change.oldDirent.name;
+                        event.oldRelpath = change.oldDirent.relpath;
+                        event.oldPath = self.dir + '/'
+                            + change.oldDirent.relpath;
+                        break;
+                    case 'delete':
+                        break;
+                    default:
+                        throw new Error('unknown change action: '
+                            + change.action);
+                }
+                events.push(event);
             }
+
+            arg.group = {events: events};
+            if (arg.plan) {
+                arg.group.plan = arg.plan;
+            }
+            if (self.localDir) {
+                events.forEach(function addLocalPath(ev) {
+                    ev.localPath = self._localPathFromRelpath(ev.relpath);
+                });
+            }
+
+            if (events.length > 0) {
+                if (self._paused) {
+                    log.trace({group: arg.group},
+                        'pushEvents: buffering events');
+                    self._buffer.push(arg.group);
+                } else {
+                    log.trace({group: arg.group},
+                        'pushEvents: pushing events');
+                    if (!self.push(arg.group)) {
+                        self._pause();
+                    }
+                }
+            }
+            events.forEach(function emitEvent(ev) {
+                self._numEvents[ev.action]++;
+                self.emit(ev.action, ev);
+            });
             next();
         },
 
+        /*
+         * Events have been pushed at this point, so a crash before the
+         * state file is written means changes are re-reported on restart
+         * rather than lost.
+         */
+        function saveStateFile(arg, next) {
+            if (!self.stateFile || (self.dryRun && self.syncDir)) {
+                next();
+                return;
+            }
+            self._saveStateFile(arg.newState,
+                (self.watchMetadata ? arg.newMetadata : null), next);
+        },
+
         function saveStateAndScheduleNextPoll(arg, next) {
-            self._state = arg.newState;
+            /*
+             * A dry-run sync leaves the local files as they were, so the
+             * next poll compares against them (or the loaded state) again.
+             */
+            self._listing = arg.newState;
+            if (!self.dryRun || !self.syncDir) {
+                self._state = arg.newState;
+                if (self.watchMetadata) {
+                    self._metadata = arg.newMetadata;
+                }
+            }
+            self._numEntries = arg.numEntries;
+            self._numPollFailures = 0;
+            self._retryTime = null;
+            self._lastGoodPollTime = Date.now();
 
             // Schedule next poll.
             self._lastPollTime = Date.now();  // time we *completed* last poll
+            if (self.maxIntervalMs !== null) {
+                self._adaptInterval(arg.changes.length > 0);
+            }
+            self.emit('poll', arg.group);
             if (self.oneShot) {
                 self.close();
-            } else if (!self._paused) {
-                self._pollTimeout = setTimeout(function () {
-                    self._poll();
-                }, self.intervalMs);
-                log.trace({delay: self.intervalMs}, 'schedule next poll');
+            } else if (!self._pollAgain) {
+                self._scheduleNextPoll();
             }
 
             next();
         }
 
     ]}, function finishPoll(err) {
-        log.trace({err: err}, '_poll: end');
+        var cbs = self._pollCbs;
+        var again = self._pollAgain;
+        var duration = (Date.now() - pollStart) / MS_PER_SEC;
+
+        log.trace({err: err, duration: duration}, '_poll: end');
+        self._polling = false;
+        self._pollDurationSum += duration;
+        POLL_DURATION_BUCKETS.forEach(function countDuration(bound, i) {
+            if (duration <= bound) {
+                self._pollDurationCounts[i]++;
+            }
+        });
         if (err) {
-            self.emit('error', err);
+            self._numPollFailuresTotal++;
+        }
+        self._pollCbs = [];
+        self._pollAgain = null;
+
+        if (err && cbs.length > 0) {
+            // A `pollOnce()` failure goes to the caller. Carry on polling.
+            self._lastPollTime = Date.now();
+            if (!again) {
+                self._scheduleNextPoll();
+            }
+        } else if (err) {
+            self._handlePollError(err);
+        }
+        cbs.forEach(function callPollCb(pollCb) {
+            pollCb(err, (err ? null : context.group));
+        });
+
+        if (again) {
+            self._poll(again.length === 0 ? null
+                : function onPollAgain(againErr, group) {
+                    again.forEach(function callPollCb(pollCb) {
+                        pollCb(againErr, group);
+                    });
+                });
         }
+        if (self._closed && !self._polling) {
+            self._finishClose();
+        }
+    });
+};
+
+
+/*
+ * Apply the retry policy to a failed poll: emit "pollError" and schedule
+ * a retry, or emit "error" if the error is fatal or we've given up.
+ */
+MantaDirWatcher.prototype._handlePollError = function _handlePollError(err) {
+    var self = this;
+    var r = common.pollRetry(self.retry, err, ++self._numPollFailures);
+    var delay = r.retryDelay;
+
+    self.log.warn({err: err, attempt: r.attempt, retryable: r.retryable,
+        retryDelay: delay}, 'poll failed');
+    self.emit('pollError', err, {
+        attempt: r.attempt,
+        retryable: r.retryable,
+        retryDelay: delay
     });
+
+    if (self._closed) {
+        return;
+    }
+    if (r.giveUpErr) {
+        self._retryTime = null;
+        self._failed = true;
+        self.emit('error', r.giveUpErr);
+        return;
+    }
+
+    self._retryTime = Date.now() + delay;
+    if (!self._paused) {
+        self._pollTimeout = setTimeout(function retryPoll() {
+            self._pollTimeout = null;
+            self._poll();
+        }, delay);
+        self.log.trace({delay: delay}, 'schedule poll retry');
+    }
 };
 
 
-MantaDirWatcher.prototype._syncDirent = function _syncDirent(dirent, cb) {
+/*
+ * Download the given dirent to `localPath`, retrying failed (or unverified)
+ * downloads up to `syncRetries` times with backoff. If the download fails
+ * `syncValidate`, this emits "reject", sets `dirent.rejected` and calls
+ * back without an error. If it still can't be verified after the retries,
+ * or the object was removed since it was listed, this sets
+ * `dirent.deferred` and calls back without an error, leaving the object
+ * for the next poll.
+ */
+MantaDirWatcher.prototype._syncDirent = function _syncDirent(dirent, localPath,
+    cb) {
+    var self = this;
+    var isRetryable = self.retry.isRetryable || isRetryableError;
+    var attempt = 0;
+
     assert.object(dirent, 'dirent');
+    assert.string(localPath, 'localPath');
     assert.func(cb, 'cb');
 
+    function tryDownload() {
+        attempt++;
+        self._downloadDirent(dirent, localPath, function onDownload(err) {
+            var delay;
+
+            if (!err) {
+                delete self._rejectedEtags[dirent.relpath];
+                cb();
+                return;
+            }
+            if (err.validateFailed) {
+                self._rejectDirent(dirent, err);
+                cb();
+                return;
+            }
+            if (err.statusCode === HTTP_NOT_FOUND) {
+                self.log.warn({relpath: dirent.relpath},
+                    'object removed before it could be synced');
+                dirent.deferred = true;
+                cb();
+                return;
+            }
+            if (err.verifyFailed && attempt > self.syncRetries) {
+                self._numSyncFailures++;
+                self.log.warn({err: err, relpath: dirent.relpath,
+                    attempt: attempt}, 'download could not be verified, '
+                    + 'leaving it for the next poll');
+                dirent.deferred = true;
+                cb();
+                return;
+            }
+            if (attempt > self.syncRetries
+                || !(err.verifyFailed || isRetryable(err))) {
+                self._numSyncFailures++;
+                cb(err);
+                return;
+            }
+
+            delay = Math.round(MS_PER_SEC * backoffDelay(attempt,
+                self.retry.minDelay, self.retry.maxDelay));
+            self.log.warn({err: err, relpath: dirent.relpath,
+                attempt: attempt, retryDelay: delay}, 'download failed');
+            setTimeout(tryDownload, delay);
+        });
+    }
+
+    tryDownload();
+};
+
+MantaDirWatcher.prototype._rejectDirent = function _rejectDirent(dirent, err) {
+    var path = dirent.parent + '/' + dirent.name;
+
+    dirent.rejected = true;
+    this._rejectedEtags[dirent.relpath] = dirent.etag;
+    this._numSyncRejects++;
+    this.log.warn({relpath: dirent.relpath, etag: dirent.etag,
+        output: err.output}, 'downloaded file failed validation, not '
+        + 'installing it');
+    this.emit('reject', {
+        name: dirent.name,
+        relpath: dirent.relpath,
+        path: path,
+        etag: dirent.etag,
+        size: dirent.size,
+        output: err.output
+    });
+};
+
+
+/*
+ * Download the given dirent to a temp file, verify its size and MD5, check
+ * it with `syncValidate` (if any), then move it into place at `localPath`.
+ * A validation failure is an error with `validateFailed: true`.
+ *
+ * The download is verified against the GET response's headers rather than
+ * the listing, as the object may have been overwritten since it was listed.
+ * The dirent is updated to match the response, so that it describes the
+ * version that was downloaded. A verify failure is an error with
+ * `verifyFailed: true`.
+ */
+MantaDirWatcher.prototype._downloadDirent = function _downloadDirent(dirent,
+    localPath, cb) {
     var self = this;
     var log = self.log;
-    var name = dirent.name;
-    var tmpLocalPath = mod_path.join(self.syncDir,
-        '.' + name + '.mwatchdirpart');
-    var localPath = mod_path.join(self.syncDir, name);
-    var path = dirent.parent + '/' + name;
+    var localDir;
+    var tmpLocalPath;
+    var path;
+
+    assert.object(dirent, 'dirent');
+    assert.string(localPath, 'localPath');
+    assert.func(cb, 'cb');
+
+    localDir = mod_path.dirname(localPath);
+    tmpLocalPath = mod_path.join(localDir,
+        '.' + dirent.name + '.mwatchdirpart');
+    path = dirent.parent + '/' + dirent.name;
 
     vasync.pipeline({funcs: [
-        function mkdirpSyncDir(_, next) {
-            mkdirp(self.syncDir, next);
+        function mkdirpLocalDir(_, next) {
+            mkdirp(localDir, next);
         },
         function downloadToTmpFile(_, next) {
-            self.client.get(path, function (err, src) {
-                var out = fs.createWriteStream(tmpLocalPath);
-                out.on('finish', function () {
-                    next();
+            self.backend.get(path, function onGet(err, src, res) {
+                var md5sum;
+                var size = 0;
+                var finished = false;
+                var out;
+
+                if (err) {
+                    next(err);
+                    return;
+                }
+                md5sum = crypto.createHash('md5');
+                out = fs.createWriteStream(tmpLocalPath);
+
+                function finish(finishErr) {
+                    if (finished) {
+                        return;
+                    }
+                    finished = true;
+                    next(finishErr);
+                }
+
+                src.on('data', function onData(chunk) {
+                    md5sum.update(chunk);
+                    size += chunk.length;
+                    self._bytesDownloaded += chunk.length;
+                });
+                // Close the temp file before it is removed, so that
+                // retries don't leak a file descriptor each.
+                src.once('error', function onSrcError(srcErr) {
+                    if (finished) {
+                        return;
+                    }
+                    finished = true;
+                    src.unpipe(out);
+                    out.once('close', function onClosed() {
+                        next(srcErr);
+                    });
+                    out.destroy();
+                });
+                // Writes pending when `out` is destroyed error out too.
+                out.on('error', finish);
+                out.once('finish', function onFinish() {
+                    var headers = (res && res.headers) || {};
+                    var expectedSize = Number(headers['content-length']);
+                    var expectedMd5 = headers['content-md5'];
+                    var md5 = md5sum.digest('base64');
+                    var verifyErr = null;
+
+                    if (headers.etag && headers.etag !== dirent.etag) {
+                        log.debug({relpath: dirent.relpath,
+                            etag: dirent.etag, newEtag: headers.etag},
+                            'object changed since it was listed');
+                        dirent.etag = headers.etag;
+                        if (!isNaN(expectedSize)) {
+                            dirent.size = expectedSize;
+                        }
+                        if (headers['last-modified']) {
+                            dirent.mtime = new Date(
+                                headers['last-modified']).toISOString();
+                        }
+                    }
+                    dirent.md5 = md5;
+                    if (headers['content-type']) {
+                        dirent.contentType = headers['content-type'];
+                    }
+
+                    if (!isNaN(expectedSize) && size !== expectedSize) {
+                        verifyErr = new Error(format('downloaded size of '
+                            + '"%s" (%d) does not match expected size (%d)',
+                            path, size, expectedSize));
+                    } else if (expectedMd5 && md5 !== expectedMd5) {
+                        verifyErr = new Error(format('downloaded MD5 of '
+                            + '"%s" (%s) does not match content-md5 (%s)',
+                            path, md5, expectedMd5));
+                    }
+                    if (verifyErr) {
+                        verifyErr.verifyFailed = true;
+                    }
+                    finish(verifyErr);
                 });
                 src.pipe(out);
             });
         },
+        function validateTmpFile(_, next) {
+            var validation;
+
+            if (!self.syncValidate) {
+                next();
+                return;
+            }
+
+            try {
+                validation = Promise.resolve(
+                    self.syncValidate(tmpLocalPath, dirent));
+            } catch (validateErr) {
+                validation = Promise.reject(validateErr);
+            }
+            validation.then(function onValid() {
+                setImmediate(next);
+            }, function onInvalid(validateErr) {
+                var cause = (validateErr instanceof Error ? validateErr
+                    : new Error(String(validateErr)));
+                var err = new VError(cause, 'validation of "%s" failed',
+                    path);
+
+                err.validateFailed = true;
+                err.output = (typeof (cause.output) === 'undefined'
+                    ? cause.message : cause.output);
+                setImmediate(next, err);
+            });
+        },
         function moveInPlace(_, next) {
             log.trace({localPath: localPath}, 'sync');
             fs.rename(tmpLocalPath, localPath, next);
         }
-    ]}, function (err) {
+    ]}, function finishDownload(err) {
+        if (err) {
+            rimraf(tmpLocalPath, function onRemoved() {
+                cb(err);
+            });
+            return;
+        }
+        cb();
+    });
+};
+
+
+/*
+ * Expand a compact state entry (see `stateEntryFromDirent`) to a dirent
+ * with the fields needed for events and syncing.
+ */
+MantaDirWatcher.prototype._direntFromStateEntry = function
+    _direntFromStateEntry(relpath, entry) {
+    var slash = relpath.lastIndexOf('/');
+    var dirent = {
+        name: relpath.slice(slash + 1),
+        relpath: relpath,
+        parent: (slash === -1 ? this.dir
+            : this.dir + '/' + relpath.slice(0, slash)),
+        type: 'directory'
+    };
+    var space;
+
+    if (entry !== 'd') {
+        space = entry.lastIndexOf(' ');
+        dirent.type = 'object';
+        if (space > 0) {
+            dirent.etag = entry.slice(0, space);
+        }
+        dirent.size = Number(entry.slice(space + 1));
+    }
+    return dirent;
+};
+
+
+/*
+ * Load the state saved in `stateFile`. Calls back with `null` state if the
+ * file doesn't exist or is for a different `dir`. The third callback arg is
+ * the saved `watchMetadata` headers, if any.
+ */
+MantaDirWatcher.prototype._loadStateFile = function _loadStateFile(cb) {
+    var self = this;
+
+    assert.func(cb, 'cb');
+
+    fs.readFile(self.stateFile, 'utf8', function onRead(err, content) {
+        var data;
+
+        if (err) {
+            if (err.code !== 'ENOENT') {
+                cb(err);
+                return;
+            }
+            self.log.trace({stateFile: self.stateFile},
+                'no state file, starting fresh');
+            cb(null, null);
+            return;
+        }
+
+        try {
+            data = JSON.parse(content);
+        } catch (parseErr) {
+            cb(new Error(format('could not parse state file "%s": %s',
+                self.stateFile, parseErr.message)));
+            return;
+        }
+
+        if (data.v !== STATE_FILE_VERSION || data.dir !== self.dir) {
+            self.log.warn({stateFile: self.stateFile, v: data.v,
+                stateDir: data.dir}, 'ignoring state file for a different '
+                + 'dir or version');
+            cb(null, null);
+            return;
+        }
+
+        self.log.trace({stateFile: self.stateFile,
+            numEntries: Object.keys(data.entries).length}, 'loaded state file');
+        cb(null, data.entries, (self.watchMetadata && data.metadata) || null);
+    });
+};
+
+
+/*
+ * Atomically (write to a temp file, then rename) save the given state (and
+ * `watchMetadata` headers, if not null) to `stateFile`.
+ */
+MantaDirWatcher.prototype._saveStateFile = function _saveStateFile(state,
+    metadata, cb) {
+    var self = this;
+    var tmpStateFile = self.stateFile + '.mwatchdirpart';
+    var data = {
+        v: STATE_FILE_VERSION,
+        dir: self.dir,
+        entries: state
+    };
+    var content;
+
+    assert.object(state, 'state');
+    assert.optionalObject(metadata, 'metadata');
+    assert.func(cb, 'cb');
+
+    if (metadata) {
+        data.metadata = metadata;
+    }
+    content = JSON.stringify(data);
+
+    vasync.pipeline({funcs: [
+        function mkdirpStateDir(_, next) {
+            mkdirp(mod_path.dirname(self.stateFile), next);
+        },
+        function writeTmpStateFile(_, next) {
+            fs.writeFile(tmpStateFile, content, next);
+        },
+        function moveStateFileInPlace(_, next) {
+            fs.rename(tmpStateFile, self.stateFile, next);
+        }
+    ]}, function finishSave(err) {
         if (err) {
-            rimraf(tmpLocalPath, function (_) {
+            rimraf(tmpStateFile, function onRemoved() {
                 cb(err);
             });
+            return;
+        }
+        self.log.trace({stateFile: self.stateFile}, 'saved state file');
+        cb();
+    });
+};
+
+
+/*
+ * With `dryRun`, the plan of what syncing the given changes would do:
+ *
+ * - `actions`: an array of `{action, relpath, localPath}` where `action` is
+ *   one of "download" (with the `size` and a `reason`: "new", "missing" or
+ *   "<field> differs"), "mkdir", "move" (with the `oldLocalPath`),
+ *   "delete" or "skip" (with a `reason`, e.g. "syncDelete off");
+ * - `errors`: the messages of sync guards that would have failed the sync;
+ * - `totals`: the number of each action, and `downloadBytes`;
+ * - `inSync`: true if there is nothing to do (skips aside) and no errors.
+ */
+MantaDirWatcher.prototype._planSync = function _planSync(changes, errors) {
+    var self = this;
+    var mirror = (self.syncDelete || self.syncMode === 'snapshot');
+    // Why type conflicts are kept: per the policy, or for lack of
+    // `syncDelete`.
+    var keepReason = (self.syncTypeConflict === 'keep'
+        ? 'type conflict (syncTypeConflict=keep)'
+        : 'type conflict (syncDelete off)');
+    var actions = [];
+    var totals = {download: 0, downloadBytes: 0, mkdir: 0, move: 0,
+        delete: 0, skip: 0};
+
+    assert.arrayOfObject(changes, 'changes');
+    assert.arrayOfString(errors, 'errors');
+
+    function add(action, relpath, fields) {
+        var entry = {
+            action: action,
+            relpath: relpath,
+            localPath: self._localPathFromRelpath(relpath)
+        };
+
+        Object.keys(fields || {}).forEach(function copyField(k) {
+            entry[k] = fields[k];
+        });
+        actions.push(entry);
+        totals[action]++;
+    }
+
+    function downloadReason(change) {
+        var field;
+
+        if (change.action === 'repair') {
+            return (change.reason === 'missing' ? 'missing'
+                : change.reason + ' differs');
+        } else if (change.action !== 'update') {
+            return 'new';
+        }
+        field = ['type', 'size', 'md5', 'etag'].filter(function isDiff(f) {
+            return (typeof (change.diff[f]) !== 'undefined');
+        })[0];
+        return field + ' differs';
+    }
+
+    changes.forEach(function planChange(change) {
+        var dirent = change.dirent;
+        var relpath;
+
+        if (change.conflict === 'keep') {
+            add('skip', dirent.relpath, {reason: keepReason});
+            return;
+        } else if (isMetadataOnlyChange(change)) {
+            return;
+        }
+
+        if (change.conflict === 'replace') {
+            add('delete', dirent.relpath, {reason: 'type differs'});
+        }
+        if (change.action === 'delete') {
+            relpath = (change.oldDirent || change.oldLocalDirent).relpath;
+            if (mirror) {
+                add('delete', relpath);
+            } else {
+                add('skip', relpath, {reason: 'syncDelete off'});
+            }
+        } else if (change.action === 'rename' && mirror) {
+            add('move', dirent.relpath, {oldLocalPath:
+                self._localPathFromRelpath(change.oldDirent.relpath)});
+        } else if (dirent.type === 'directory') {
+            add('mkdir', dirent.relpath);
+        } else {
+            add('download', dirent.relpath,
+                {size: dirent.size, reason: downloadReason(change)});
+            totals.downloadBytes += dirent.size || 0;
+        }
+    });
+
+    return {
+        actions: actions,
+        errors: errors,
+        totals: totals,
+        inSync: (errors.length === 0 && actions.every(function isSkip(a) {
+            return (a.action === 'skip');
+        }))
+    };
+};
+
+
+/*
+ * Atomically write the `metadataSidecar` file for the given relpath.
+ */
+MantaDirWatcher.prototype._writeMetadataSidecar = function
+    _writeMetadataSidecar(relpath, headers, cb) {
+    var sidecarPath;
+    var tmpPath;
+
+    assert.string(relpath, 'relpath');
+    assert.object(headers, 'headers');
+    assert.func(cb, 'cb');
+
+    sidecarPath = this._localPathFromRelpath(sidecarRelpath(relpath));
+    tmpPath = sidecarPath + '.mwatchdirpart';
+
+    this.log.trace({sidecarPath: sidecarPath}, 'write metadata sidecar');
+    fs.writeFile(tmpPath, JSON.stringify(headers, null, SIDECAR_INDENT) + '\n',
+        function onWritten(err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            fs.rename(tmpPath, sidecarPath, function onRenamed(renameErr) {
+                if (renameErr) {
+                    rimraf(tmpPath, function onRemoved() {
+                        cb(renameErr);
+                    });
+                    return;
+                }
+                cb();
+            });
+        });
+};
+
+
+/*
+ * Sync a "rename" change by moving the old local file into place. If the old
+ * local file is gone, fall back to downloading.
+ */
+MantaDirWatcher.prototype._syncRename = function _syncRename(change, cb) {
+    var self = this;
+    var oldLocalPath = self._localPathFromRelpath(change.oldDirent.relpath);
+    var localPath = self._localPathFromRelpath(change.dirent.relpath);
+
+    mkdirp(mod_path.dirname(localPath), function onMkdirp(mkdirErr) {
+        if (mkdirErr) {
+            cb(mkdirErr);
+            return;
+        }
+        self.log.trace({oldLocalPath: oldLocalPath, localPath: localPath},
+            'mv');
+        fs.rename(oldLocalPath, localPath, function onRename(err) {
+            if (err && err.code === 'ENOENT') {
+                self._syncDirent(change.dirent, localPath, cb);
+                return;
+            }
+            cb(err);
+        });
+    });
+};
+
+
+/*
+ * Sync in "snapshot" mode: build a complete new snapshot dir from the given
+ * dirents (`newState`), flip the "current" symlink to it, then prune old
+ * snapshots. Files not in `changes` are hardlinked from the current
+ * snapshot, if possible; the rest are downloaded.
+ */
+MantaDirWatcher.prototype._syncSnapshot = function _syncSnapshot(changes,
+    newState, cb) {
+    var self = this;
+    var log = self.log;
+    var snapshotsDir;
+    var name;
+    var buildDir;
+    var currentLink;
+    var changeFromRelpath = {};
+    var prevDir = null;
+
+    assert.arrayOfObject(changes, 'changes');
+    assert.object(newState, 'newState');
+    assert.func(cb, 'cb');
+
+    snapshotsDir = mod_path.join(self.syncDir, SNAPSHOTS_DIR);
+    name = snapshotName(new Date());
+    buildDir = mod_path.join(snapshotsDir, '.' + name + '.mwatchdirpart');
+    currentLink = mod_path.join(self.syncDir, CURRENT_LINK);
+
+    changes.forEach(function noteChange(change) {
+        if (change.dirent) {
+            changeFromRelpath[change.dirent.relpath] = change;
+        }
+    });
+
+    function populateOne(relpath, next) {
+        var change = changeFromRelpath[relpath];
+        var dirent = (change ? change.dirent
+            : self._direntFromStateEntry(relpath, newState[relpath]));
+        var localPath = mod_path.join(buildDir, relpath);
+        var srcRelpath;
+
+        function linkFromPrev(prevRelpath, onMissing) {
+            var srcPath = mod_path.join(prevDir, prevRelpath);
+
+            mkdirp(mod_path.dirname(localPath), function onMkdirp(mkdirErr) {
+                if (mkdirErr) {
+                    next(mkdirErr);
+                    return;
+                }
+                fs.link(srcPath, localPath, function onLink(err) {
+                    if (err && err.code === 'ENOENT') {
+                        onMissing();
+                        return;
+                    }
+                    next(err);
+                });
+            });
+        }
+
+        // If the download is rejected (or deferred), keep the previous
+        // version (if any).
+        function download() {
+            self._syncDirent(dirent, localPath, function onSync(err) {
+                if (err || !(dirent.rejected || dirent.deferred) || !prevDir) {
+                    next(err);
+                    return;
+                }
+                linkFromPrev(relpath, function noPrevVersion() {
+                    next();
+                });
+            });
+        }
+
+        if (dirent.type === 'directory') {
+            mkdirp(localPath, next);
+            return;
+        }
+        if (!change) {
+            srcRelpath = relpath;
+        } else if (change.action === 'rename') {
+            srcRelpath = change.oldDirent.relpath;
+        }
+        if (!srcRelpath || !prevDir) {
+            download();
         } else {
-            cb();
+            linkFromPrev(srcRelpath, download);
+        }
+    }
+
+    vasync.pipeline({funcs: [
+        function readCurrentLink(_, next) {
+            fs.readlink(currentLink, function onReadlink(err, target) {
+                if (err && err.code !== 'ENOENT') {
+                    next(err);
+                    return;
+                }
+                if (!err) {
+                    prevDir = mod_path.resolve(self.syncDir, target);
+                }
+                next();
+            });
+        },
+        function mkdirBuildDir(_, next) {
+            mkdirp(buildDir, next);
+        },
+        function populateBuildDir(_, next) {
+            var populateErr = null;
+            var queue = vasync.queue(function populate(relpath, nextRelpath) {
+                if (populateErr) {
+                    // Don't start more work after a failure.
+                    nextRelpath();
+                    return;
+                }
+                populateOne(relpath, nextRelpath);
+            }, self.syncConcurrency);
+
+            queue.on('end', function onPopulated() {
+                next(populateErr);
+            });
+            Object.keys(newState).forEach(function pushRelpath(relpath) {
+                queue.push(relpath, function onPopulateOne(err) {
+                    if (err && !populateErr) {
+                        populateErr = err;
+                    }
+                });
+            });
+            queue.close();
+        },
+        function moveInPlace(_, next) {
+            fs.rename(buildDir, mod_path.join(snapshotsDir, name), next);
+        },
+        function flipCurrentLink(_, next) {
+            // Renaming a new symlink over the old one is atomic.
+            var tmpLink = mod_path.join(self.syncDir,
+                '.' + CURRENT_LINK + '.mwatchdirpart');
+            var target = mod_path.join(SNAPSHOTS_DIR, name);
+
+            rimraf(tmpLink, function onRemoved(rmErr) {
+                if (rmErr) {
+                    next(rmErr);
+                    return;
+                }
+                fs.symlink(target, tmpLink, function onSymlink(err) {
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+                    log.trace({snapshot: name}, 'flip current snapshot');
+                    fs.rename(tmpLink, currentLink, next);
+                });
+            });
+        },
+        function pruneSnapshots(_, next) {
+            self._pruneSnapshots(name, next);
+        }
+    ]}, function finishSnapshot(err) {
+        if (err) {
+            rimraf(buildDir, function onRemoved() {
+                cb(err);
+            });
+            return;
         }
+        cb();
     });
+};
+
+
+/*
+ * Remove all but the latest `syncSnapshots` snapshots, and any snapshot dirs
+ * left partially built by an earlier process. The `current` snapshot is
+ * always kept.
+ */
+MantaDirWatcher.prototype._pruneSnapshots = function _pruneSnapshots(current,
+    cb) {
+    var self = this;
+    var snapshotsDir = mod_path.join(self.syncDir, SNAPSHOTS_DIR);
+
+    fs.readdir(snapshotsDir, function onReaddir(err, names) {
+        var partial;
+        var snapshots;
+        var toRemove;
+
+        if (err) {
+            cb(err);
+            return;
+        }
 
+        partial = names.filter(function isPartial(n) {
+            return (n[0] === '.' && (/\.mwatchdirpart$/).test(n));
+        });
+        snapshots = names.filter(function isOldSnapshot(n) {
+            return (n[0] !== '.' && n !== current);
+        }).sort();
+        toRemove = partial.concat(
+            snapshots.slice(0, Math.max(0,
+                snapshots.length - (self.syncSnapshots - 1))));
+
+        vasync.forEachPipeline({
+            inputs: toRemove,
+            func: function rmSnapshot(n, next) {
+                var snapshotDir = mod_path.join(snapshotsDir, n);
+
+                self.log.trace({snapshotDir: snapshotDir}, 'prune snapshot');
+                rimraf(snapshotDir, next);
+            }
+        }, function onPruned(rmErr) {
+            cb(rmErr);
+        });
+    });
+};
+
+
+/*
+ * Check the local file for the given (unchanged remote) dirent against the
+ * manifest. Calls back with a `reason` string if it has drifted, else
+ * null.
+ */
+MantaDirWatcher.prototype._checkLocal = function _checkLocal(dirent, cb) {
+    var self = this;
+    var relpath = dirent.relpath;
+    var entry = self._manifest.get(relpath);
+
+    fs.stat(self._localPathFromRelpath(relpath), function onStat(err, stat) {
+        var reason = null;
+
+        if (err && err.code === 'ENOENT') {
+            cb(null, 'missing');
+            return;
+        } else if (err) {
+            cb(err);
+            return;
+        }
+        if (stat.isDirectory()) {
+            reason = 'type';
+        } else if (!stat.isFile()) {
+            reason = 'missing';
+        } else if (stat.size !== dirent.size) {
+            reason = 'size';
+        } else if (entry && entry.etag !== dirent.etag) {
+            reason = 'etag';
+        }
+        if (reason) {
+            cb(null, reason);
+            return;
+        }
+
+        self._manifest.localMd5(relpath, stat, function onLocalMd5(md5Err,
+            localMd5) {
+            var md5;
+            var path;
+
+            if (md5Err) {
+                cb(md5Err);
+                return;
+            }
+
+            function finish(expectedMd5) {
+                if (localMd5 !== expectedMd5) {
+                    cb(null, 'md5');
+                    return;
+                }
+                if (!entry || !self._manifest.statMatches(entry, stat)) {
+                    dirent.md5 = expectedMd5;
+                    self._manifest.set(relpath, dirent, stat);
+                }
+                cb(null, null);
+            }
+
+            md5 = (entry ? entry.md5 : dirent.md5);
+            if (md5) {
+                finish(md5);
+                return;
+            }
+            // We don't know the synced MD5 (e.g. a fresh process): ask.
+            path = dirent.parent + '/' + dirent.name;
+            self.backend.info(path, function onInfo(infoErr, info) {
+                if (infoErr) {
+                    cb(infoErr.statusCode === HTTP_NOT_FOUND ? null : infoErr,
+                        null);
+                    return;
+                }
+                dirent.md5 = info.md5;
+                finish(info.md5);
+            });
+        });
+    });
+};
+
+
+/*
+ * Delete the local file (or dir) for the given relpath: move it under
+ * `trashDir` if given, else remove it.
+ */
+MantaDirWatcher.prototype._deleteLocal = function _deleteLocal(relpath,
+    trashDir, cb) {
+    var log = this.log;
+    var localPath = this._localPathFromRelpath(relpath);
+    var trashPath;
+
+    if (!trashDir) {
+        log.trace({localPath: localPath}, 'rm');
+        rimraf(localPath, function onRemoved(err) {
+            cb(err && err.code !== 'ENOTDIR' ? err : null);
+        });
+        return;
+    }
+
+    trashPath = mod_path.join(trashDir, relpath);
+    mkdirp(mod_path.dirname(trashPath), function onMkdirp(mkdirErr) {
+        if (mkdirErr) {
+            cb(mkdirErr);
+            return;
+        }
+        log.trace({localPath: localPath, trashPath: trashPath}, 'trash');
+        fs.rename(localPath, trashPath, function onRename(err) {
+            if (err && (err.code === 'ENOENT' || err.code === 'ENOTDIR')) {
+                // Gone, or a parent is now a file.
+                cb();
+                return;
+            }
+            if (!err || err.code !== 'EXDEV') {
+                cb(err);
+                return;
+            }
+            // Trash is on another filesystem: copy, then remove.
+            copyTree(localPath, trashPath, function onCopied(copyErr) {
+                if (copyErr) {
+                    cb(copyErr);
+                    return;
+                }
+                rimraf(localPath, cb);
+            });
+        });
+    });
+};
+
+
+/*
+ * Remove trash dirs older than `syncTrashMaxAge` or beyond the latest
+ * `syncTrashMaxCount`.
+ */
+MantaDirWatcher.prototype._pruneTrash = function _pruneTrash(cb) {
+    var self = this;
+    var now = Date.now();
+
+    fs.readdir(self.syncTrashDir, function onReaddir(err, names) {
+        var trashNames;
+        var toRemove = [];
+
+        if (err) {
+            cb(err.code === 'ENOENT' ? null : err);
+            return;
+        }
+
+        trashNames = names.filter(function isTrash(n) {
+            return (n[0] !== '.');
+        }).sort();
+        if (self.syncTrashMaxCount !== null
+            && trashNames.length > self.syncTrashMaxCount) {
+            toRemove = trashNames.splice(0,
+                trashNames.length - self.syncTrashMaxCount);
+        }
+
+        vasync.forEachPipeline({
+            inputs: trashNames,
+            func: function checkAge(n, next) {
+                var trashDir = mod_path.join(self.syncTrashDir, n);
+
+                if (!self.syncTrashMaxAge) {
+                    next();
+                    return;
+                }
+                fs.stat(trashDir, function onStat(statErr, stat) {
+                    if (statErr) {
+                        next(statErr.code === 'ENOENT' ? null : statErr);
+                        return;
+                    }
+                    if (now - stat.mtime.getTime()
+                        > self.syncTrashMaxAge * MS_PER_SEC) {
+                        toRemove.push(n);
+                    }
+                    next();
+                });
+            }
+        }, function onChecked(statErr) {
+            if (statErr) {
+                cb(statErr);
+                return;
+            }
+            vasync.forEachPipeline({
+                inputs: toRemove,
+                func: function rmTrash(n, next) {
+                    var trashDir = mod_path.join(self.syncTrashDir, n);
+
+                    self.log.trace({trashDir: trashDir}, 'prune trash');
+                    rimraf(trashDir, next);
+                }
+            }, function onPruned(rmErr) {
+                cb(rmErr);
+            });
+        });
+    });
+};
+
+
+/*
+ * The local path for the given relpath. This asserts that the path is
+ * within the local sync dir, as a guard against ever removing anything
+ * else.
+ */
+MantaDirWatcher.prototype._localPathFromRelpath = function
+    _localPathFromRelpath(relpath) {
+    var localPath;
+
+    assert.string(relpath, 'relpath');
+    localPath = mod_path.join(this.localDir, relpath);
+    assert.ok(localPath.indexOf(this.localDir + '/') === 0,
+        'relpath is outside the sync dir: ' + relpath);
+    return localPath;
+};
+
+
+/*
+ * Remove local dirs (under `syncDir`) left empty by deleting the given
+ * relpaths, deepest first. Dirs that still exist remotely are kept.
+ */
+MantaDirWatcher.prototype._pruneLocalDirs = function _pruneLocalDirs(
+    deletedRelpaths, remoteDirs, cb) {
+    var self = this;
+    var seen = {};
+    var dirRelpaths = [];
+
+    assert.arrayOfString(deletedRelpaths, 'deletedRelpaths');
+    assert.object(remoteDirs, 'remoteDirs');
+    assert.func(cb, 'cb');
+
+    deletedRelpaths.forEach(function noteParents(relpath) {
+        var d = mod_path.dirname(relpath);
+
+        while (d !== '.' && !seen[d]) {
+            seen[d] = true;
+            if (!remoteDirs[d]) {
+                dirRelpaths.push(d);
+            }
+            d = mod_path.dirname(d);
+        }
+    });
+    dirRelpaths.sort(function deepestFirst(a, b) {
+        return (b.split('/').length - a.split('/').length);
+    });
+
+    vasync.forEachPipeline({
+        inputs: dirRelpaths,
+        func: function rmdirIfEmpty(relpath, next) {
+            var localPath = self._localPathFromRelpath(relpath);
+
+            fs.rmdir(localPath, function onRmdir(err) {
+                if (err && err.code !== 'ENOENT' && err.code !== 'ENOTEMPTY'
+                    && err.code !== 'EEXIST' && err.code !== 'ENOTDIR') {
+                    next(err);
+                    return;
+                }
+                if (!err) {
+                    self.log.trace({localPath: localPath}, 'rmdir');
+                }
+                next();
+            });
+        }
+    }, function onPruned(err) {
+        cb(err);
+    });
+};
+
+
+/*
+ * Create a watcher with the given options, wait (see
+ * `MantaDirWatcher#waitFor`) for `opts.action` of `opts.name` within
+ * `opts.timeout` seconds (optional), close the watcher and return a Promise
+ * of the result.
+ */
+MantaDirWatcher.waitFor = function waitFor(opts) {
+    var watcherOpts = {};
+    var watcher;
+
+    assert.object(opts, 'opts');
+
+    Object.keys(opts).forEach(function copyWatcherOpt(k) {
+        if (k !== 'action' && k !== 'name' && k !== 'timeout') {
+            watcherOpts[k] = opts[k];
+        }
+    });
+    watcher = new MantaDirWatcher(watcherOpts);
+    watcher.resume();
+
+    return watcher.waitFor({
+        action: opts.action,
+        name: opts.name,
+        timeout: opts.timeout
+    }).then(function onWaited(result) {
+        return watcher.close().then(function onClosed() {
+            return result;
+        });
+    }, function onWaitErr(err) {
+        return watcher.close().then(function onClosed() {
+            throw err;
+        });
+    });
 };
 
 
 // ---- exports
 
 module.exports = MantaDirWatcher;
-module.exports.FILTER_TYPES = FILTER_TYPES;
+module.exports.FILTER_TYPES = mod_filter.FILTER_TYPES;
+module.exports.SYNC_MODES = SYNC_MODES;
+module.exports.SYNC_TYPE_CONFLICTS = SYNC_TYPE_CONFLICTS;
+module.exports.WAIT_FOR_ACTIONS = WAIT_FOR_ACTIONS;
+module.exports.regexpFromGlob = mod_filter.regexpFromGlob;
+module.exports.parseSchedule = mod_schedule.parseSchedule;
+module.exports.validateJson = validators.validateJson;
+module.exports.validateMd5 = validators.validateMd5;
+module.exports.validateCmd = validators.validateCmd;
+module.exports.isRetryableError = isRetryableError;
+module.exports.createClientFromEnv = createClientFromEnv;
+module.exports.LocalDirBackend = LocalDirBackend;
+module.exports.MantaDirPublisher = MantaDirPublisher;
+module.exports.WebhookSink = WebhookSink;
+module.exports.MetricsServer = MetricsServer;
+module.exports.EventServer = EventServer;
@@ -0,0 +1,319 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * An HTTP server for the `getStats()` of running watchers: "/metrics" in
+ * the Prometheus text format, and "/healthz".
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var http = require('http');
+var util = require('util');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+// A watch is unhealthy if its last good poll is older than this many
+// intervals.
+var DEFAULT_HEALTH_INTERVALS = 3;
+
+// Only serve local clients unless another address is given.
+var DEFAULT_HOST = '127.0.0.1';
+
+var MS_PER_SEC = 1000;
+
+var HTTP_OK = 200;
+var HTTP_NOT_FOUND = 404;
+var HTTP_METHOD_NOT_ALLOWED = 405;
+var HTTP_UNAVAILABLE = 503;
+
+var PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+
+// ---- support functions
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+function labelsStr(labels) {
+    return '{' + Object.keys(labels).map(function labelStr(k) {
+        return format('%s="%s"', k, escapeLabelValue(labels[k]));
+    }).join(',') + '}';
+}
+
+/*
+ * Is the watch with the given stats (from `MantaDirWatcher#getStats()`)
+ * healthy? It isn't if it has stopped, or if its last good poll (or its
+ * start, if it hasn't had one yet) is older than `numIntervals` intervals.
+ * Returns `{healthy: <boolean>, reason: <string, if not healthy>}`.
+ */
+function checkHealth(stats, numIntervals, now) {
+    var maxAge;
+    var since;
+
+    if (stats.status !== 'polling') {
+        return {healthy: false, reason: 'watcher is ' + stats.status};
+    }
+
+    since = (stats.lastPollTime || stats.startTime).getTime();
+    maxAge = numIntervals * stats.interval * MS_PER_SEC;
+    if (now - since > maxAge) {
+        return {
+            healthy: false,
+            reason: format('no successful poll in %ds (%d consecutive '
+                + 'failures)', Math.round((now - since) / MS_PER_SEC),
+                stats.consecutivePollFailures)
+        };
+    }
+    return {healthy: true};
+}
+
+/*
+ * Render the given stats, an object mapping watch name to `getStats()`
+ * result, in the Prometheus text exposition format.
+ */
+function prometheusFromStats(statsByName, numIntervals, now) {
+    var names = Object.keys(statsByName).sort();
+    var lines = [];
+
+    function metric(name, type, help, samplesFn) {
+        lines.push(format('# HELP %s %s', name, help));
+        lines.push(format('# TYPE %s %s', name, type));
+        names.forEach(function watchSamples(watchName) {
+            var stats = statsByName[watchName];
+            var labels = {watch: watchName, dir: stats.dir};
+
+            samplesFn(stats, labels).forEach(function addSample(sample) {
+                var sampleLabels = labels;
+
+                if (sample.labels) {
+                    sampleLabels = {};
+                    Object.keys(labels).forEach(function copyLabel(k) {
+                        sampleLabels[k] = labels[k];
+                    });
+                    Object.keys(sample.labels).forEach(function addLabel(k) {
+                        sampleLabels[k] = sample.labels[k];
+                    });
+                }
+                lines.push(format('%s%s %s', name + (sample.suffix || ''),
+                    labelsStr(sampleLabels), sample.value));
+            });
+        });
+    }
+
+    metric('mwatchdir_healthy', 'gauge',
+        'Whether the watch is polling successfully (see /healthz).',
+        function healthy(stats) {
+            var health = checkHealth(stats, numIntervals, now);
+
+            return [{value: (health.healthy ? 1 : 0)}];
+        });
+    metric('mwatchdir_polls_total', 'counter', 'Polls started.',
+        function numPolls(stats) {
+            return [{value: stats.numPolls}];
+        });
+    metric('mwatchdir_poll_failures_total', 'counter', 'Polls that failed.',
+        function numPollFailures(stats) {
+            return [{value: stats.numPollFailures}];
+        });
+    metric('mwatchdir_consecutive_poll_failures', 'gauge',
+        'Polls that have failed since the last successful poll.',
+        function consecutivePollFailures(stats) {
+            return [{value: stats.consecutivePollFailures}];
+        });
+    metric('mwatchdir_poll_duration_seconds', 'histogram',
+        'Poll durations, including syncing.',
+        function pollDuration(stats) {
+            var hist = stats.pollDuration;
+            var samples = hist.buckets.map(function bucket(bound, i) {
+                return {
+                    suffix: '_bucket',
+                    labels: {le: String(bound)},
+                    value: hist.counts[i]
+                };
+            });
+
+            samples.push({suffix: '_bucket', labels: {le: '+Inf'},
+                value: hist.count});
+            samples.push({suffix: '_sum', value: hist.sum});
+            samples.push({suffix: '_count', value: hist.count});
+            return samples;
+        });
+    metric('mwatchdir_last_poll_timestamp_seconds', 'gauge',
+        'When the last successful poll finished (0 if there hasn\'t been '
+        + 'one).',
+        function lastPollTime(stats) {
+            return [{value: (stats.lastPollTime
+                ? stats.lastPollTime.getTime() / MS_PER_SEC : 0)}];
+        });
+    metric('mwatchdir_events_total', 'counter', 'Events emitted, by action.',
+        function numEvents(stats) {
+            return Object.keys(stats.numEvents).map(function byAction(action) {
+                return {
+                    labels: {action: action},
+                    value: stats.numEvents[action]
+                };
+            });
+        });
+    metric('mwatchdir_downloaded_bytes_total', 'counter',
+        'Bytes downloaded by syncing.',
+        function bytesDownloaded(stats) {
+            return [{value: stats.bytesDownloaded}];
+        });
+    metric('mwatchdir_sync_failures_total', 'counter',
+        'Sync downloads that failed after any retries.',
+        function numSyncFailures(stats) {
+            return [{value: stats.numSyncFailures}];
+        });
+    metric('mwatchdir_sync_rejects_total', 'counter',
+        'Sync downloads rejected by validation.',
+        function numSyncRejects(stats) {
+            return [{value: stats.numSyncRejects}];
+        });
+    metric('mwatchdir_entries', 'gauge',
+        'Entries (matching the filter) in the last listing.',
+        function numEntries(stats) {
+            return [{value: stats.numEntries}];
+        });
+
+    return lines.join('\n') + '\n';
+}
+
+
+// ---- MetricsServer class
+
+/*
+ * Serve the stats of a set of watches over HTTP:
+ *
+ * - "GET /metrics": the stats in the Prometheus text format;
+ * - "GET /healthz": 200 if all watches are healthy (see `checkHealth`), else
+ *   503. The body is JSON: `{healthy: <boolean>, watches: {<name>:
+ *   {healthy: <boolean>, reason: <string>}, ...}}`.
+ *
+ * @param {Number} opts.port: Required. The TCP port to listen on.
+ * @param {String} opts.host: Optional. The address to listen on. Default
+ *      "127.0.0.1". Use "0.0.0.0" or "::" to serve on all addresses.
+ * @param {Function} opts.getStats: Required. A function returning an object
+ *      mapping watch name to `MantaDirWatcher#getStats()` result.
+ * @param {Number} opts.healthIntervals: Optional. A watch is unhealthy if
+ *      its last good poll is older than this many intervals. Default 3.
+ * @param {Object} opts.log: Required. Bunyan logger.
+ */
+function MetricsServer(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.number(opts.port, 'opts.port');
+    assert.optionalString(opts.host, 'opts.host');
+    assert.func(opts.getStats, 'opts.getStats');
+    assert.optionalNumber(opts.healthIntervals, 'opts.healthIntervals');
+    assert.object(opts.log, 'opts.log');
+
+    this.port = opts.port;
+    this.host = opts.host || DEFAULT_HOST;
+    this.getStats = opts.getStats;
+    this.healthIntervals = (typeof (opts.healthIntervals) === 'number'
+        ? opts.healthIntervals : DEFAULT_HEALTH_INTERVALS);
+    assert.ok(this.healthIntervals > 0,
+        'opts.healthIntervals is not positive: ' + this.healthIntervals);
+    this.log = opts.log.child({component: 'metrics'}, true);
+
+    this._server = http.createServer(function onRequest(req, res) {
+        self._handleRequest(req, res);
+    });
+}
+
+MetricsServer.prototype.listen = function listen(cb) {
+    var self = this;
+
+    assert.func(cb, 'cb');
+
+    function onError(err) {
+        cb(err);
+    }
+
+    self._server.once('error', onError);
+    self._server.listen(self.port, self.host, function onListening() {
+        self._server.removeListener('error', onError);
+        self.log.debug({port: self.port, host: self.host},
+            'metrics server listening');
+        cb();
+    });
+};
+
+MetricsServer.prototype.close = function close(cb) {
+    this._server.close(cb);
+};
+
+MetricsServer.prototype._handleRequest = function _handleRequest(req, res) {
+    var self = this;
+    var path = req.url.split('?')[0];
+    var now = Date.now();
+    var statsByName;
+    var body;
+
+    self.log.trace({method: req.method, url: req.url}, 'request');
+
+    function send(statusCode, contentType, content) {
+        res.writeHead(statusCode, {
+            'Content-Type': contentType,
+            'Content-Length': Buffer.byteLength(content)
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+        } else {
+            res.end(content);
+        }
+    }
+
+    if (path !== '/metrics' && path !== '/healthz') {
+        send(HTTP_NOT_FOUND, 'text/plain', 'not found\n');
+        return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        send(HTTP_METHOD_NOT_ALLOWED, 'text/plain', 'method not allowed\n');
+        return;
+    }
+
+    statsByName = self.getStats();
+    if (path === '/metrics') {
+        send(HTTP_OK, PROMETHEUS_CONTENT_TYPE,
+            prometheusFromStats(statsByName, self.healthIntervals, now));
+        return;
+    }
+
+    body = {healthy: true, watches: {}};
+    Object.keys(statsByName).forEach(function watchHealth(name) {
+        var health = checkHealth(statsByName[name], self.healthIntervals,
+            now);
+
+        body.watches[name] = health;
+        if (!health.healthy) {
+            body.healthy = false;
+        }
+    });
+    send((body.healthy ? HTTP_OK : HTTP_UNAVAILABLE), 'application/json',
+        JSON.stringify(body) + '\n');
+};
+
+
+// ---- exports
+
+module.exports = {
+    MetricsServer: MetricsServer,
+    checkHealth: checkHealth,
+    prometheusFromStats: prometheusFromStats
+};
@@ -0,0 +1,190 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Cron-like poll schedules for MantaDirWatcher: the `schedule` option.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var util = require('util');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+// The five fields of a schedule, with their ranges.
+var FIELDS = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'dayOfMonth', min: 1, max: 31},
+    {name: 'month', min: 1, max: 12},
+    {name: 'dayOfWeek', min: 0, max: 7}     // 0 and 7 are both Sunday
+];
+
+var SUNDAY = 0;
+var SUNDAY_TOO = 7;
+
+// Give up looking for the next time after this many years (e.g. "0 0 30 2 *"
+// never matches).
+var MAX_SEARCH_YEARS = 5;
+
+
+// ---- support functions
+
+/*
+ * Parse one part of a schedule field: "*", "N" or "N-M", optionally with
+ * "/STEP". Returns `{lo, hi, step}`.
+ */
+function parseRange(part, field) {
+    var bounds;
+    var rangeAndStep = part.split('/');
+    var range = {lo: field.min, hi: field.max, step: 1};
+
+    if (!(/^(\*|\d+(-\d+)?)(\/\d+)?$/).test(part)) {
+        throw new Error(format('invalid schedule %s: "%s"', field.name,
+            part));
+    }
+    if (rangeAndStep.length > 1) {
+        range.step = Number(rangeAndStep[1]);
+    }
+    if (rangeAndStep[0] !== '*') {
+        bounds = rangeAndStep[0].split('-');
+        range.lo = Number(bounds[0]);
+        if (bounds.length > 1) {
+            range.hi = Number(bounds[1]);
+        } else if (rangeAndStep.length === 1) {
+            // "N/STEP" means from N to the max, but plain "N" is just N.
+            range.hi = range.lo;
+        }
+    }
+    return range;
+}
+
+/*
+ * Parse one field of a schedule to an array of booleans, indexed by value.
+ * Supported syntax (as for cron): "*", "N", "N-M", and "/STEP" on either of
+ * those, and comma-separated lists of them.
+ */
+function parseField(str, field) {
+    var matches = [];
+    var v;
+
+    for (v = 0; v <= field.max; v++) {
+        matches[v] = false;
+    }
+
+    str.split(',').forEach(function parsePart(part) {
+        var r = parseRange(part, field);
+        var i;
+
+        if (r.lo < field.min || r.hi > field.max || r.lo > r.hi
+            || r.step < 1) {
+            throw new Error(format('invalid schedule %s: "%s" (must be '
+                + 'within %d-%d)', field.name, part, field.min, field.max));
+        }
+        for (i = r.lo; i <= r.hi; i += r.step) {
+            matches[i] = true;
+        }
+    });
+
+    return matches;
+}
+
+
+// ---- schedule
+
+function dayMatches(schedule, date) {
+    var domMatch = schedule.dayOfMonth[date.getDate()];
+    var dowMatch = schedule.dayOfWeek[date.getDay()];
+
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return (domMatch && dowMatch);
+    }
+    return (domMatch || dowMatch);
+}
+
+/*
+ * Return the next time (a Date, on a minute boundary) after `after` that
+ * matches the schedule, or null if there isn't one.
+ */
+function nextScheduledTime(schedule, after) {
+    var d = new Date(after.getTime());
+    var limit = after.getFullYear() + MAX_SEARCH_YEARS;
+
+    d.setSeconds(0, 0);
+    d.setMinutes(d.getMinutes() + 1);
+
+    while (d.getFullYear() <= limit) {
+        if (!schedule.month[d.getMonth() + 1]) {
+            d.setMonth(d.getMonth() + 1, 1);
+            d.setHours(0, 0);
+        } else if (!dayMatches(schedule, d)) {
+            d.setDate(d.getDate() + 1);
+            d.setHours(0, 0);
+        } else if (!schedule.hour[d.getHours()]) {
+            d.setHours(d.getHours() + 1, 0);
+        } else if (schedule.minute[d.getMinutes()]) {
+            return d;
+        } else {
+            d.setMinutes(d.getMinutes() + 1);
+        }
+    }
+    return null;
+}
+
+/*
+ * Parse a cron-like schedule: five whitespace-separated fields for minute
+ * (0-59), hour (0-23), day of month (1-31), month (1-12) and day of week
+ * (0-7, 0 or 7 is Sunday), e.g. "*\/5 9-17 * * 1-5" for every 5 minutes in
+ * working hours. As with cron, if both day of month and day of week are
+ * restricted, a day matching either matches. Times are local.
+ *
+ * Throws an Error if the schedule is invalid, or never matches (e.g.
+ * "0 0 30 2 *").
+ */
+function parseSchedule(str) {
+    var isAny = {};
+    var parts;
+    var schedule = {str: str};
+
+    assert.string(str, 'schedule');
+
+    parts = str.trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(format('invalid schedule "%s": expected %d fields, '
+            + 'got %d', str, FIELDS.length, parts.length));
+    }
+
+    FIELDS.forEach(function parseOne(field, i) {
+        schedule[field.name] = parseField(parts[i], field);
+        isAny[field.name] = (parts[i] === '*');
+    });
+    schedule.dayOfWeek[SUNDAY] = (schedule.dayOfWeek[SUNDAY]
+        || schedule.dayOfWeek[SUNDAY_TOO]);
+    schedule.anyDayOfMonth = isAny.dayOfMonth;
+    schedule.anyDayOfWeek = isAny.dayOfWeek;
+
+    if (!nextScheduledTime(schedule, new Date())) {
+        throw new Error(format('invalid schedule "%s": never matches', str));
+    }
+
+    return schedule;
+}
+
+
+// ---- exports
+
+module.exports = {
+    parseSchedule: parseSchedule,
+    nextScheduledTime: nextScheduledTime
+};
@@ -0,0 +1,220 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Validators for the MantaDirWatcher `syncValidate` option. A validator is
+ * a function `(tmpPath, dirent)` returning a Promise that rejects (with an
+ * Error, whose `output` property or message says why) if the downloaded
+ * file at `tmpPath` should not be installed.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var child_process = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+var util = require('util');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+// The most validate command output (of each of stdout and stderr) kept for
+// the reject message, in bytes: the end of any longer output.
+var MAX_CMD_OUTPUT = 65536;
+
+
+// ---- support functions
+
+/*
+ * Read all of `stream` (so that a chatty command isn't blocked writing its
+ * output), keeping only about the last `MAX_CMD_OUTPUT` bytes. Returns a
+ * function that returns those as a string.
+ */
+function collectTail(stream) {
+    var chunks = [];
+    var length = 0;
+
+    stream.on('data', function onData(chunk) {
+        chunks.push(chunk);
+        length += chunk.length;
+        while (length - chunks[0].length >= MAX_CMD_OUTPUT) {
+            length -= chunks.shift().length;
+        }
+    });
+
+    return function getTail() {
+        var buf = Buffer.concat(chunks, length);
+
+        return String(buf.slice(Math.max(0, buf.length - MAX_CMD_OUTPUT)));
+    };
+}
+
+
+// ---- validators
+
+/*
+ * Reject files that aren't valid JSON.
+ */
+function validateJson(tmpPath) {
+    assert.string(tmpPath, 'tmpPath');
+
+    return new Promise(function readJson(resolve, reject) {
+        fs.readFile(tmpPath, 'utf8', function onRead(err, content) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            try {
+                JSON.parse(content);
+            } catch (parseErr) {
+                reject(new Error('invalid JSON: ' + parseErr.message));
+                return;
+            }
+            resolve();
+        });
+    });
+}
+
+/*
+ * Return a validator that rejects files whose content doesn't have the
+ * expected MD5, e.g. to only install known releases of a file.
+ *
+ * @param {Object|Function} expected: Required. An object mapping relpath to
+ *      MD5, or a function `(dirent)` returning the MD5 (or a Promise of
+ *      it). An MD5 is base64 (as for Manta's "content-md5") or hex. Files
+ *      with no expected MD5 are rejected.
+ */
+function validateMd5(expected) {
+    assert.ok(typeof (expected) === 'function'
+        || (expected && typeof (expected) === 'object'),
+        'expected is not an object or function');
+
+    return function validateMd5Sum(tmpPath, dirent) {
+        var want;
+
+        assert.string(tmpPath, 'tmpPath');
+        assert.object(dirent, 'dirent');
+
+        want = (typeof (expected) === 'function' ? expected(dirent)
+            : expected[dirent.relpath]);
+
+        return Promise.resolve(want).then(function checkMd5(md5) {
+            if (!md5) {
+                throw new Error(format('no expected MD5 for "%s"',
+                    dirent.relpath));
+            }
+            return new Promise(function hashFile(resolve, reject) {
+                var md5sum = crypto.createHash('md5');
+                var input = fs.createReadStream(tmpPath);
+
+                input.once('error', reject);
+                input.on('data', function onData(chunk) {
+                    md5sum.update(chunk);
+                });
+                input.once('end', function onEnd() {
+                    var digest = md5sum.digest();
+
+                    if (md5 === digest.toString('base64')
+                        || md5.toLowerCase() === digest.toString('hex')) {
+                        resolve();
+                    } else {
+                        reject(new Error(format('MD5 (%s) does not match '
+                            + 'expected MD5 (%s)', digest.toString('base64'),
+                            md5)));
+                    }
+                });
+            });
+        });
+    };
+}
+
+/*
+ * Return a validator that runs a shell command with the temp path as its
+ * last argument, i.e. `/bin/sh -c 'CMD "$1"' mwatchdir TMP-PATH`. The file
+ * is valid if it exits 0, whatever it prints. The command also gets the
+ * Manta path in the MWATCHDIR_PATH envvar. On failure, the error's `output`
+ * is the command's stdout and stderr (the end of each, if long) or, if
+ * none, the exit status.
+ *
+ * @param {String} opts.cmd: Required. The shell command to run.
+ * @param {Object} opts.log: Required. Bunyan logger.
+ */
+function validateCmd(opts) {
+    var cmd;
+    var log;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.cmd, 'opts.cmd');
+    assert.object(opts.log, 'opts.log');
+
+    cmd = opts.cmd;
+    log = opts.log;
+
+    return function validateWithCmd(tmpPath, dirent) {
+        var env = {};
+
+        assert.string(tmpPath, 'tmpPath');
+        assert.object(dirent, 'dirent');
+
+        Object.keys(process.env).forEach(function copyEnv(k) {
+            env[k] = process.env[k];
+        });
+        env.MWATCHDIR_PATH = dirent.parent + '/' + dirent.name;
+
+        log.trace({cmd: cmd, tmpPath: tmpPath}, 'exec validate command');
+        return new Promise(function runCmd(resolve, reject) {
+            var called = false;
+            var child = child_process.spawn('/bin/sh',
+                ['-c', cmd + ' "$1"', 'mwatchdir', tmpPath],
+                {env: env, stdio: ['ignore', 'pipe', 'pipe']});
+            var stdout = collectTail(child.stdout);
+            var stderr = collectTail(child.stderr);
+
+            function fail(reason) {
+                var output = (stdout() + stderr()).trim();
+                var validateErr = new Error(format(
+                    'validate command failed (%s)%s', reason,
+                    (output ? ': ' + output : '')));
+
+                validateErr.output = output || validateErr.message;
+                reject(validateErr);
+            }
+
+            child.once('error', function onError(err) {
+                called = true;
+                fail(err.message);
+            });
+            // "close", rather than "exit", so that all output has been read.
+            child.once('close', function onClose(code, signal) {
+                if (called) {
+                    return;
+                }
+                called = true;
+                if (code === 0) {
+                    resolve();
+                } else {
+                    fail(signal || 'exit status ' + code);
+                }
+            });
+        });
+    };
+}
+
+
+// ---- exports
+
+module.exports = {
+    validateJson: validateJson,
+    validateMd5: validateMd5,
+    validateCmd: validateCmd
+};
@@ -0,0 +1,624 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * A daemon running many MantaDirWatchers (with their exec and webhook hooks)
+ * from a config file: `mwatchdir --config FILE`.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var mod_path = require('path');
+var mod_url = require('url');
+var util = require('util');
+var vasync = require('vasync');
+var VError = require('verror').VError;
+
+var common = require('./common');
+var ExecHook = require('./exec-hook');
+var MantaDirWatcher = require('./manta-dir-watcher');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+/*
+ * The keys allowed for a watch in the config file, and their types. Other
+ * than `name`, `exec`, `webhook` and `validateCmd` (a `syncValidate` command),
+ * these are passed through as MantaDirWatcher options.
+ */
+var WATCH_KEYS = {
+    name: 'string',
+    dir: 'string',
+    interval: 'number',
+    minInterval: 'number',
+    maxInterval: 'number',
+    schedule: 'string',
+    jitter: 'number',
+    filter: 'object',
+    recursive: 'bool',
+    maxDepth: 'number',
+    syncDir: 'string',
+    syncDelete: 'bool',
+    syncMode: 'string',
+    syncTypeConflict: 'string',
+    syncSnapshots: 'number',
+    syncTrashDir: 'string',
+    syncTrashMaxAge: 'number',
+    syncTrashMaxCount: 'number',
+    maxDeletes: 'number',
+    maxDeletePercent: 'number',
+    reconcileLocal: 'boolOrNumber',
+    watchMetadata: 'boolOrNumber',
+    metadataSidecar: 'bool',
+    manifestFile: 'string',
+    syncConcurrency: 'number',
+    syncRetries: 'number',
+    validateCmd: 'string',
+    detectRenames: 'bool',
+    disableSyncDeleteGuard: 'bool',
+    stateFile: 'string',
+    retry: 'object',
+    dryRun: 'bool',
+    exec: 'stringOrObject',
+    webhook: 'stringOrObject'
+};
+
+// The watch keys handled by the daemon, rather than passed to the watcher.
+var DAEMON_KEYS = ['name', 'exec', 'webhook', 'validateCmd'];
+
+var EXEC_KEYS = ['cmd', 'mode', 'debounce', 'overlap'];
+var WEBHOOK_KEYS = ['url', 'secret', 'queueDir', 'maxQueueSize', 'timeout'];
+
+
+// ---- support functions
+
+function assertKeys(obj, allowed, name) {
+    Object.keys(obj).forEach(function checkKey(k) {
+        if (allowed.indexOf(k) === -1) {
+            throw new Error(format('unknown key in %s: "%s"', name, k));
+        }
+    });
+}
+
+function assertType(type, value, name) {
+    switch (type) {
+        case 'boolOrNumber':
+            if (typeof (value) !== 'number') {
+                assert.bool(value, name);
+            }
+            break;
+        case 'stringOrObject':
+            if (typeof (value) !== 'string') {
+                assert.object(value, name);
+            }
+            break;
+        default:
+            assert[type](value, name);
+            break;
+    }
+}
+
+/*
+ * Validate a watch's `exec` (a command string or an object) and return it
+ * as an object.
+ */
+function normalizeExec(exec, name) {
+    var norm = (typeof (exec) === 'string' ? {cmd: exec} : exec);
+
+    assertKeys(norm, EXEC_KEYS, name);
+    assert.string(norm.cmd, name + '.cmd');
+    return norm;
+}
+
+/*
+ * Validate a watch's `webhook` (a URL string or an object) and return it
+ * as an object.
+ */
+function normalizeWebhook(webhook, name) {
+    var norm = (typeof (webhook) === 'string' ? {url: webhook} : webhook);
+    var protocol;
+
+    assertKeys(norm, WEBHOOK_KEYS, name);
+    assert.string(norm.url, name + '.url');
+    protocol = mod_url.parse(norm.url).protocol;
+    assert.ok(protocol === 'http:' || protocol === 'https:',
+        name + '.url is not an http or https URL');
+    return norm;
+}
+
+/*
+ * Validate a watch from the config file (with defaults applied) and return
+ * it normalized: `exec` and `webhook` are objects and `name` defaults to
+ * `dir`.
+ */
+function normalizeWatch(watch, name) {
+    var norm;
+
+    assert.object(watch, name);
+    assertKeys(watch, Object.keys(WATCH_KEYS), name);
+    Object.keys(watch).forEach(function checkType(k) {
+        assertType(WATCH_KEYS[k], watch[k], name + '.' + k);
+    });
+    assert.string(watch.dir, name + '.dir');
+
+    norm = common.objCopy(watch);
+    if (!norm.name) {
+        norm.name = norm.dir;
+    }
+    if (norm.exec) {
+        norm.exec = normalizeExec(norm.exec, name + '.exec');
+    }
+    if (norm.webhook) {
+        norm.webhook = normalizeWebhook(norm.webhook, name + '.webhook');
+    }
+    return norm;
+}
+
+/*
+ * Load and validate the config file. It is JSON like this:
+ *
+ *      {
+ *          "defaults": {<watch options for all watches>},
+ *          "watches": [
+ *              {
+ *                  "name": "app-config",
+ *                  "dir": "~~/stor/config/app",
+ *                  "filter": {"include": ["*.json"]},
+ *                  "syncDir": "/opt/app/etc",
+ *                  "exec": {"cmd": "svcadm refresh app", "debounce": 5}
+ *              },
+ *              ...
+ *          ]
+ *      }
+ *
+ * Calls back with an array of normalized watches.
+ */
+function loadConfig(file, cb) {
+    fs.readFile(file, 'utf8', function onRead(readErr, content) {
+        var config;
+        var names = {};
+        var syncDirs = {};
+        var watches;
+
+        if (readErr) {
+            cb(new VError(readErr, 'could not read config file "%s"', file));
+            return;
+        }
+
+        try {
+            config = JSON.parse(content);
+            assert.object(config, 'config');
+            assertKeys(config, ['defaults', 'watches'], 'config');
+            assert.optionalObject(config.defaults, 'defaults');
+            assert.arrayOfObject(config.watches, 'watches');
+
+            watches = config.watches.map(function normalizeOne(watch, i) {
+                var syncDir;
+                var norm = normalizeWatch(
+                    common.objCopy(watch, common.objCopy(config.defaults
+                        || {})),
+                    format('watches[%d]', i));
+
+                if (names[norm.name]) {
+                    throw new Error(format('duplicate watch name: "%s"',
+                        norm.name));
+                }
+                names[norm.name] = true;
+                if (norm.syncDir) {
+                    syncDir = mod_path.resolve(norm.syncDir);
+                    if (syncDirs[syncDir]) {
+                        throw new Error(format(
+                            'watches "%s" and "%s" have the same syncDir',
+                            syncDirs[syncDir], norm.name));
+                    }
+                    syncDirs[syncDir] = norm.name;
+                }
+                return norm;
+            });
+        } catch (err) {
+            cb(new VError(err, 'invalid config file "%s"', file));
+            return;
+        }
+
+        cb(null, watches);
+    });
+}
+
+
+// ---- WatchDaemon class
+
+/*
+ * Create a daemon for the watches in the given config file (see
+ * `loadConfig`). All watchers share one Manta client (or the given backend).
+ * Call `start(cb)` to load the config and start watching.
+ *
+ * `reload(cb)` loads the config file again and applies it: watches that were
+ * added are started, watches that were removed are closed, and watches whose
+ * config changed are closed and then started again. If the config file is
+ * invalid, the running watches are left alone.
+ *
+ * Emits:
+ * - "group" (`name`, `group`) for each group of events from a watch;
+ * - "watchError" (`name`, `err`) when a watch stops because of an error
+ *   (a later reload starts it again).
+ *
+ * @param {String} opts.configFile: Required. The config file path.
+ * @param {Object} opts.log: Required. Bunyan logger.
+ * @param {Object} opts.backend: Optional. A storage backend (see
+ *      MantaDirWatcher) to share between watchers. By default a node-manta
+ *      client is created from the `MANTA_*` envvars.
+ */
+function WatchDaemon(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.configFile, 'opts.configFile');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalObject(opts.backend, 'opts.backend');
+
+    EventEmitter.call(this);
+
+    this.configFile = mod_path.resolve(opts.configFile);
+    this.log = opts.log.child({component: 'daemon'}, true);
+    if (opts.backend) {
+        this.backend = opts.backend;
+        this._closeBackend = false;
+    } else {
+        this.backend = MantaDirWatcher.createClientFromEnv(opts.log);
+        this._closeBackend = true;
+    }
+
+    this._watches = {};         // the running watches, by name
+    this._failedWatches = {};   // watches stopped on an error, by name
+    this._started = false;
+    this._reloading = false;
+    this._reloadAgain = null;   // callbacks for a reload queued behind it
+    this._closed = false;
+    this._closePromise = null;
+}
+util.inherits(WatchDaemon, EventEmitter);
+
+WatchDaemon.prototype.start = function start(cb) {
+    assert.func(cb, 'cb');
+    assert.ok(!this._started, 'already started');
+
+    this._started = true;
+    this.reload(cb);
+};
+
+WatchDaemon.prototype.reload = function reload(cb) {
+    var self = this;
+    var context = {
+        added: [],
+        removed: [],
+        changed: []
+    };
+
+    assert.func(cb, 'cb');
+
+    if (self._closed) {
+        setImmediate(cb, new Error('daemon is closed'));
+        return;
+    }
+    if (self._reloading) {
+        if (!self._reloadAgain) {
+            self._reloadAgain = [];
+        }
+        self._reloadAgain.push(cb);
+        return;
+    }
+    self._reloading = true;
+
+    vasync.pipeline({arg: context, funcs: [
+        function loadTheConfig(ctx, next) {
+            loadConfig(self.configFile, function onConfig(err, watches) {
+                ctx.watches = watches;
+                next(err);
+            });
+        },
+
+        /*
+         * Create the watchers for new and changed watches up front, so that
+         * an invalid watch leaves everything running as is.
+         */
+        function createWatchers(ctx, next) {
+            var err;
+
+            ctx.toStart = [];
+            ctx.watches.forEach(function createOne(w) {
+                var key = JSON.stringify(w);
+                var running = self._watches[w.name];
+
+                if (err || (running && running.key === key)) {
+                    return;
+                }
+                try {
+                    ctx.toStart.push(self._createWatch(w, key));
+                } catch (createErr) {
+                    err = new VError(createErr,
+                        'invalid config for watch "%s"', w.name);
+                }
+                (running ? ctx.changed : ctx.added).push(w.name);
+            });
+            next(err);
+        },
+
+        function closeOldWatches(ctx, next) {
+            var keep = {};
+            var toClose;
+
+            ctx.watches.forEach(function keepOne(w) {
+                keep[w.name] = true;
+            });
+            toClose = Object.keys(self._watches).filter(function isOld(name) {
+                if (!keep[name]) {
+                    ctx.removed.push(name);
+                    return true;
+                }
+                return (ctx.changed.indexOf(name) !== -1);
+            });
+            Object.keys(self._failedWatches).forEach(function forget(name) {
+                if (!keep[name]) {
+                    delete self._failedWatches[name];
+                }
+            });
+
+            vasync.forEachParallel({
+                inputs: toClose,
+                func: function closeOne(name, nextWatch) {
+                    var watch = self._watches[name];
+
+                    delete self._watches[name];
+                    self._closeWatch(watch, nextWatch);
+                }
+            }, next);
+        },
+
+        function startNewWatches(ctx, next) {
+            if (!self._closed) {
+                ctx.toStart.forEach(function startOne(watch) {
+                    self._startWatch(watch);
+                });
+            }
+            next();
+        }
+    ]}, function finishReload(err) {
+        var again = self._reloadAgain;
+
+        self._reloading = false;
+        self._reloadAgain = null;
+        if (err) {
+            self.log.error({err: err}, 'config reload failed');
+        } else {
+            self.log.info({added: context.added, removed: context.removed,
+                changed: context.changed}, 'config loaded');
+        }
+
+        if (again) {
+            self.reload(function onReloadedAgain(againErr) {
+                again.forEach(function callOne(againCb) {
+                    againCb(againErr);
+                });
+            });
+        } else if (self._closed) {
+            self._closeAll();
+        }
+        cb(err);
+    });
+};
+
+WatchDaemon.prototype._createWatch = function _createWatch(w, key) {
+    var log = this.log.child({watch: w.name}, true);
+    var watch;
+    var watcher;
+    var watcherOpts = {
+        log: log,
+        backend: this.backend
+    };
+
+    Object.keys(w).forEach(function copyOpt(k) {
+        if (DAEMON_KEYS.indexOf(k) === -1) {
+            watcherOpts[k] = w[k];
+        }
+    });
+    if (w.validateCmd) {
+        watcherOpts.syncValidate = MantaDirWatcher.validateCmd({
+            cmd: w.validateCmd,
+            log: log
+        });
+    }
+    watcher = new MantaDirWatcher(watcherOpts);
+    watch = {
+        name: w.name,
+        key: key,
+        config: w,
+        log: log,
+        watcher: watcher,
+        execHook: null,
+        webhook: null
+    };
+
+    if (w.exec) {
+        watch.execHook = new ExecHook({
+            cmd: w.exec.cmd,
+            mode: w.exec.mode,
+            debounce: w.exec.debounce,
+            overlap: w.exec.overlap,
+            syncDir: watcher.localDir,
+            log: log
+        });
+    }
+    return watch;
+};
+
+WatchDaemon.prototype._startWatch = function _startWatch(watch) {
+    var self = this;
+    var w = watch.config;
+
+    /*
+     * The webhook sink starts delivering (from its queue dir) as soon as it
+     * is created, so isn't created until any earlier one for this watch has
+     * been closed.
+     */
+    if (w.webhook) {
+        watch.webhook = new MantaDirWatcher.WebhookSink({
+            url: w.webhook.url,
+            secret: w.webhook.secret,
+            queueDir: w.webhook.queueDir,
+            maxQueueSize: w.webhook.maxQueueSize,
+            timeout: w.webhook.timeout,
+            log: watch.log
+        });
+    }
+
+    watch.ended = false;
+    watch.watcher.once('end', function onEnd() {
+        watch.ended = true;
+    });
+    watch.watcher.on('error', function onError(err) {
+        watch.log.error({err: err}, 'watch stopped');
+        if (self._watches[watch.name] === watch) {
+            delete self._watches[watch.name];
+            self._failedWatches[watch.name] = watch;
+            self._closeWatch(watch, function onClosed() {});
+        }
+        self.emit('watchError', watch.name, err);
+    });
+    watch.watcher.on('data', function onGroup(group) {
+        if (watch.execHook) {
+            watch.execHook.handleGroup(group);
+        }
+        if (watch.webhook) {
+            watch.webhook.send(group);
+        }
+        self.emit('group', watch.name, group);
+    });
+
+    self._watches[watch.name] = watch;
+    delete self._failedWatches[watch.name];
+    watch.log.debug({dir: w.dir}, 'watch started');
+};
+
+/*
+ * Close the watcher, letting an in-progress poll and sync finish, and then
+ * its hooks.
+ */
+WatchDaemon.prototype._closeWatch = function _closeWatch(watch, cb) {
+    function closeHooks() {
+        vasync.parallel({funcs: [
+            function closeExecHook(next) {
+                if (!watch.execHook) {
+                    next();
+                    return;
+                }
+                watch.execHook.close(next);
+            },
+            function closeWebhook(next) {
+                if (!watch.webhook) {
+                    next();
+                    return;
+                }
+                watch.webhook.close(next);
+            }
+        ]}, function onHooksClosed() {
+            watch.log.debug('watch closed');
+            cb();
+        });
+    }
+
+    watch.watcher.close();
+    // Wait for 'end', i.e. until the last group has been handled.
+    if (watch.ended) {
+        closeHooks();
+    } else {
+        watch.watcher.once('end', closeHooks);
+    }
+};
+
+/*
+ * Poll all watches now.
+ */
+WatchDaemon.prototype.poke = function poke() {
+    var self = this;
+
+    Object.keys(self._watches).forEach(function pokeOne(name) {
+        self._watches[name].watcher.poke();
+    });
+};
+
+/*
+ * Return the `getStats()` of each watch, by name. Watches that stopped on
+ * an error (until a reload starts them again) are included, with a
+ * "failed" status.
+ */
+WatchDaemon.prototype.getStats = function getStats() {
+    var self = this;
+    var stats = {};
+
+    Object.keys(self._failedWatches).forEach(function failedStats(name) {
+        stats[name] = self._failedWatches[name].watcher.getStats();
+        stats[name].status = 'failed';
+    });
+    Object.keys(self._watches).forEach(function watchStats(name) {
+        stats[name] = self._watches[name].watcher.getStats();
+    });
+    return stats;
+};
+
+/*
+ * Stop all watches, letting in-progress polls, syncs and hook runs finish.
+ * Returns a Promise that resolves when done.
+ */
+WatchDaemon.prototype.close = function close() {
+    var self = this;
+
+    if (self._closePromise) {
+        return self._closePromise;
+    }
+
+    self._closed = true;
+    self._closePromise = new Promise(function setResolve(resolve) {
+        self._closeResolve = resolve;
+    });
+    if (!self._reloading) {
+        self._closeAll();
+    }
+    return self._closePromise;
+};
+
+WatchDaemon.prototype._closeAll = function _closeAll() {
+    var self = this;
+    var names = Object.keys(self._watches);
+
+    vasync.forEachParallel({
+        inputs: names,
+        func: function closeOne(name, next) {
+            var watch = self._watches[name];
+
+            delete self._watches[name];
+            self._closeWatch(watch, next);
+        }
+    }, function onAllClosed() {
+        if (self._closeBackend) {
+            self.backend.close();
+        }
+        self.log.debug({numWatches: names.length}, 'closed');
+        self._closeResolve();
+    });
+};
+
+
+// ---- exports
+
+module.exports = WatchDaemon;
+module.exports.loadConfig = loadConfig;
@@ -0,0 +1,473 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * A webhook sink: POST change groups from a MantaDirWatcher to a URL.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var mkdirp = require('mkdirp');
+var mod_path = require('path');
+var mod_url = require('url');
+var util = require('util');
+var vasync = require('vasync');
+
+var common = require('./common');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+var SIGNATURE_HEADER = 'x-mwatchdir-signature';
+var DELIVERY_HEADER = 'x-mwatchdir-delivery';
+
+var MS_PER_SEC = 1000;
+var DEFAULT_MAX_QUEUE_SIZE = 1000;
+var DEFAULT_TIMEOUT = 30;   // seconds
+var DEFAULT_RETRY = {
+    minDelay: 1,    // seconds
+    maxDelay: 60    // seconds
+};
+
+var QUEUE_FILE_RE = /^\d+-\d+\.json$/;
+var SEQ_DIGITS = 8;
+var SEQ_PAD = '00000000';
+
+var HTTP_OK_MIN = 200;
+var HTTP_OK_MAX = 299;
+
+
+// ---- support functions
+
+/*
+ * Sign the given request body with the shared secret. Receivers should
+ * compute the same and compare it to the "X-Mwatchdir-Signature" header.
+ */
+function signBody(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret)
+        .update(body).digest('hex');
+}
+
+
+// ---- WebhookSink class
+
+/*
+ * Create a webhook sink. Call `send(group)` with each event group emitted
+ * by the watcher:
+ *
+ *      var sink = new WebhookSink({url: 'http://localhost:8080/hook',
+ *          secret: 'sekrit', queueDir: '/var/tmp/mwatchdir-queue'});
+ *      watcher.on('data', function (group) {
+ *          sink.send(group);
+ *      });
+ *
+ * Each group is POSTed, in order, as JSON. With a `secret`, the request has
+ * an "X-Mwatchdir-Signature: sha256=<hex HMAC-SHA256 of body>" header. An
+ * "X-Mwatchdir-Delivery" header gives a unique id for the group, which is
+ * the same for retries.
+ *
+ * Failed deliveries (network errors, HTTP 5xx, 408 and 429 responses) are
+ * retried with backoff. Other failed responses are logged and the group
+ * dropped. Pending groups are kept in a queue (persisted to `queueDir`, if
+ * given) of at most `maxQueueSize` groups, beyond which the oldest are
+ * dropped. A group that can't be persisted is logged and kept in memory.
+ *
+ * Emits "delivered" (`id`) and "dropped" (`id`, `reason`) events.
+ *
+ * @param {String} opts.url: Required. The URL to which to POST.
+ * @param {String} opts.secret: Optional. Shared secret for signing.
+ * @param {String} opts.queueDir: Optional. A local dir in which to persist
+ *      pending groups, so they survive a restart.
+ * @param {Number} opts.maxQueueSize: Optional. Default 1000.
+ * @param {Number} opts.timeout: Optional. Request timeout in seconds.
+ *      Default 30.
+ * @param {Object} opts.retry: Optional. `minDelay` and `maxDelay` (in
+ *      seconds) for retry backoff. Defaults are 1 and 60.
+ * @param {Object} opts.log: Required. Bunyan logger.
+ */
+function WebhookSink(opts) {
+    var parsed;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.url, 'opts.url');
+    assert.optionalString(opts.secret, 'opts.secret');
+    assert.optionalString(opts.queueDir, 'opts.queueDir');
+    assert.optionalNumber(opts.maxQueueSize, 'opts.maxQueueSize');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+    assert.optionalObject(opts.retry, 'opts.retry');
+    assert.object(opts.log, 'opts.log');
+
+    parsed = mod_url.parse(opts.url);
+    assert.ok(['http:', 'https:'].indexOf(parsed.protocol) !== -1,
+        'opts.url is not an http or https URL: ' + opts.url);
+
+    EventEmitter.call(this);
+
+    this.url = opts.url;
+    this.secret = opts.secret || null;
+    this.queueDir = (opts.queueDir ? mod_path.resolve(opts.queueDir) : null);
+    this.maxQueueSize = opts.maxQueueSize || DEFAULT_MAX_QUEUE_SIZE;
+    this.timeoutMs = (opts.timeout || DEFAULT_TIMEOUT) * MS_PER_SEC;
+    this.retry = common.objCopy(opts.retry || {},
+        common.objCopy(DEFAULT_RETRY));
+    this.log = opts.log.child({component: 'webhook', url: this.url}, true);
+
+    this._parsedUrl = parsed;
+    this._queue = [];
+    this._seq = 0;
+    this._loading = false;
+    this._delivering = false;
+    this._attempt = 0;
+    this._retryTimeout = null;
+    this._closed = false;
+    this._closeCbs = [];
+
+    this._loadQueue();
+}
+util.inherits(WebhookSink, EventEmitter);
+
+/*
+ * Load pending groups persisted (in `queueDir`) by an earlier process,
+ * ahead of any sent since this sink was created, then start delivering.
+ * Failures are logged: the sink carries on with what could be loaded.
+ */
+WebhookSink.prototype._loadQueue = function _loadQueue() {
+    var self = this;
+    var log = self.log;
+    var loaded = [];
+    var queued = {};
+
+    if (!self.queueDir) {
+        return;
+    }
+    self._loading = true;
+
+    function finish() {
+        self._loading = false;
+        self._deliverNext();
+    }
+
+    function loadOne(name, next) {
+        var file = mod_path.join(self.queueDir, name);
+
+        fs.readFile(file, 'utf8', function onRead(err, body) {
+            if (err) {
+                log.warn({err: err, file: file},
+                    'could not load webhook queue file');
+            } else {
+                loaded.push({
+                    id: name.slice(0, -('.json'.length)),
+                    file: file,
+                    body: body
+                });
+            }
+            next();
+        });
+    }
+
+    mkdirp(self.queueDir, function onMkdirp(mkdirErr) {
+        if (mkdirErr) {
+            log.error({err: mkdirErr, queueDir: self.queueDir},
+                'could not create webhook queue dir');
+            finish();
+            return;
+        }
+        fs.readdir(self.queueDir, function onReaddir(readdirErr, names) {
+            if (readdirErr) {
+                log.error({err: readdirErr, queueDir: self.queueDir},
+                    'could not read webhook queue dir');
+                finish();
+                return;
+            }
+            self._queue.forEach(function noteQueued(entry) {
+                queued[entry.id] = true;
+            });
+            vasync.forEachPipeline({
+                inputs: names.filter(function isQueueFile(name) {
+                    // Groups sent while loading may already be queued.
+                    return (QUEUE_FILE_RE.test(name)
+                        && !queued[name.slice(0, -('.json'.length))]);
+                }).sort(),
+                func: loadOne
+            }, function onLoadedAll() {
+                if (loaded.length > 0) {
+                    log.info({queueLength: loaded.length},
+                        'loaded pending webhook deliveries');
+                }
+                self._queue = loaded.concat(self._queue);
+                self._trimQueue();
+                finish();
+            });
+        });
+    });
+};
+
+/*
+ * Queue the given group for delivery. With `queueDir`, the group isn't
+ * delivered until it has been persisted (or has failed to be).
+ */
+WebhookSink.prototype.send = function send(group) {
+    var self = this;
+    var id;
+    var entry;
+    var tmpFile;
+
+    assert.object(group, 'group');
+    assert.ok(!self._closed, 'send after close');
+
+    // Zero-pad so that sorting queue file names gives delivery order.
+    id = format('%d-%s', Date.now(),
+        (SEQ_PAD + self._seq++).slice(-SEQ_DIGITS));
+    entry = {
+        id: id,
+        file: null,
+        body: JSON.stringify(group),
+        persisting: Boolean(self.queueDir)
+    };
+    self._queue.push(entry);
+    self._trimQueue();
+
+    if (!self.queueDir) {
+        self._deliverNext();
+        return;
+    }
+
+    tmpFile = mod_path.join(self.queueDir, '.' + id + '.json.tmp');
+    self._persist(entry, tmpFile, function onPersisted(err) {
+        if (err) {
+            self.log.warn({err: err, id: id},
+                'could not persist webhook group, keeping it in memory');
+        }
+        entry.persisting = false;
+        self._deliverNext();
+    });
+};
+
+WebhookSink.prototype._persist = function _persist(entry, tmpFile, cb) {
+    var self = this;
+    var file = mod_path.join(self.queueDir, entry.id + '.json');
+
+    fs.writeFile(tmpFile, entry.body, function onWritten(writeErr) {
+        if (writeErr) {
+            fs.unlink(tmpFile, function onUnlinked() {
+                cb(writeErr);
+            });
+            return;
+        }
+        fs.rename(tmpFile, file, function onRenamed(renameErr) {
+            if (renameErr) {
+                cb(renameErr);
+                return;
+            }
+            entry.file = file;
+            if (entry.removed) {
+                // Dropped (or delivered) while being persisted.
+                self._removeEntry(entry);
+            }
+            cb();
+        });
+    });
+};
+
+WebhookSink.prototype._trimQueue = function _trimQueue() {
+    // Don't drop the head of the queue if it is being delivered.
+    var first = (this._delivering ? 1 : 0);
+    var entry;
+
+    while (this._queue.length > Math.max(this.maxQueueSize, first)) {
+        entry = this._queue.splice(first, 1)[0];
+        this.log.warn({id: entry.id, maxQueueSize: this.maxQueueSize},
+            'webhook queue full, dropping oldest group');
+        this._removeEntry(entry, 'queue full');
+    }
+};
+
+WebhookSink.prototype._removeEntry = function _removeEntry(entry, dropReason) {
+    var self = this;
+
+    entry.removed = true;
+    if (entry.file) {
+        fs.unlink(entry.file, function onUnlinked(err) {
+            if (err && err.code !== 'ENOENT') {
+                self.log.warn({err: err, file: entry.file},
+                    'could not remove webhook queue file');
+            }
+        });
+    }
+    if (dropReason) {
+        self.emit('dropped', entry.id, dropReason);
+    }
+};
+
+/*
+ * Whether the sink is free to start a delivery.
+ */
+WebhookSink.prototype._isIdle = function _isIdle() {
+    return !(this._loading || this._delivering || this._retryTimeout
+        || this._closed);
+};
+
+WebhookSink.prototype._deliverNext = function _deliverNext() {
+    var self = this;
+    var entry = self._queue[0];
+
+    if (!self._isIdle() || !entry || entry.persisting) {
+        return;
+    }
+
+    self._delivering = true;
+    self._attempt++;
+    self._post(entry, function onPosted(err) {
+        self._delivering = false;
+        if (!err) {
+            self.log.trace({id: entry.id, attempt: self._attempt},
+                'webhook delivered');
+            self._queue.shift();
+            self._attempt = 0;
+            self._removeEntry(entry);
+            self.emit('delivered', entry.id);
+        } else if (common.isRetryableError(err)) {
+            self._scheduleRetry(entry, err);
+        } else {
+            self.log.error({err: err, id: entry.id},
+                'webhook delivery rejected, dropping group');
+            self._queue.shift();
+            self._attempt = 0;
+            self._removeEntry(entry, err.message);
+        }
+
+        if (self._closed) {
+            self._finishClose();
+        } else {
+            self._deliverNext();
+        }
+    });
+};
+
+WebhookSink.prototype._scheduleRetry = function _scheduleRetry(entry, err) {
+    var self = this;
+    var delay = Math.round(MS_PER_SEC * common.backoffDelay(self._attempt,
+        self.retry.minDelay, self.retry.maxDelay));
+
+    self.log.warn({err: err, id: entry.id, attempt: self._attempt,
+        retryDelay: delay}, 'webhook delivery failed');
+    if (self._closed) {
+        return;
+    }
+    self._retryTimeout = setTimeout(function retryDelivery() {
+        self._retryTimeout = null;
+        self._deliverNext();
+    }, delay);
+};
+
+WebhookSink.prototype._post = function _post(entry, cb) {
+    var self = this;
+    var u = self._parsedUrl;
+    var called = false;
+    var headers = {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(entry.body)
+    };
+    var req;
+
+    headers[DELIVERY_HEADER] = entry.id;
+    if (self.secret) {
+        headers[SIGNATURE_HEADER] = signBody(self.secret, entry.body);
+    }
+
+    function finish(err) {
+        if (called) {
+            return;
+        }
+        called = true;
+        cb(err);
+    }
+
+    req = (u.protocol === 'https:' ? https : http).request({
+        method: 'POST',
+        hostname: u.hostname,
+        port: u.port,
+        path: u.path,
+        auth: u.auth,
+        headers: headers
+    }, function onResponse(res) {
+        // Drain the response, we only care about the status.
+        res.resume();
+        res.once('end', function onEnd() {
+            var ok = (res.statusCode >= HTTP_OK_MIN
+                && res.statusCode <= HTTP_OK_MAX);
+            var err;
+
+            if (ok) {
+                finish();
+                return;
+            }
+            err = new Error(format('webhook POST to %s failed: HTTP %d',
+                self.url, res.statusCode));
+            err.statusCode = res.statusCode;
+            finish(err);
+        });
+    });
+
+    req.setTimeout(self.timeoutMs, function onTimeout() {
+        var err = new Error(format('webhook POST to %s timed out',
+            self.url));
+
+        err.code = 'ETIMEDOUT';
+        finish(err);
+        req.abort();
+    });
+    req.once('error', finish);
+    req.end(entry.body);
+};
+
+/*
+ * Stop delivering. An in-progress delivery is allowed to finish. Pending
+ * groups are lost, unless persisted in `queueDir`.
+ */
+WebhookSink.prototype.close = function close(cb) {
+    assert.optionalFunc(cb, 'cb');
+
+    this._closed = true;
+    if (this._retryTimeout) {
+        clearTimeout(this._retryTimeout);
+        this._retryTimeout = null;
+    }
+    if (cb) {
+        this._closeCbs.push(cb);
+    }
+    if (!this._delivering) {
+        this._finishClose();
+    }
+};
+
+WebhookSink.prototype._finishClose = function _finishClose() {
+    var cbs = this._closeCbs;
+
+    this._closeCbs = [];
+    cbs.forEach(function callCloseCb(cb) {
+        setImmediate(cb);
+    });
+};
+
+
+// ---- exports
+
+module.exports = WebhookSink;
+module.exports.signBody = signBody;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
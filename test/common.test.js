@@ -0,0 +1,152 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test the retry policy support in lib/common.js.
+ */
+
+'use strict';
+
+var test = require('tape');
+var VError = require('verror').VError;
+
+var common = require('../lib/common');
+
+
+// ---- globals/consts
+
+var NUM_SAMPLES = 100;
+
+var HTTP_FORBIDDEN = 403;
+var HTTP_REQUEST_TIMEOUT = 408;
+var HTTP_TOO_MANY_REQUESTS = 429;
+var HTTP_UNAVAILABLE = 503;
+
+var MIN_DELAY = 1;
+var MAX_DELAY = 10;
+var MAX_FAILURES = 3;
+var MS_PER_SEC = 1000;
+
+// The expected range of backoff delays (in seconds) for each attempt, with
+// MIN_DELAY and MAX_DELAY: doubling from 1, jittered down by up to half, and
+// capped at 10.
+var BACKOFF_RANGES = [
+    {attempt: 1, min: 0.5, max: 1},
+    {attempt: 2, min: 1, max: 2},
+    {attempt: 3, min: 2, max: 4},
+    {attempt: 4, min: 4, max: 8},
+    {attempt: 5, min: 5, max: 10},
+    {attempt: 10, min: 5, max: 10}
+];
+
+
+// ---- support functions
+
+function errWithStatus(statusCode) {
+    var err = new Error('status ' + statusCode);
+
+    err.statusCode = statusCode;
+    return err;
+}
+
+function errWithCode(code) {
+    var err = new Error(code);
+
+    err.code = code;
+    return err;
+}
+
+/*
+ * The [min, max] range of `NUM_SAMPLES` backoff delays for `attempt`.
+ */
+function delayRange(attempt) {
+    var min = Infinity;
+    var max = -Infinity;
+    var i;
+    var delay;
+
+    for (i = 0; i < NUM_SAMPLES; i++) {
+        delay = common.backoffDelay(attempt, MIN_DELAY, MAX_DELAY);
+        min = Math.min(min, delay);
+        max = Math.max(max, delay);
+    }
+    return [min, max];
+}
+
+
+// ---- tests
+
+test('isRetryableError', function testIsRetryable(t) {
+    [
+        {err: errWithStatus(HTTP_UNAVAILABLE), retryable: true},
+        {err: errWithStatus(HTTP_REQUEST_TIMEOUT), retryable: true},
+        {err: errWithStatus(HTTP_TOO_MANY_REQUESTS), retryable: true},
+        {err: errWithStatus(HTTP_FORBIDDEN), retryable: false},
+        {err: errWithCode('ECONNRESET'), retryable: true},
+        {err: errWithCode('ENOENT'), retryable: false},
+        {err: new Error('boom'), retryable: false},
+        {err: new VError(errWithStatus(HTTP_UNAVAILABLE), 'could not upload'),
+            retryable: true},
+        {err: new VError(errWithCode('EACCES'), 'could not write'),
+            retryable: false}
+    ].forEach(function checkCase(c) {
+        t.equal(common.isRetryableError(c.err), c.retryable,
+            '"' + c.err.message + '" retryable: ' + c.retryable);
+    });
+    t.end();
+});
+
+test('backoffDelay grows and is capped', function testBackoff(t) {
+    BACKOFF_RANGES.forEach(function checkAttempt(c) {
+        var range = delayRange(c.attempt);
+
+        t.ok(range[0] >= c.min && range[1] <= c.max,
+            'attempt ' + c.attempt + ' delays are within [' + c.min + ', '
+            + c.max + ']: ' + range);
+    });
+    t.end();
+});
+
+test('pollRetry', function testPollRetry(t) {
+    var retry = common.retryFromOpts({
+        minDelay: MIN_DELAY,
+        maxDelay: MAX_DELAY,
+        maxFailures: MAX_FAILURES
+    });
+    var r;
+
+    r = common.pollRetry(retry, errWithStatus(HTTP_UNAVAILABLE), 1);
+    t.equal(r.retryable, true, 'a 503 is retryable');
+    t.equal(r.giveUpErr, null, 'no giving up on the first failure');
+    t.ok(r.retryDelay >= BACKOFF_RANGES[0].min * MS_PER_SEC
+        && r.retryDelay <= BACKOFF_RANGES[0].max * MS_PER_SEC,
+        'the first retryDelay is in ms: ' + r.retryDelay);
+
+    r = common.pollRetry(retry, errWithStatus(HTTP_UNAVAILABLE),
+        MAX_FAILURES);
+    t.equal(r.retryDelay, null, 'no retry after maxFailures');
+    t.ok((/giving up after 3 consecutive poll failures/).test(
+        r.giveUpErr.message), 'giveUpErr: ' + r.giveUpErr.message);
+    t.equal(VError.cause(r.giveUpErr).statusCode, HTTP_UNAVAILABLE,
+        'giveUpErr wraps the last error');
+
+    r = common.pollRetry(retry, errWithStatus(HTTP_FORBIDDEN), 1);
+    t.equal(r.retryable, false, 'a 403 is not retryable');
+    t.equal(r.retryDelay, null, 'a fatal error is not retried');
+    t.equal(r.giveUpErr.statusCode, HTTP_FORBIDDEN,
+        'a fatal error is given up with as is');
+
+    retry.maxFailures = 0;
+    r = common.pollRetry(retry, errWithStatus(HTTP_UNAVAILABLE), NUM_SAMPLES);
+    t.equal(r.giveUpErr, null, 'maxFailures=0 retries forever');
+    t.ok(r.retryDelay <= MAX_DELAY * MS_PER_SEC,
+        'the retryDelay is capped at maxDelay: ' + r.retryDelay);
+    t.end();
+});
@@ -0,0 +1,397 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test the event fan-out server in lib/event-server.js.
+ */
+
+'use strict';
+
+var http = require('http');
+var mod_path = require('path');
+var test = require('tape');
+var util = require('util');
+
+var helpers = require('./helpers');
+var EventServer = require('../lib/event-server');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+var HTTP_OK = 200;
+var HTTP_BAD_REQUEST = 400;
+
+var LISTING = [
+    {name: 'a.txt', relpath: 'a.txt', type: 'object'},
+    {name: 'b.json', relpath: 'b.json', type: 'object'}
+];
+
+
+// ---- support functions
+
+/*
+ * Subscribe to the server's events with the given query string. Calls
+ * `onMsg(msg)` for each message and `cb(err, res)` when the response ends
+ * (or fails). The body of an error response is ignored.
+ */
+function subscribe(opts, onMsg, cb) {
+    var req = http.get({
+        socketPath: opts.socketPath,
+        path: '/events' + (opts.query ? '?' + opts.query : '')
+    }, function onRes(res) {
+        var buf = '';
+
+        res.on('end', function onEnd() {
+            cb(null, res);
+        });
+        if (res.statusCode !== HTTP_OK) {
+            res.resume();
+            return;
+        }
+        res.setEncoding('utf8');
+        res.on('data', function onData(chunk) {
+            var lines;
+
+            buf += chunk;
+            lines = buf.split('\n');
+            buf = lines.pop();
+            lines.forEach(function onLine(line) {
+                onMsg(JSON.parse(line));
+            });
+        });
+    });
+
+    req.on('error', cb);
+}
+
+/*
+ * GET "/events" with the given query string and `headers`, reading the body
+ * until `isDone(body)` is true. Calls back with `(err, res, body)`.
+ */
+function getEvents(opts, isDone, cb) {
+    var req = http.get({
+        socketPath: opts.socketPath,
+        path: '/events' + (opts.query ? '?' + opts.query : ''),
+        headers: opts.headers || {}
+    }, function onRes(res) {
+        var body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function onData(chunk) {
+            body += chunk;
+            if (isDone(body)) {
+                req.abort();
+                cb(null, res, body);
+                return;
+            }
+        });
+    });
+
+    req.on('error', cb);
+}
+
+/*
+ * Parse an NDJSON body into its messages.
+ */
+function parseNdjson(body) {
+    return body.trim().split('\n').map(function parseLine(line) {
+        return JSON.parse(line);
+    });
+}
+
+/*
+ * Is the NDJSON body complete with `n` messages?
+ */
+function hasNumMsgs(n) {
+    return function isDone(body) {
+        return (body.split('\n').length > n);
+    };
+}
+
+function createServer(scratch, opts) {
+    return helpers.createWithOpts(EventServer, {
+        socketPath: mod_path.join(scratch.base, 'events.sock'),
+        getListing: function getListing() {
+            return LISTING;
+        },
+        log: scratch.log
+    }, opts);
+}
+
+/*
+ * Publish a group for each of the given arrays of names (as "create"
+ * events).
+ */
+function publishNames(server, groups) {
+    groups.forEach(function publishGroup(names) {
+        server.publish({events: names.map(function createEvent(name) {
+            return {action: 'create', name: name, type: 'object'};
+        })});
+    });
+}
+
+/*
+ * Summarize a message as "TYPE: NAME, ..." with the names of its events or
+ * entries.
+ */
+function summarizeMsg(msg) {
+    return msg.type + ': ' + (msg.events || msg.entries).map(
+        function getName(item) {
+            return item.name;
+        }).join(', ');
+}
+
+
+// ---- tests
+
+test('start, subscribe, publish and close', function testServer(t) {
+    var scratch = new helpers.Scratch('event-server');
+    var socketPath = mod_path.join(scratch.base, 'events.sock');
+    var server = new EventServer({
+        socketPath: socketPath,
+        getListing: function getListing() {
+            return LISTING;
+        },
+        log: scratch.log
+    });
+    var msgs = [];
+
+    function onMsg(msg) {
+        msgs.push(msg);
+        if (msgs.length === 1) {
+            server.publish({events: [
+                {action: 'create', name: 'c.txt', type: 'object'},
+                {action: 'delete', name: 'd.json', type: 'object'}
+            ]});
+        } else {
+            server.close(function onClosed() {});
+        }
+    }
+
+    server.listen(function onListening(listenErr) {
+        if (listenErr) {
+            t.ifError(listenErr, 'listen');
+            scratch.destroy();
+            t.end();
+            return;
+        }
+        subscribe({socketPath: socketPath, query: 'include=*.txt'}, onMsg,
+            function onEnd(err, res) {
+                t.ifError(err, 'no unexpected error');
+                t.equal(res.statusCode, HTTP_OK, 'status');
+                t.equal(res.headers['content-type'], 'application/x-ndjson',
+                    'content-type');
+                t.deepEqual(msgs.map(function type(msg) {
+                    return msg.type;
+                }), ['snapshot', 'group'], 'a snapshot, then a group');
+                t.deepEqual(msgs[0].entries, [LISTING[0]],
+                    'snapshot is filtered');
+                t.deepEqual(msgs[1].events.map(function name(ev) {
+                    return ev.action + ' ' + ev.name;
+                }), ['create c.txt'], 'group is filtered');
+                t.equal(msgs[1].events[0].seq, msgs[0].seq + 1,
+                    'events are sequenced after the snapshot');
+                t.equal(msgs[1].seq, msgs[1].events[0].seq,
+                    'group seq is that of its last event');
+                scratch.destroy();
+                t.end();
+            });
+    });
+});
+
+test('a bad filter is rejected', function testBadFilter(t) {
+    var scratch = new helpers.Scratch('event-server');
+    var socketPath = mod_path.join(scratch.base, 'events.sock');
+    var server = new EventServer({
+        socketPath: socketPath,
+        getListing: function getListing() {
+            return LISTING;
+        },
+        log: scratch.log
+    });
+
+    function onMsg(msg) {
+        t.fail('unexpected message: ' + JSON.stringify(msg));
+    }
+
+    server.listen(function onListening(listenErr) {
+        t.ifError(listenErr, 'listen');
+        subscribe({socketPath: socketPath, query: 'action=frob'}, onMsg,
+            function onEnd(err, res) {
+                t.ifError(err, 'no unexpected error');
+                t.equal(res.statusCode, HTTP_BAD_REQUEST, 'status');
+                server.close(function onClosed() {
+                    scratch.destroy();
+                    t.end();
+                });
+            });
+    });
+});
+
+test('reconnecting with since replays missed events', function testSince(t) {
+    var scratch = new helpers.Scratch('event-server-since');
+    var server = createServer(scratch);
+    var missed = ['a2.txt', 'a3.txt'];
+
+    function finish(err) {
+        t.ifError(err, 'no unexpected error');
+        server.close(function onClosed() {
+            scratch.destroy();
+            t.end();
+        });
+    }
+
+    server.listen(function onListening(listenErr) {
+        if (listenErr) {
+            finish(listenErr);
+            return;
+        }
+        publishNames(server, [['a1.txt'], missed]);
+        getEvents({socketPath: server.socketPath}, hasNumMsgs(1),
+            function onSnapshot(err, res, body) {
+                var seq;
+
+                if (err) {
+                    finish(err);
+                    return;
+                }
+                // The snapshot is as of the last event, so this is the
+                // seq of "a1.txt".
+                seq = parseNdjson(body)[0].seq - missed.length;
+                getEvents({socketPath: server.socketPath,
+                    query: 'since=' + seq}, hasNumMsgs(1),
+                    function onReplay(replayErr, replayRes, replayBody) {
+                        if (replayErr) {
+                            finish(replayErr);
+                            return;
+                        }
+                        t.deepEqual(parseNdjson(replayBody).map(summarizeMsg),
+                            ['group: a2.txt, a3.txt'],
+                            'the events after "since" are replayed, with no '
+                            + 'snapshot');
+                        finish();
+                    });
+            });
+    });
+});
+
+test('since before the replay buffer gets a snapshot', function testTrim(t) {
+    var scratch = new helpers.Scratch('event-server-trimmed');
+    var names = ['a1.txt', 'a2.txt', 'a3.txt'];
+    var server = createServer(scratch, {replaySize: names.length - 1});
+
+    function finish(err) {
+        t.ifError(err, 'no unexpected error');
+        server.close(function onClosed() {
+            scratch.destroy();
+            t.end();
+        });
+    }
+
+    server.listen(function onListening(listenErr) {
+        if (listenErr) {
+            finish(listenErr);
+            return;
+        }
+        publishNames(server, names.map(function oneGroup(name) {
+            return [name];
+        }));
+        getEvents({socketPath: server.socketPath}, hasNumMsgs(1),
+            function onSnapshot(err, res, body) {
+                var seq;
+
+                if (err) {
+                    finish(err);
+                    return;
+                }
+                // Resume from before "a1.txt", which has been trimmed from
+                // the buffer.
+                seq = parseNdjson(body)[0].seq - names.length;
+                getEvents({socketPath: server.socketPath,
+                    query: 'since=' + seq}, hasNumMsgs(1),
+                    function onTrimmed(trimErr, trimRes, trimBody) {
+                        if (trimErr) {
+                            finish(trimErr);
+                            return;
+                        }
+                        t.deepEqual(parseNdjson(trimBody).map(summarizeMsg),
+                            ['snapshot: a.txt, b.json'],
+                            'a snapshot is sent instead');
+                        finish();
+                    });
+            });
+    });
+});
+
+test('SSE framing and Last-Event-ID', function testSse(t) {
+    var scratch = new helpers.Scratch('event-server-sse');
+    var server = createServer(scratch);
+
+    function finish(err) {
+        t.ifError(err, 'no unexpected error');
+        server.close(function onClosed() {
+            scratch.destroy();
+            t.end();
+        });
+    }
+
+    function hasNumSseMsgs(n) {
+        return function isDone(body) {
+            return (body.split('\n\n').length > n);
+        };
+    }
+
+    server.listen(function onListening(listenErr) {
+        if (listenErr) {
+            finish(listenErr);
+            return;
+        }
+        publishNames(server, [['a1.txt'], ['a2.txt']]);
+        getEvents({socketPath: server.socketPath,
+            headers: {accept: 'text/event-stream'}}, hasNumSseMsgs(1),
+            function onSnapshot(err, res, body) {
+                var data;
+                var seq;
+
+                if (err) {
+                    finish(err);
+                    return;
+                }
+                t.equal(res.headers['content-type'], 'text/event-stream',
+                    'content-type');
+                data = (/^data: (.*)$/m).exec(body)[1];
+                seq = JSON.parse(data).seq;
+                t.equal(body, format('id: %d\nevent: snapshot\ndata: %s\n\n',
+                    seq, data), 'a message is id, event and data lines, then '
+                    + 'a blank line');
+
+                getEvents({socketPath: server.socketPath,
+                    headers: {accept: 'text/event-stream',
+                        'last-event-id': String(seq - 1)}},
+                    hasNumSseMsgs(1),
+                    function onReplay(replayErr, replayRes, replayBody) {
+                        if (replayErr) {
+                            finish(replayErr);
+                            return;
+                        }
+                        t.equal(replayBody, format('id: %d\nevent: group\n'
+                            + 'data: %s\n\n', seq, JSON.stringify({
+                                type: 'group',
+                                seq: seq,
+                                events: [{action: 'create', name: 'a2.txt',
+                                    type: 'object', seq: seq}]
+                            })), 'Last-Event-ID resumes after that event');
+                        finish();
+                    });
+            });
+    });
+});
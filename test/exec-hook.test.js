@@ -0,0 +1,157 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test ExecHook debouncing and overlap handling.
+ */
+
+'use strict';
+
+var child_process = require('child_process');
+var fs = require('fs');
+var mod_path = require('path');
+var test = require('tape');
+
+var ExecHook = require('../lib/exec-hook');
+var helpers = require('./helpers');
+
+
+// ---- globals/consts
+
+var DEBOUNCE = 0.1;  // seconds
+var CHECK_INTERVAL_MS = 20;
+
+
+// ---- support functions
+
+/*
+ * An exec hook whose command appends the group it gets on stdin (one JSON
+ * line per run) to the "runs" file in the scratch dir, after running
+ * `preCmd`, if any.
+ */
+function createHook(scratch, opts, preCmd) {
+    var runsFile = mod_path.join(scratch.base, 'runs');
+    var cmd = 'cat >> "' + runsFile + '"';
+
+    return helpers.createWithOpts(ExecHook, {
+        cmd: (preCmd ? preCmd + '; ' + cmd : cmd),
+        log: scratch.log
+    }, opts);
+}
+
+/*
+ * The relpaths of the events for each run of a hook from `createHook`.
+ * A run still being written (no trailing newline yet) is not included.
+ */
+function listRuns(scratch) {
+    var runsFile = mod_path.join(scratch.base, 'runs');
+    var lines;
+
+    if (!fs.existsSync(runsFile)) {
+        return [];
+    }
+    lines = fs.readFileSync(runsFile, 'utf8').split('\n');
+    lines.pop();
+    return lines.map(
+        function parseRun(line) {
+            return JSON.parse(line).events.map(function getRelpath(ev) {
+                return ev.relpath;
+            });
+        });
+}
+
+function groupFor(relpath) {
+    return {events: [{action: 'create', relpath: relpath,
+        path: '~~/stor/watched/' + relpath}]};
+}
+
+
+// ---- tests
+
+test('groups within the debounce time are merged', function testDebounce(t) {
+    var scratch = new helpers.Scratch('exec-debounce');
+    var hook = createHook(scratch, {debounce: DEBOUNCE});
+
+    function waitForRun() {
+        if (listRuns(scratch).length === 0) {
+            setTimeout(waitForRun, CHECK_INTERVAL_MS);
+            return;
+        }
+        hook.close(function onClosed() {
+            t.deepEqual(listRuns(scratch), [['a.txt', 'b.txt', 'c.txt']],
+                'one run for the debounced groups');
+            scratch.destroy();
+            t.end();
+        });
+    }
+
+    hook.handleGroup(groupFor('a.txt'));
+    hook.handleGroup(groupFor('b.txt'));
+    setTimeout(function thirdGroup() {
+        hook.handleGroup(groupFor('c.txt'));
+        t.deepEqual(listRuns(scratch), [], 'nothing ran yet');
+        waitForRun();
+    }, CHECK_INTERVAL_MS);
+});
+
+test('without debounce, each group is run', function testNoDebounce(t) {
+    var scratch = new helpers.Scratch('exec-serialize');
+    var hook = createHook(scratch, {}, 'sleep 0.1');
+
+    hook.handleGroup(groupFor('a.txt'));
+    hook.handleGroup(groupFor('b.txt'));
+    hook.close(function onClosed() {
+        t.deepEqual(listRuns(scratch), [['a.txt'], ['b.txt']],
+            'a group received during a run is run after it');
+        scratch.destroy();
+        t.end();
+    });
+});
+
+test('overlap "skip" drops groups during a run', function testSkip(t) {
+    var scratch = new helpers.Scratch('exec-skip');
+    var hook = createHook(scratch, {overlap: 'skip'}, 'sleep 0.1');
+
+    hook.handleGroup(groupFor('a.txt'));
+    hook.handleGroup(groupFor('b.txt'));
+    hook.close(function onClosed() {
+        t.deepEqual(listRuns(scratch), [['a.txt']],
+            'the group received during a run was skipped');
+        hook.handleGroup(groupFor('c.txt'));
+        hook.close(function onClosedAgain() {
+            t.deepEqual(listRuns(scratch), [['a.txt'], ['c.txt']],
+                'a group received after the run is run');
+            scratch.destroy();
+            t.end();
+        });
+    });
+});
+
+test('the command\'s stdout goes to stderr', function testStdout(t) {
+    // Run the hook in a child process to see where the output goes.
+    var script = [
+        'var bunyan = require("bunyan");',
+        'var ExecHook = require(' + JSON.stringify(
+            mod_path.resolve(__dirname, '../lib/exec-hook')) + ');',
+        'var hook = new ExecHook({cmd: "echo from-the-hook",',
+        '    log: bunyan.createLogger({name: "test", level: "fatal"})});',
+        'hook.handleGroup({events: []});',
+        'hook.close(function () {});'
+    ].join('\n');
+
+    child_process.execFile(process.execPath, ['-e', script], {
+        cwd: mod_path.resolve(__dirname, '..')
+    }, function onExec(err, stdout, stderr) {
+        t.ifError(err, 'no exec error');
+        t.equal(stdout, '', 'nothing was written to stdout');
+        t.equal(stderr, 'from-the-hook\n', 'the output went to stderr');
+        t.end();
+    });
+});
@@ -0,0 +1,163 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test globs and the `filter` option support in lib/filter.js.
+ */
+
+'use strict';
+
+var test = require('tape');
+
+var mod_filter = require('../lib/filter');
+
+
+// ---- globals/consts
+
+/*
+ * Globs, with names they should and shouldn't match.
+ */
+var GLOB_CASES = [
+    {glob: '*.txt', match: ['a.txt', '.txt', 'a.b.txt'],
+        noMatch: ['a.txt.bak', 'atxt', 'a.TXT']},
+    {glob: '*', match: ['', 'a', 'a b.c']},
+    {glob: '**', match: ['', 'a', 'a.b'], noMatch: []},
+    {glob: '**.log', match: ['a.log', 'a.b.log'], noMatch: ['a.logs']},
+    {glob: 'a?c', match: ['abc', 'a.c', 'a?c'], noMatch: ['ac', 'abbc']},
+    {glob: '[abc].txt', match: ['a.txt', 'c.txt'], noMatch: ['d.txt']},
+    {glob: '[a-c]x', match: ['bx'], noMatch: ['dx', '-x']},
+    {glob: '[!a-c]x', match: ['dx', '-x'], noMatch: ['ax', 'x']},
+    {glob: '[^a]x', match: ['bx'], noMatch: ['ax']},
+    {glob: '[]]x', match: [']x'], noMatch: ['x']},
+    {glob: '[', match: ['['], noMatch: ['a']},
+    {glob: 'a[bc', match: ['a[bc'], noMatch: ['ab']},
+    {glob: '{a,b}.txt', match: ['a.txt', 'b.txt'], noMatch: ['c.txt']},
+    {glob: '{a,{b,c}d}', match: ['a', 'bd', 'cd'], noMatch: ['b', 'ad']},
+    {glob: 'a,b', match: ['a,b'], noMatch: ['a']},
+    {glob: '{a', match: ['{a'], noMatch: ['a']},
+    {glob: '\\*.txt', match: ['*.txt'], noMatch: ['a.txt']},
+    {glob: '\\[a]', match: ['[a]'], noMatch: ['a']},
+    // RegExp metacharacters are literals.
+    {glob: 'a.b', match: ['a.b'], noMatch: ['axb']},
+    {glob: 'a+(b)|c$^', match: ['a+(b)|c$^'], noMatch: ['aa(b)|c$^', 'c']}
+];
+
+var MIN_SIZE = 1024;
+var MAX_SIZE = 2048;
+
+
+// ---- support functions
+
+/*
+ * A stand-in for the `fs.Stats` of a local file (or dir, with a null size).
+ */
+function fakeStat(size) {
+    return {
+        isDirectory: function isDirectory() {
+            return (size === null);
+        },
+        size: size
+    };
+}
+
+function objectDirent(name, size) {
+    return {
+        type: 'object',
+        name: name,
+        size: size,
+        mtime: '2016-06-29T18:13:26.672Z'
+    };
+}
+
+
+// ---- tests
+
+test('regexpFromGlob', function testRegexpFromGlob(t) {
+    GLOB_CASES.forEach(function checkGlob(c) {
+        var re = mod_filter.regexpFromGlob(c.glob);
+
+        c.match.forEach(function checkMatch(name) {
+            t.ok(re.test(name), c.glob + ' matches "' + name + '"');
+        });
+        (c.noMatch || []).forEach(function checkNoMatch(name) {
+            t.notOk(re.test(name), c.glob + ' does not match "' + name + '"');
+        });
+    });
+    t.end();
+});
+
+test('normalizeFilter', function testNormalizeFilter(t) {
+    var filter;
+
+    t.deepEqual(mod_filter.normalizeFilter(), {}, 'no filter');
+
+    filter = mod_filter.normalizeFilter({name: '*.txt'});
+    t.ok(filter.name instanceof RegExp, 'a single name glob is a RegExp');
+    t.ok(filter.name.test('a.txt'), 'name glob was compiled');
+
+    filter = mod_filter.normalizeFilter({name: ['*.txt', /^b/]});
+    t.ok(Array.isArray(filter.name), 'a list of names is kept as a list');
+    t.ok(mod_filter.nameMatchesFilter(filter, 'a.txt'), 'glob name match');
+    t.ok(mod_filter.nameMatchesFilter(filter, 'b.json'), 'RegExp name match');
+    t.notOk(mod_filter.nameMatchesFilter(filter, 'c.json'), 'no name match');
+
+    filter = mod_filter.normalizeFilter({include: ['*.txt', '*.json'],
+        exclude: '.*'});
+    t.ok(mod_filter.nameMatchesFilter(filter, 'a.json'), 'included');
+    t.notOk(mod_filter.nameMatchesFilter(filter, 'a.log'), 'not included');
+    t.notOk(mod_filter.nameMatchesFilter(filter, '.a.txt'),
+        'exclude wins over include');
+
+    filter = mod_filter.normalizeFilter({newerThan: '2016-06-29T00:00:00Z'});
+    t.equal(filter.newerThan, Date.parse('2016-06-29T00:00:00Z'),
+        'newerThan is epoch ms');
+
+    t.throws(function badType() {
+        mod_filter.normalizeFilter({type: 'symlink'});
+    }, /invalid opts.filter.type/, 'invalid type');
+    t.throws(function badNewerThan() {
+        mod_filter.normalizeFilter({newerThan: 'yesterday-ish'});
+    }, /invalid opts.filter.newerThan/, 'invalid newerThan');
+    t.throws(function badPattern() {
+        mod_filter.normalizeFilter({exclude: [true]});
+    }, /opts.filter.exclude\[0\]/, 'invalid pattern');
+    t.end();
+});
+
+test('type and size filters', function testTypeAndSize(t) {
+    var filter = mod_filter.normalizeFilter({minSize: MIN_SIZE,
+        maxSize: MAX_SIZE});
+    var dir = {type: 'directory', name: 'd', mtime: objectDirent('x').mtime};
+
+    t.notOk(mod_filter.direntMatchesFilter(filter,
+        objectDirent('a', MIN_SIZE - 1)), 'smaller than minSize');
+    t.ok(mod_filter.direntMatchesFilter(filter, objectDirent('a', MIN_SIZE)),
+        'minSize is inclusive');
+    t.ok(mod_filter.direntMatchesFilter(filter, objectDirent('a', MAX_SIZE)),
+        'maxSize is inclusive');
+    t.notOk(mod_filter.direntMatchesFilter(filter,
+        objectDirent('a', MAX_SIZE + 1)), 'larger than maxSize');
+    t.ok(mod_filter.direntMatchesFilter(filter, dir),
+        'size filters do not apply to dirs');
+
+    filter = mod_filter.normalizeFilter({type: 'directory'});
+    t.ok(mod_filter.direntMatchesFilter(filter, dir), 'type match');
+    t.notOk(mod_filter.direntMatchesFilter(filter, objectDirent('a', 0)),
+        'type mismatch');
+
+    filter = mod_filter.normalizeFilter({type: 'object', maxSize: MAX_SIZE});
+    t.ok(mod_filter.localFileMatchesFilter(filter, 'a', fakeStat(MAX_SIZE)),
+        'local file match');
+    t.notOk(mod_filter.localFileMatchesFilter(filter, 'a',
+        fakeStat(MAX_SIZE + 1)), 'local file larger than maxSize');
+    t.notOk(mod_filter.localFileMatchesFilter(filter, 'd', fakeStat(null)),
+        'local dir type mismatch');
+    t.end();
+});
@@ -0,0 +1,180 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Support for the test suites: scratch dirs with a LocalDirBackend standing
+ * in for Manta.
+ */
+
+'use strict';
+
+var bunyan = require('bunyan');
+var fs = require('fs');
+var mkdirp = require('mkdirp');
+var mod_path = require('path');
+var os = require('os');
+var rimraf = require('rimraf');
+
+var LocalDirBackend = require('../lib/local-dir-backend');
+
+
+// ---- globals/consts
+
+var MANTA_USER = 'test.user';
+
+var numScratches = 0;
+
+
+// ---- support functions
+
+/*
+ * A logger for the code under test. Quiet unless `TEST_LOG_LEVEL` is set.
+ */
+function createLogger(name) {
+    return bunyan.createLogger({
+        name: name,
+        level: process.env.TEST_LOG_LEVEL || 'fatal',
+        stream: process.stderr
+    });
+}
+
+/*
+ * Create a `Ctor` (e.g. MantaDirWatcher) with the given `opts` merged over
+ * the `defaults`.
+ */
+function createWithOpts(Ctor, defaults, opts) {
+    var ctorOpts = {};
+
+    [defaults, opts || {}].forEach(function copyOpts(o) {
+        Object.keys(o).forEach(function copyOpt(k) {
+            ctorOpts[k] = o[k];
+        });
+    });
+    return new Ctor(ctorOpts);
+}
+
+/*
+ * Summarize a group's events as sorted "ACTION RELPATH" strings.
+ */
+function summarize(group) {
+    return group.events.map(function summarizeEvent(ev) {
+        return ev.action + ' ' + ev.relpath;
+    }).sort();
+}
+
+/*
+ * Close the watcher (or publisher) and remove the scratch dir, failing the
+ * test with `err`, if any.
+ */
+function finish(t, scratch, watcher, err) {
+    t.ifError(err, 'no unexpected error');
+    watcher.close().then(function onClosed() {
+        scratch.destroy();
+        t.end();
+    });
+}
+
+function writeFile(path, content) {
+    mkdirp.sync(mod_path.dirname(path));
+    fs.writeFileSync(path, content);
+}
+
+/*
+ * List the files under `dir`, recursively, as a sorted array of
+ * "RELPATH: CONTENT" strings.
+ */
+function listFiles(dir) {
+    var files = [];
+
+    function walk(relDir) {
+        fs.readdirSync(mod_path.join(dir, relDir)).forEach(
+            function eachName(name) {
+                var relpath = (relDir ? relDir + '/' + name : name);
+                var path = mod_path.join(dir, relpath);
+
+                if (fs.statSync(path).isDirectory()) {
+                    walk(relpath);
+                } else {
+                    files.push(relpath + ': ' + fs.readFileSync(path, 'utf8'));
+                }
+            });
+    }
+
+    walk('');
+    return files.sort();
+}
+
+
+// ---- Scratch class
+
+/*
+ * A fresh scratch dir for one test, holding:
+ *
+ * - a LocalDirBackend (`backend`) whose Manta dir `dir` ("~~/stor/watched")
+ *   is the local dir `mantaDir`, and
+ * - an empty local dir `localDir`, e.g. for syncing to or publishing from.
+ *
+ * Call `destroy()` to remove it all.
+ */
+function Scratch(name) {
+    numScratches++;
+    this.base = mod_path.join(os.tmpdir(),
+        'mwatchdir-test-' + process.pid + '-' + numScratches);
+    this.dir = '~~/stor/watched';
+    this.mantaDir = mod_path.join(this.base, 'manta', MANTA_USER, 'stor',
+        'watched');
+    this.localDir = mod_path.join(this.base, 'local');
+    this.log = createLogger(name);
+
+    rimraf.sync(this.base);
+    mkdirp.sync(this.mantaDir);
+    mkdirp.sync(this.localDir);
+    this.backend = new LocalDirBackend({
+        root: mod_path.join(this.base, 'manta'),
+        user: MANTA_USER
+    });
+}
+
+/*
+ * Write (or with a null `content`, remove) the object at `relpath` in the
+ * watched Manta dir.
+ */
+Scratch.prototype.put = function put(relpath, content) {
+    var path = mod_path.join(this.mantaDir, relpath);
+
+    if (content === null) {
+        fs.unlinkSync(path);
+    } else {
+        writeFile(path, content);
+    }
+};
+
+/*
+ * Write the local file at `relpath` in `localDir`.
+ */
+Scratch.prototype.putLocal = function putLocal(relpath, content) {
+    writeFile(mod_path.join(this.localDir, relpath), content);
+};
+
+Scratch.prototype.destroy = function destroy() {
+    rimraf.sync(this.base);
+};
+
+
+// ---- exports
+
+module.exports = {
+    createLogger: createLogger,
+    createWithOpts: createWithOpts,
+    finish: finish,
+    listFiles: listFiles,
+    summarize: summarize,
+    Scratch: Scratch
+};
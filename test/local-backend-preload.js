@@ -0,0 +1,30 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Preload this (`node -r ./test/local-backend-preload.js bin/mwatchdir ...`)
+ * to run the CLI against a LocalDirBackend rooted at
+ * `MWATCHDIR_TEST_MANTA_ROOT`, rather than the Manta in the environment.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+
+var common = require('../lib/common');
+var LocalDirBackend = require('../lib/local-dir-backend');
+
+assert.string(process.env.MWATCHDIR_TEST_MANTA_ROOT,
+    'MWATCHDIR_TEST_MANTA_ROOT');
+
+// The watcher module picks this up when it is loaded, hence the preload.
+common.createClientFromEnv = function createLocalBackend() {
+    return new LocalDirBackend({root: process.env.MWATCHDIR_TEST_MANTA_ROOT});
+};
@@ -0,0 +1,173 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Test MantaDirPublisher, with a LocalDirBackend standing in for Manta.
+ */
+
+'use strict';
+
+var test = require('tape');
+
+var helpers = require('./helpers');
+var MantaDirPublisher = require('../lib/manta-dir-publisher');
+
+
+// ---- globals/consts
+
+var FAST_RETRY = {minDelay: 0.01, maxDelay: 0.01};
+
+var HTTP_UNAVAILABLE = 503;
+
+
+// ---- support functions
+
+function createPublisher(scratch, opts) {
+    return helpers.createWithOpts(MantaDirPublisher, {
+        localDir: scratch.localDir,
+        dir: scratch.dir,
+        backend: scratch.backend,
+        log: scratch.log
+    }, opts);
+}
+
+
+// ---- tests
+
+test('uploads new and changed files, deletes gone ones', function testPub(t) {
+    var scratch = new helpers.Scratch('publish');
+    var publisher = createPublisher(scratch, {publishDelete: true});
+
+    scratch.putLocal('a.txt', 'a');
+    scratch.putLocal('b.txt', 'b');
+    scratch.put('b.txt', 'old b');
+    scratch.put('gone.txt', 'gone');
+    publisher.pollOnce().then(function onFirstPoll(group) {
+        t.deepEqual(helpers.summarize(group),
+            ['delete gone.txt', 'upload a.txt', 'upload b.txt'],
+            'uploads and deletes are reported');
+        t.deepEqual(helpers.listFiles(scratch.mantaDir),
+            ['a.txt: a', 'b.txt: b'], 'local dir was published');
+        return publisher.pollOnce();
+    }).then(function onSecondPoll(group) {
+        t.deepEqual(group.events, [], 'no events when nothing changed');
+        helpers.finish(t, scratch, publisher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, publisher, err);
+    });
+});
+
+test('publish-delete guard', function testGuard(t) {
+    var scratch = new helpers.Scratch('publish-guard');
+    var publisher = createPublisher(scratch, {publishDelete: true});
+
+    scratch.putLocal('a.txt', 'a');
+    scratch.put('precious.txt', 'precious');
+    publisher.pollOnce().then(function onPoll() {
+        t.fail('poll should have failed the guard');
+        helpers.finish(t, scratch, publisher);
+    }, function onPollErr(err) {
+        t.ok((/publish-delete-guard failure/).test(err.message),
+            'guard failure: ' + err.message);
+        t.deepEqual(helpers.listFiles(scratch.mantaDir),
+            ['precious.txt: precious'], 'objects were left alone');
+        helpers.finish(t, scratch, publisher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, publisher, err);
+    });
+});
+
+test('maxDeletes', function testMaxDeletes(t) {
+    var scratch = new helpers.Scratch('publish-max-deletes');
+    var publisher = createPublisher(scratch, {
+        publishDelete: true,
+        maxDeletes: 1
+    });
+
+    scratch.putLocal('a.txt', 'a');
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'b');
+    scratch.put('c.txt', 'c');
+    publisher.pollOnce().then(function onPoll() {
+        t.fail('poll should have failed the guard');
+        helpers.finish(t, scratch, publisher);
+    }, function onPollErr(err) {
+        t.ok((/publish-delete-limit guard failure: 2 objects/).test(
+            err.message), 'guard failure: ' + err.message);
+        helpers.finish(t, scratch, publisher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, publisher, err);
+    });
+});
+
+test('a failed upload is retried', function testRetry(t) {
+    var scratch = new helpers.Scratch('publish-retry');
+    var backend = Object.create(scratch.backend);
+    var publisher = createPublisher(scratch, {
+        backend: backend,
+        retry: FAST_RETRY
+    });
+    var pollErrors = [];
+
+    // Fail the first upload as Manta would when it is overloaded.
+    backend.put = function unavailablePut(path, input, opts, cb) {
+        var err = new Error('service unavailable');
+
+        err.statusCode = HTTP_UNAVAILABLE;
+        backend.put = scratch.backend.put;
+        input.resume();
+        setImmediate(cb, err);
+    };
+
+    publisher.on('pollError', function onPollError(pollErr, info) {
+        t.ok((/could not upload/).test(pollErr.message),
+            'pollError: ' + pollErr.message);
+        pollErrors.push(info);
+    });
+    publisher.on('error', function onError(err) {
+        helpers.finish(t, scratch, publisher, err);
+    });
+    publisher.on('poll', function onPoll(group) {
+        t.equal(pollErrors.length, 1, 'one poll failed');
+        t.equal(pollErrors[0].retryable, true, 'the failure was retryable');
+        t.deepEqual(helpers.summarize(group), ['upload a.txt'],
+            'the retry uploaded');
+        t.deepEqual(helpers.listFiles(scratch.mantaDir), ['a.txt: a'],
+            'the file was published');
+        helpers.finish(t, scratch, publisher);
+    });
+
+    scratch.putLocal('a.txt', 'a');
+    publisher.start();
+});
+
+test('only the name and size filters apply', function testFilter(t) {
+    var scratch = new helpers.Scratch('publish-filter');
+    var publisher = createPublisher(scratch, {
+        filter: {include: '*.txt', minSize: 2}
+    });
+
+    t.throws(function withNewerThan() {
+        createPublisher(scratch, {filter: {newerThan: '2016-01-01'}});
+    }, /opts\.filter\.newerThan is not supported for publishing/);
+    t.throws(function withFn() {
+        createPublisher(scratch, {filter: {name: '*.txt', fn: Boolean}});
+    }, /opts\.filter\.fn is not supported for publishing/);
+    t.throws(function withDirType() {
+        createPublisher(scratch, {filter: {type: 'directory'}});
+    }, /opts\.filter\.type can only be "object"/);
+
+    scratch.putLocal('a.txt', 'a');
+    scratch.putLocal('bb.txt', 'bb');
+    scratch.putLocal('cc.json', 'cc');
+    publisher.pollOnce().then(function onPoll(group) {
+        t.deepEqual(helpers.summarize(group), ['upload bb.txt'],
+            'only files matching the filter are published');
+        helpers.finish(t, scratch, publisher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, publisher, err);
+    });
+});
@@ -0,0 +1,1110 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test MantaDirWatcher polling and syncing, with a LocalDirBackend standing
+ * in for Manta.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var mod_path = require('path');
+var PassThrough = require('stream').PassThrough;
+var test = require('tape');
+var util = require('util');
+
+var helpers = require('./helpers');
+var MantaDirWatcher = require('../lib/manta-dir-watcher');
+
+
+// ---- globals/consts
+
+var format = util.format;
+
+var HTTP_UNAVAILABLE = 503;
+
+// Download attempts for a failing download, i.e. `syncRetries` + 1.
+var NUM_ATTEMPTS = 3;
+
+// Adaptive intervals (in seconds) backing off from 1 to 4.
+var MIN_INTERVAL = 1;
+var BACKOFF_INTERVAL = 2;
+var MAX_INTERVAL = 4;
+
+// A poll interval and jitter, and the shortest and longest delays they give.
+var JITTER_INTERVAL = 10;
+var JITTER = 0.5;
+var JITTER_MIN_DELAY_MS = 5000;
+var JITTER_MAX_DELAY_MS = 15000;
+
+// Async iteration of streams was added in node 10.
+var NO_ASYNC_ITER = (typeof (Symbol.asyncIterator) !== 'symbol');
+
+
+// ---- support functions
+
+function createWatcher(scratch, opts) {
+    return helpers.createWithOpts(MantaDirWatcher, {
+        dir: scratch.dir,
+        backend: scratch.backend,
+        log: scratch.log
+    }, opts);
+}
+
+/*
+ * Run a first sync poll (with `syncDelete`) with each `syncTypeConflict`
+ * policy in turn, on a scratch dir set up by `setUp(scratch)`, and call
+ * `check(policy, scratch, err, group)` with the result.
+ */
+function eachConflictPolicy(setUp, check, cb) {
+    var policies = MantaDirWatcher.SYNC_TYPE_CONFLICTS.slice();
+
+    function next() {
+        var policy = policies.shift();
+        var scratch;
+        var watcher;
+
+        if (!policy) {
+            cb();
+            return;
+        }
+        scratch = new helpers.Scratch('type-conflict-' + policy);
+        watcher = createWatcher(scratch, {
+            syncDir: scratch.localDir,
+            syncDelete: true,
+            syncTypeConflict: policy
+        });
+        setUp(scratch);
+        watcher.pollOnce().then(function onPoll(group) {
+            check(policy, scratch, null, group);
+        }, function onPollErr(err) {
+            check(policy, scratch, err);
+        }).then(function onChecked() {
+            return watcher.close();
+        }).then(function onClosed() {
+            scratch.destroy();
+            next();
+        });
+    }
+
+    next();
+}
+
+/*
+ * The type conflict events of a group, as "RELPATH: OLDTYPE -> TYPE
+ * (CONFLICT)" strings.
+ */
+function summarizeConflicts(group) {
+    return group.events.filter(function isConflict(ev) {
+        return (ev.changed && ev.changed.indexOf('type') !== -1);
+    }).map(function summarizeConflict(ev) {
+        return format('%s: %s -> %s (%s)', ev.relpath, ev.oldType, ev.type,
+            ev.conflict);
+    });
+}
+
+
+// ---- tests
+
+test('create, update and delete events', function testEvents(t) {
+    var scratch = new helpers.Scratch('events');
+    var watcher = createWatcher(scratch);
+
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'b');
+    watcher.pollOnce().then(function onFirstPoll(group) {
+        t.deepEqual(group.events, [],
+            'first poll (without a syncDir) just records the listing');
+        return watcher.pollOnce();
+    }).then(function onNoChanges(group) {
+        t.deepEqual(group.events, [], 'no events when nothing changed');
+        scratch.put('a.txt', 'a, updated');
+        scratch.put('b.txt', null);
+        scratch.put('c.txt', 'c');
+        return watcher.pollOnce();
+    }).then(function onChanges(group) {
+        var update = group.events.filter(function isUpdate(ev) {
+            return ev.action === 'update';
+        })[0];
+
+        t.deepEqual(helpers.summarize(group),
+            ['create c.txt', 'delete b.txt', 'update a.txt'],
+            'create, update and delete are reported');
+        t.equal(update.path, '~~/stor/watched/a.txt', 'update path');
+        t.equal(update.size, 'a, updated'.length, 'update size');
+        t.equal(update.oldSize, 1, 'update oldSize');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('sync creates, updates and deletes local files', function testSync(t) {
+    var scratch = new helpers.Scratch('sync');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncDelete: true
+    });
+
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'b');
+    watcher.pollOnce().then(function onFirstPoll(group) {
+        t.equal(group.events[0].localPath,
+            mod_path.join(scratch.localDir, group.events[0].relpath),
+            'events have a localPath');
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['a.txt: a', 'b.txt: b'], 'objects were synced');
+        scratch.put('a.txt', 'a, updated');
+        scratch.put('b.txt', null);
+        return watcher.pollOnce();
+    }).then(function onSecondPoll() {
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['a.txt: a, updated'], 'update and delete were synced');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('first-run sync-delete guard', function testGuard(t) {
+    var scratch = new helpers.Scratch('guard');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncDelete: true
+    });
+
+    scratch.put('a.txt', 'a');
+    scratch.putLocal('unrelated.txt', 'precious');
+    watcher.pollOnce().then(function onPoll() {
+        t.fail('poll should have failed the guard');
+        helpers.finish(t, scratch, watcher);
+    }, function onPollErr(err) {
+        t.ok((/sync-delete-guard failure/).test(err.message),
+            'guard failure: ' + err.message);
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['unrelated.txt: precious'], 'local files were left alone');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('sync-delete guard passes with a name match', function testMatch(t) {
+    var scratch = new helpers.Scratch('guard-match');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncDelete: true
+    });
+
+    scratch.put('a.txt', 'a');
+    scratch.putLocal('a.txt', 'old a');
+    scratch.putLocal('stale.txt', 'stale');
+    watcher.pollOnce().then(function onPoll() {
+        t.deepEqual(helpers.listFiles(scratch.localDir), ['a.txt: a'],
+            'local dir was synced, with the stale file deleted');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('disableSyncDeleteGuard', function testDisableGuard(t) {
+    var scratch = new helpers.Scratch('guard-disabled');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncDelete: true,
+        disableSyncDeleteGuard: true
+    });
+
+    scratch.put('a.txt', 'a');
+    scratch.putLocal('unrelated.txt', 'unrelated');
+    watcher.pollOnce().then(function onPoll() {
+        t.deepEqual(helpers.listFiles(scratch.localDir), ['a.txt: a'],
+            'local dir was synced, with the unrelated file deleted');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('first sync keeps files of filtered out objects', function testKept(t) {
+    var scratch = new helpers.Scratch('remote-only-filter');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncDelete: true,
+        filter: {newerThan: '2010-01-01'}
+    });
+    var oldTime = new Date('2000-01-01');
+
+    scratch.put('old.json', 'old');
+    fs.utimesSync(mod_path.join(scratch.mantaDir, 'old.json'), oldTime,
+        oldTime);
+    scratch.put('new.json', 'new');
+    scratch.putLocal('old.json', 'old, local');
+    scratch.putLocal('stale.json', 'stale');
+    watcher.pollOnce().then(function onPoll(group) {
+        t.deepEqual(helpers.summarize(group),
+            ['create new.json', 'delete stale.json'],
+            'the local file of a filtered out object is not deleted');
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['new.json: new', 'old.json: old, local'],
+            'the local file of a filtered out object is left alone');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('syncDelete removes local-only dirs at first', function testDirs(t) {
+    var scratch = new helpers.Scratch('local-only-dirs');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncDelete: true
+    });
+    var keepScratch = new helpers.Scratch('local-only-dirs-kept');
+    var keepWatcher = createWatcher(keepScratch, {
+        syncDir: keepScratch.localDir
+    });
+
+    [scratch, keepScratch].forEach(function setUp(s) {
+        s.put('a.txt', 'a');
+        s.putLocal('a.txt', 'a');
+        s.putLocal('old/b.txt', 'b');
+    });
+    watcher.pollOnce().then(function onPoll(group) {
+        t.deepEqual(helpers.summarize(group), ['delete old'],
+            'the local-only dir is deleted');
+        t.deepEqual(helpers.listFiles(scratch.localDir), ['a.txt: a'],
+            'the local-only dir was removed, with its contents');
+        return keepWatcher.pollOnce();
+    }).then(function onKeepPoll() {
+        t.deepEqual(helpers.listFiles(keepScratch.localDir),
+            ['a.txt: a', 'old/b.txt: b'],
+            'without syncDelete, the local-only dir is kept');
+        keepWatcher.close().then(function onKeepClosed() {
+            keepScratch.destroy();
+            helpers.finish(t, scratch, watcher);
+        });
+    }).catch(function onErr(err) {
+        keepWatcher.close().then(function onKeepClosed() {
+            keepScratch.destroy();
+            helpers.finish(t, scratch, watcher, err);
+        });
+    });
+});
+
+test('recursive sync of nested dirs', function testNested(t) {
+    var scratch = new helpers.Scratch('nested');
+    var watcher = createWatcher(scratch, {
+        recursive: true,
+        syncDir: scratch.localDir,
+        syncDelete: true
+    });
+
+    scratch.put('a.txt', 'a');
+    scratch.put('sub/b.txt', 'b');
+    scratch.put('sub/deeper/c.txt', 'c');
+    watcher.pollOnce().then(function onFirstPoll(group) {
+        t.deepEqual(helpers.summarize(group).filter(function isObject(s) {
+            return (/\.txt$/).test(s);
+        }), ['create a.txt', 'create sub/b.txt', 'create sub/deeper/c.txt'],
+            'nested objects are reported by relpath');
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['a.txt: a', 'sub/b.txt: b', 'sub/deeper/c.txt: c'],
+            'nested objects were synced');
+        scratch.put('sub/deeper/c.txt', 'c, updated');
+        scratch.put('sub/b.txt', null);
+        scratch.put('sub/new/d.txt', 'd');
+        return watcher.pollOnce();
+    }).then(function onSecondPoll(group) {
+        t.deepEqual(helpers.summarize(group).filter(function isObject(s) {
+            return (/\.txt$/).test(s);
+        }), ['create sub/new/d.txt', 'delete sub/b.txt',
+            'update sub/deeper/c.txt'], 'nested changes are reported');
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['a.txt: a', 'sub/deeper/c.txt: c, updated', 'sub/new/d.txt: d'],
+            'nested changes were synced');
+        t.ok(fs.statSync(mod_path.join(scratch.localDir, 'sub')).isDirectory(),
+            'emptied parent dir is kept');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('sync of an object overwritten since listed', function testOverwr(t) {
+    var scratch = new helpers.Scratch('overwritten');
+    var backend = Object.create(scratch.backend);
+    var watcher;
+
+    // Overwrite "a.txt" between the listing and its download.
+    backend.get = function overwriteThenGet(path, cb) {
+        scratch.put('a.txt', 'a, overwritten');
+        backend.get = scratch.backend.get;
+        scratch.backend.get(path, cb);
+    };
+    watcher = createWatcher(scratch, {
+        backend: backend,
+        syncDir: scratch.localDir
+    });
+
+    scratch.put('a.txt', 'a');
+    watcher.pollOnce().then(function onFirstPoll(group) {
+        t.equal(group.events.length, 1, 'one event');
+        t.equal(group.events[0].size, 'a, overwritten'.length,
+            'event describes the downloaded version');
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['a.txt: a, overwritten'], 'the new version was synced');
+        return watcher.pollOnce();
+    }).then(function onSecondPoll(group) {
+        t.deepEqual(group.events, [],
+            'the downloaded version is not reported again');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('sync of an unverifiable download is deferred', function testDefer(t) {
+    var scratch = new helpers.Scratch('unverified');
+    var backend = Object.create(scratch.backend);
+    var watcher = createWatcher(scratch, {
+        backend: backend,
+        syncDir: scratch.localDir,
+        syncRetries: 0
+    });
+
+    // Claim a different MD5 than the content has.
+    backend.get = function badMd5Get(path, cb) {
+        scratch.backend.get(path, function onGet(err, stream, res) {
+            if (!err) {
+                res.headers['content-md5'] = 'AAAAAAAAAAAAAAAAAAAAAA==';
+            }
+            cb(err, stream, res);
+        });
+    };
+
+    scratch.put('a.txt', 'a');
+    watcher.pollOnce().then(function onFirstPoll(group) {
+        t.deepEqual(group.events, [], 'no event for the unverified download');
+        t.deepEqual(helpers.listFiles(scratch.localDir), [],
+            'nothing was synced');
+        t.equal(watcher.getStats().numSyncFailures, 1, 'numSyncFailures');
+        backend.get = scratch.backend.get;
+        return watcher.pollOnce();
+    }).then(function onSecondPoll(group) {
+        t.deepEqual(helpers.summarize(group), ['create a.txt'],
+            'the next poll tries again');
+        t.deepEqual(helpers.listFiles(scratch.localDir), ['a.txt: a'],
+            'the object was synced');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('sync of an object removed since listed', function testRemoved(t) {
+    var scratch = new helpers.Scratch('removed');
+    var backend = Object.create(scratch.backend);
+    var watcher = createWatcher(scratch, {
+        backend: backend,
+        syncDir: scratch.localDir
+    });
+
+    // Remove "b.txt" between the listing and its download.
+    backend.get = function removeThenGet(path, cb) {
+        if (mod_path.basename(path) === 'b.txt') {
+            fs.unlinkSync(mod_path.join(scratch.mantaDir, 'b.txt'));
+        }
+        scratch.backend.get(path, cb);
+    };
+
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'b');
+    watcher.pollOnce().then(function onFirstPoll(group) {
+        t.deepEqual(helpers.summarize(group), ['create a.txt'],
+            'the removed object is not reported as synced');
+        t.deepEqual(helpers.listFiles(scratch.localDir), ['a.txt: a'],
+            'only the remaining object was synced');
+        return watcher.pollOnce();
+    }).then(function onSecondPoll(group) {
+        t.deepEqual(group.events, [], 'nothing is reported for it later');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('a failed download closes its temp file', function testTmpClosed(t) {
+    var scratch = new helpers.Scratch('download-error');
+    var backend = Object.create(scratch.backend);
+    var watcher = createWatcher(scratch, {
+        backend: backend,
+        syncDir: scratch.localDir,
+        syncRetries: NUM_ATTEMPTS - 1,
+        retry: {minDelay: 0.01, maxDelay: 0.01}
+    });
+    var createWriteStream = fs.createWriteStream;
+    var numOpened = 0;
+    var numClosed = 0;
+
+    // Count the temp files opened and closed.
+    fs.createWriteStream = function countingCreateWriteStream() {
+        var out = createWriteStream.apply(fs, arguments);
+
+        numOpened++;
+        out.once('close', function onClose() {
+            numClosed++;
+        });
+        return out;
+    };
+
+    // Fail each download part way through.
+    backend.get = function failingGet(path, cb) {
+        var src = new PassThrough();
+
+        src.write('partial');
+        setImmediate(function failSrc() {
+            var err = new Error('connection reset');
+
+            err.statusCode = HTTP_UNAVAILABLE;
+            src.emit('error', err);
+        });
+        cb(null, src, {headers: {}});
+    };
+
+    scratch.put('a.txt', 'a');
+    watcher.pollOnce().then(function onPoll() {
+        t.fail('the poll should have failed');
+    }, function onPollErr(err) {
+        t.ok((/connection reset/).test(err.message),
+            'poll error: ' + err.message);
+    }).then(function onChecked() {
+        fs.createWriteStream = createWriteStream;
+        t.equal(numOpened, NUM_ATTEMPTS, 'a temp file per attempt');
+        t.equal(numClosed, numOpened, 'each temp file was closed');
+        t.deepEqual(helpers.listFiles(scratch.localDir), [],
+            'the temp files were removed');
+        helpers.finish(t, scratch, watcher);
+    });
+});
+
+test('a dry-run sync plans against the local files', function testDryRun(t) {
+    var scratch = new helpers.Scratch('dry-run');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        dryRun: true
+    });
+
+    function planned(group) {
+        return group.plan.actions.map(function summarizeAction(a) {
+            return a.action + ' ' + a.relpath;
+        }).sort();
+    }
+
+    scratch.put('a.txt', 'a');
+    watcher.pollOnce().then(function onFirstPoll(group) {
+        t.deepEqual(planned(group), ['download a.txt'], 'first plan');
+        t.deepEqual(helpers.listFiles(scratch.localDir), [],
+            'nothing was synced');
+        scratch.put('b.txt', 'b');
+        return watcher.pollOnce();
+    }).then(function onSecondPoll(group) {
+        t.deepEqual(planned(group), ['download a.txt', 'download b.txt'],
+            'the next plan still includes the unsynced object');
+        t.equal(group.plan.inSync, false, 'not in sync');
+        t.deepEqual(watcher.getListing().map(function getRelpath(e) {
+            return e.relpath;
+        }).sort(), ['a.txt', 'b.txt'], 'getListing has the last listing');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('pollOnce groups are also pushed to the stream', function testPush(t) {
+    var scratch = new helpers.Scratch('poll-once-push');
+    var watcher = createWatcher(scratch);
+    var streamed = [];
+
+    watcher.once('poll', function onFirstPoll() {
+        scratch.put('b.json', 'b');
+        watcher.pollOnce().then(function onPollOnce(group) {
+            t.deepEqual(helpers.summarize(group), ['create b.json'],
+                'pollOnce got the change');
+            setImmediate(function checkStreamed() {
+                t.deepEqual(streamed, [['create b.json']],
+                    'the stream consumer got the change too');
+                helpers.finish(t, scratch, watcher);
+            });
+        }).catch(function onErr(err) {
+            helpers.finish(t, scratch, watcher, err);
+        });
+    });
+    watcher.on('data', function onData(group) {
+        streamed.push(helpers.summarize(group));
+    });
+    scratch.put('a.json', 'a');
+});
+
+/*
+ * Drives the async iterator as `for await` would, as the syntax doesn't parse
+ * on the older nodes this supports.
+ */
+test('async iteration', {skip: NO_ASYNC_ITER}, function testAsyncIter(t) {
+    var scratch = new helpers.Scratch('async-iter');
+    var watcher = createWatcher(scratch);
+    var iter;
+
+    watcher.once('poll', function onFirstPoll() {
+        scratch.put('b.json', 'b');
+        watcher.poke();
+    });
+    scratch.put('a.json', 'a');
+    iter = watcher[Symbol.asyncIterator]();
+    iter.next().then(function onFirst(res) {
+        t.deepEqual(helpers.summarize(res.value), ['create b.json'],
+            'the iterator got the group');
+        watcher.close();
+        return iter.next();
+    }).then(function onLast(res) {
+        t.equal(res.done, true, 'iteration ends when the watcher is closed');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('a restarted watcher resumes from its stateFile', function testResume(t) {
+    var scratch = new helpers.Scratch('state-file');
+    var stateFile = mod_path.join(scratch.base, 'state.json');
+    var watcher = createWatcher(scratch, {stateFile: stateFile});
+
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'b');
+    watcher.pollOnce().then(function onFirstPoll() {
+        t.ok(fs.existsSync(stateFile), 'the state file was saved');
+        return watcher.close();
+    }).then(function onClosed() {
+        scratch.put('a.txt', 'a, updated');
+        scratch.put('b.txt', null);
+        scratch.put('c.txt', 'c');
+        watcher = createWatcher(scratch, {stateFile: stateFile});
+        return watcher.pollOnce();
+    }).then(function onResumedPoll(group) {
+        t.deepEqual(helpers.summarize(group),
+            ['create c.txt', 'delete b.txt', 'update a.txt'],
+            'changes made while stopped are reported');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('polling gives up after retry.maxFailures', function testGiveUp(t) {
+    var scratch = new helpers.Scratch('give-up');
+    var backend = Object.create(scratch.backend);
+    var watcher = createWatcher(scratch, {
+        backend: backend,
+        retry: {minDelay: 0.01, maxDelay: 0.01, maxFailures: 2}
+    });
+    var pollErrors = [];
+
+    // Fail every listing as Manta would when it is overloaded.
+    backend.ls = function unavailableLs(dir, opts, cb) {
+        var err = new Error('service unavailable');
+
+        err.statusCode = HTTP_UNAVAILABLE;
+        setImmediate(typeof (opts) === 'function' ? opts : cb, err);
+    };
+
+    watcher.on('pollError', function onPollError(_, info) {
+        pollErrors.push(info);
+    });
+    watcher.on('data', function onData() {
+        t.fail('no events without a successful poll');
+    });
+    watcher.on('error', function onError(err) {
+        t.deepEqual(pollErrors.map(function getAttempt(info) {
+            return info.attempt + (info.retryDelay === null ? '' : ' retry');
+        }), ['1 retry', '2'], 'retried once, then gave up');
+        t.ok((/giving up after 2 consecutive poll failures/).test(
+            err.message), 'error: ' + err.message);
+        helpers.finish(t, scratch, watcher);
+    });
+});
+
+test('detectRenames', function testRenames(t) {
+    var scratch = new helpers.Scratch('renames');
+    var watcher = createWatcher(scratch, {
+        detectRenames: true,
+        syncDir: scratch.localDir,
+        syncDelete: true
+    });
+
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'b');
+    watcher.pollOnce().then(function onFirstPoll() {
+        scratch.put('a.txt', null);
+        scratch.put('a2.txt', 'a');
+        scratch.put('b.txt', 'b, updated');
+        return watcher.pollOnce();
+    }).then(function onRenamePoll(group) {
+        var rename = group.events.filter(function isRename(ev) {
+            return ev.action === 'rename';
+        })[0];
+
+        t.deepEqual(helpers.summarize(group),
+            ['rename a2.txt', 'update b.txt'],
+            'a delete and create with the same etag are a rename');
+        t.equal(rename.oldRelpath, 'a.txt', 'rename oldRelpath');
+        t.equal(rename.oldPath, '~~/stor/watched/a.txt', 'rename oldPath');
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['a2.txt: a', 'b.txt: b, updated'], 'the rename was synced');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('detectRenames with several candidates', function testAmbiguous(t) {
+    var scratch = new helpers.Scratch('renames-ambiguous');
+    var watcher = createWatcher(scratch, {
+        detectRenames: true,
+        syncDir: scratch.localDir,
+        syncDelete: true
+    });
+
+    // "a.txt" and "b.txt" have the same content, so the same etag.
+    scratch.put('a.txt', 'same');
+    scratch.put('b.txt', 'same');
+    watcher.pollOnce().then(function onFirstPoll() {
+        scratch.put('a.txt', null);
+        scratch.put('b.txt', null);
+        scratch.put('c.txt', 'same');
+        return watcher.pollOnce();
+    }).then(function onRenamePoll(group) {
+        var rename = group.events.filter(function isRename(ev) {
+            return ev.action === 'rename';
+        })[0];
+        var del = group.events.filter(function isDelete(ev) {
+            return ev.action === 'delete';
+        })[0];
+
+        t.deepEqual(group.events.map(function getAction(ev) {
+            return ev.action;
+        }).sort(), ['delete', 'rename'], 'one rename and one delete');
+        t.equal(rename && rename.relpath, 'c.txt',
+            'the create is paired with one of the deletes');
+        t.deepEqual([rename.oldRelpath, del.relpath].sort(),
+            ['a.txt', 'b.txt'], 'the other is still a delete');
+        t.deepEqual(helpers.listFiles(scratch.localDir), ['c.txt: same'],
+            'the local dir was synced');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('snapshot sync rotates snapshots', function testSnapshots(t) {
+    var scratch = new helpers.Scratch('snapshots');
+    var snapshotsDir = mod_path.join(scratch.localDir, 'snapshots');
+    var currentLink = mod_path.join(scratch.localDir, 'current');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncMode: 'snapshot',
+        syncSnapshots: 2
+    });
+    var snapshots = [];
+
+    /*
+     * Check that "current" links to a new snapshot with the given files,
+     * and note that snapshot.
+     */
+    function checkCurrent(files, msg) {
+        var target = fs.readlinkSync(currentLink);
+        var name = mod_path.basename(target);
+
+        t.equal(target, mod_path.join('snapshots', name),
+            msg + ': current is a relative link to a snapshot');
+        t.equal(snapshots.indexOf(name), -1, msg + ': a new snapshot');
+        t.deepEqual(helpers.listFiles(currentLink), files,
+            msg + ': current has the files');
+        snapshots.push(name);
+    }
+
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'b');
+    watcher.pollOnce().then(function onFirstPoll() {
+        checkCurrent(['a.txt: a', 'b.txt: b'], 'first poll');
+        scratch.put('a.txt', 'a2');
+        return watcher.pollOnce();
+    }).then(function onSecondPoll() {
+        checkCurrent(['a.txt: a2', 'b.txt: b'], 'second poll');
+        t.deepEqual(helpers.listFiles(mod_path.join(snapshotsDir,
+            snapshots[0])), ['a.txt: a', 'b.txt: b'],
+            'the previous snapshot is unchanged');
+        t.equal(fs.statSync(mod_path.join(snapshotsDir, snapshots[1],
+            'b.txt')).ino, fs.statSync(mod_path.join(snapshotsDir,
+            snapshots[0], 'b.txt')).ino,
+            'an unchanged file is hardlinked from the previous snapshot');
+        return watcher.pollOnce();
+    }).then(function onQuietPoll() {
+        t.deepEqual(fs.readdirSync(snapshotsDir).sort(), snapshots,
+            'no new snapshot without changes');
+        scratch.put('b.txt', null);
+        return watcher.pollOnce();
+    }).then(function onThirdPoll() {
+        checkCurrent(['a.txt: a2'], 'third poll');
+        t.deepEqual(fs.readdirSync(snapshotsDir).sort(),
+            snapshots.slice(1),
+            'only the latest syncSnapshots snapshots are kept');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('deletes are moved to the trash dir', function testTrash(t) {
+    var scratch = new helpers.Scratch('trash');
+    var trashDir = mod_path.join(scratch.base, 'trash');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncDelete: true,
+        syncTrashDir: trashDir,
+        syncTrashMaxCount: 2
+    });
+
+    function deleteAndPoll(relpath) {
+        return function doDeleteAndPoll() {
+            scratch.put(relpath, null);
+            return watcher.pollOnce();
+        };
+    }
+
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'b');
+    scratch.put('c.txt', 'c');
+    watcher.pollOnce()
+        .then(deleteAndPoll('a.txt'))
+        .then(deleteAndPoll('b.txt'))
+        .then(deleteAndPoll('c.txt'))
+        .then(function onPolls() {
+            // Each poll's deletes go in their own trash dir.
+            t.deepEqual(fs.readdirSync(trashDir).sort().map(
+                function listTrash(name) {
+                    return helpers.listFiles(mod_path.join(trashDir, name));
+                }), [['b.txt: b'], ['c.txt: c']],
+                'the latest syncTrashMaxCount trash dirs are kept');
+            t.deepEqual(helpers.listFiles(scratch.localDir), [],
+                'the deletes were synced');
+            helpers.finish(t, scratch, watcher);
+        }).catch(function onErr(err) {
+            helpers.finish(t, scratch, watcher, err);
+        });
+});
+
+test('reconcileLocal repairs drifted local files', function testRepair(t) {
+    var scratch = new helpers.Scratch('reconcile');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        reconcileLocal: true
+    });
+    var editTime = new Date('2001-01-01');
+
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'b');
+    watcher.pollOnce().then(function onFirstPoll() {
+        // Same size, different content.
+        scratch.putLocal('a.txt', 'x');
+        fs.utimesSync(mod_path.join(scratch.localDir, 'a.txt'), editTime,
+            editTime);
+        fs.unlinkSync(mod_path.join(scratch.localDir, 'b.txt'));
+        return watcher.pollOnce();
+    }).then(function onRepairPoll(group) {
+        t.deepEqual(group.events.map(function reasonOf(ev) {
+            return ev.action + ' ' + ev.relpath + ': ' + ev.reason;
+        }).sort(), ['repair a.txt: md5', 'repair b.txt: missing'],
+            'the drifted files are repaired, with the reason');
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['a.txt: a', 'b.txt: b'], 'the content was restored');
+        return watcher.pollOnce();
+    }).then(function onLastPoll(group) {
+        t.deepEqual(group.events, [], 'nothing more to repair');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('watchMetadata reports headers-only changes', function testMetadata(t) {
+    var scratch = new helpers.Scratch('watch-metadata');
+    var backend = Object.create(scratch.backend);
+    var watcher = createWatcher(scratch, {
+        backend: backend,
+        syncDir: scratch.localDir,
+        watchMetadata: 1,
+        metadataSidecar: true
+    });
+    var sidecarPath = mod_path.join(scratch.localDir, '.a.json.meta.json');
+    var release = '1.2';
+
+    // Add an "m-release" header, as `mchattr` would, to each object.
+    backend.info = function infoWithRelease(path, opts, cb) {
+        var callback = (typeof (opts) === 'function' ? opts : cb);
+
+        scratch.backend.info(path, function onInfo(err, info) {
+            if (info) {
+                info.headers['m-release'] = release;
+            }
+            callback(err, info);
+        });
+    };
+
+    function sidecarRelease() {
+        return JSON.parse(fs.readFileSync(sidecarPath, 'utf8'))['m-release'];
+    }
+
+    scratch.put('a.json', '{}');
+    watcher.pollOnce().then(function onFirstPoll() {
+        t.equal(sidecarRelease(), '1.2', 'the sidecar has the headers');
+        release = '1.3';
+        return watcher.pollOnce();
+    }).then(function onHeadersPoll(group) {
+        var ev = group.events[0];
+
+        t.deepEqual(helpers.summarize(group), ['update a.json'],
+            'the headers change is an update');
+        t.deepEqual(ev.changed, ['headers'], 'just the headers changed');
+        t.deepEqual(ev.headersDiff, {'m-release': ['1.2', '1.3']},
+            'headersDiff has the old and new values');
+        t.equal(sidecarRelease(), '1.3', 'the sidecar was updated');
+        t.equal(fs.readFileSync(mod_path.join(scratch.localDir, 'a.json'),
+            'utf8'), '{}', 'the object was left as is');
+        return watcher.pollOnce();
+    }).then(function onLastPoll(group) {
+        t.deepEqual(group.events, [], 'no change is reported again');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('syncTypeConflict: a local dir for an object', function testDirConf(t) {
+    var conflictRe = /sync type conflict: 1 local entry \(x\)/;
+
+    eachConflictPolicy(function setUp(scratch) {
+        scratch.put('a.txt', 'a');
+        scratch.putLocal('a.txt', 'a');
+        scratch.put('x', 'x');
+        scratch.putLocal('x/inner.txt', 'inner');
+    }, function check(policy, scratch, err, group) {
+        var files = helpers.listFiles(scratch.localDir);
+
+        switch (policy) {
+            case 'replace':
+                t.ifError(err, 'replace: no error');
+                t.deepEqual(summarizeConflicts(group),
+                    ['x: directory -> object (replace)'],
+                    'replace: the conflict is reported');
+                t.deepEqual(files, ['a.txt: a', 'x: x'],
+                    'replace: the local dir was replaced by the object');
+                break;
+            case 'keep':
+                t.ifError(err, 'keep: no error');
+                t.deepEqual(summarizeConflicts(group),
+                    ['x: directory -> object (keep)'],
+                    'keep: the conflict is reported');
+                t.deepEqual(files, ['a.txt: a', 'x/inner.txt: inner'],
+                    'keep: the local dir was kept');
+                break;
+            default:
+                t.ok(err && conflictRe.test(err.message),
+                    'error: poll error: ' + (err && err.message));
+                t.deepEqual(files, ['a.txt: a', 'x/inner.txt: inner'],
+                    'error: the local dir was left alone');
+                break;
+        }
+    }, function onDone() {
+        t.end();
+    });
+});
+
+test('syncTypeConflict: a local file for a dir', function testFileConf(t) {
+    var conflictRe = /sync type conflict: 1 local entry \(y\)/;
+
+    eachConflictPolicy(function setUp(scratch) {
+        scratch.put('a.txt', 'a');
+        scratch.putLocal('a.txt', 'a');
+        scratch.put('y/b.txt', 'b');
+        scratch.putLocal('y', 'y');
+    }, function check(policy, scratch, err, group) {
+        var files = helpers.listFiles(scratch.localDir);
+
+        switch (policy) {
+            case 'replace':
+                t.ifError(err, 'replace: no error');
+                t.deepEqual(summarizeConflicts(group),
+                    ['y: object -> directory (replace)'],
+                    'replace: the conflict is reported');
+                t.ok(fs.statSync(mod_path.join(scratch.localDir, 'y'))
+                    .isDirectory(), 'replace: the local file was replaced '
+                    + 'by a dir');
+                break;
+            case 'keep':
+                t.ifError(err, 'keep: no error');
+                t.deepEqual(summarizeConflicts(group),
+                    ['y: object -> directory (keep)'],
+                    'keep: the conflict is reported');
+                t.deepEqual(files, ['a.txt: a', 'y: y'],
+                    'keep: the local file was kept');
+                break;
+            default:
+                t.ok(err && conflictRe.test(err.message),
+                    'error: poll error: ' + (err && err.message));
+                t.deepEqual(files, ['a.txt: a', 'y: y'],
+                    'error: the local file was left alone');
+                break;
+        }
+    }, function onDone() {
+        t.end();
+    });
+});
+
+test('without syncDelete, type conflicts are kept', function testNoDel(t) {
+    var scratch = new helpers.Scratch('type-conflict-no-sync-delete');
+    var watcher = createWatcher(scratch, {syncDir: scratch.localDir});
+
+    scratch.put('a.txt', 'a');
+    scratch.putLocal('a.txt', 'a');
+    scratch.put('conf', 'conf');
+    scratch.putLocal('conf/precious.txt', 'precious');
+    watcher.pollOnce().then(function onPoll(group) {
+        t.deepEqual(summarizeConflicts(group),
+            ['conf: directory -> object (keep)'],
+            'the conflict is reported as kept');
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['a.txt: a', 'conf/precious.txt: precious'],
+            'the local dir was left alone');
+        helpers.finish(t, scratch, watcher);
+    }).catch(function onErr(err) {
+        helpers.finish(t, scratch, watcher, err);
+    });
+});
+
+test('a replaced type conflict counts for maxDeletes', function testCount(t) {
+    var scratch = new helpers.Scratch('type-conflict-max-deletes');
+    var watcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncDelete: true,
+        maxDeletes: 0
+    });
+    var keepWatcher = createWatcher(scratch, {
+        syncDir: scratch.localDir,
+        syncDelete: true,
+        syncTypeConflict: 'keep',
+        maxDeletes: 0
+    });
+
+    function closeAll(err) {
+        keepWatcher.close().then(function onKeepClosed() {
+            helpers.finish(t, scratch, watcher, err);
+        });
+    }
+
+    scratch.put('a.txt', 'a');
+    scratch.putLocal('a.txt', 'a');
+    scratch.put('x', 'x');
+    scratch.putLocal('x/inner.txt', 'inner');
+    watcher.pollOnce().then(function onPoll() {
+        t.fail('poll should have failed the guard');
+        return keepWatcher.pollOnce();
+    }, function onPollErr(err) {
+        t.ok((/sync-delete-limit guard failure: 1 local file/).test(
+            err.message), 'replace: guard failure: ' + err.message);
+        t.deepEqual(helpers.listFiles(scratch.localDir),
+            ['a.txt: a', 'x/inner.txt: inner'], 'the local dir was kept');
+        return keepWatcher.pollOnce();
+    }).then(function onKeepPoll(group) {
+        t.deepEqual(summarizeConflicts(group),
+            ['x: directory -> object (keep)'],
+            'keep: a kept conflict is not a delete');
+        closeAll();
+    }).catch(function onErr(err) {
+        closeAll(err);
+    });
+});
+
+test('an adaptive interval backs off when idle', function testAdaptive(t) {
+    var scratch = new helpers.Scratch('adaptive-interval');
+    var watcher = createWatcher(scratch, {
+        interval: MIN_INTERVAL,
+        maxInterval: MAX_INTERVAL,
+        jitter: 0
+    });
+    var intervals = [];
+
+    function pollAndNote() {
+        return watcher.pollOnce().then(function onPoll() {
+            intervals.push(watcher.getStats().interval);
+        });
+    }
+
+    scratch.put('a.txt', 'a');
+    pollAndNote()
+        .then(pollAndNote)
+        .then(pollAndNote)
+        .then(function change() {
+            scratch.put('b.txt', 'b');
+            return pollAndNote();
+        }).then(function onPolls() {
+            t.deepEqual(intervals,
+                [BACKOFF_INTERVAL, MAX_INTERVAL, MAX_INTERVAL, MIN_INTERVAL],
+                'the interval doubles up to maxInterval, then drops back to '
+                + 'the min after a change');
+            helpers.finish(t, scratch, watcher);
+        }).catch(function onErr(err) {
+            helpers.finish(t, scratch, watcher, err);
+        });
+});
+
+test('jitter varies the poll time either way', function testJitter(t) {
+    var scratch = new helpers.Scratch('jitter');
+    var watcher = createWatcher(scratch, {
+        interval: JITTER_INTERVAL,
+        jitter: JITTER
+    });
+    var random = Math.random;
+    var delays = [];
+
+    function pollWithRandom(r) {
+        return function doPoll() {
+            Math.random = function fixedRandom() {
+                return r;
+            };
+            return watcher.pollOnce().then(function onPoll() {
+                Math.random = random;
+                delays.push(watcher._nextPollTime - watcher._lastPollTime);
+            });
+        };
+    }
+
+    pollWithRandom(0)()
+        .then(pollWithRandom(1))
+        .then(function onPolls() {
+            t.deepEqual(delays, [JITTER_MIN_DELAY_MS, JITTER_MAX_DELAY_MS],
+                'the delay is varied by up to jitter * interval either way');
+            helpers.finish(t, scratch, watcher);
+        }).catch(function onErr(err) {
+            Math.random = random;
+            helpers.finish(t, scratch, watcher, err);
+        });
+});
@@ -0,0 +1,186 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test the "/metrics" and "/healthz" server in lib/metrics-server.js.
+ */
+
+'use strict';
+
+var http = require('http');
+var test = require('tape');
+
+var helpers = require('./helpers');
+var MantaDirWatcher = require('../lib/manta-dir-watcher');
+var mod_metrics = require('../lib/metrics-server');
+
+
+// ---- globals/consts
+
+var HTTP_OK = 200;
+var HTTP_NOT_FOUND = 404;
+var HTTP_UNAVAILABLE = 503;
+
+var INTERVAL = 60;
+var HEALTH_INTERVALS = 3;
+var MS_PER_SEC = 1000;
+
+
+// ---- support functions
+
+/*
+ * GET `path` from the server, calling back with `(err, res, body)`.
+ */
+function get(server, path, cb) {
+    var req = http.get({
+        host: server.host,
+        port: server._server.address().port,
+        path: path
+    }, function onRes(res) {
+        var body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function onData(chunk) {
+            body += chunk;
+        });
+        res.on('end', function onEnd() {
+            cb(null, res, body);
+        });
+    });
+
+    req.on('error', cb);
+}
+
+function fakeStats(opts, now) {
+    return {
+        dir: '~~/stor/watched',
+        status: opts.status || 'polling',
+        startTime: new Date(now - opts.age * MS_PER_SEC),
+        lastPollTime: null,
+        interval: INTERVAL,
+        consecutivePollFailures: 0
+    };
+}
+
+
+// ---- tests
+
+test('checkHealth', function testCheckHealth(t) {
+    var now = Date.now();
+    var maxAge = INTERVAL * HEALTH_INTERVALS;
+    var cases = [
+        {stats: {age: 0}, healthy: true},
+        {stats: {age: maxAge}, healthy: true},
+        {stats: {age: maxAge + 1}, healthy: false},
+        {stats: {age: 0, status: 'closed'}, healthy: false},
+        {stats: {age: 0, status: 'failed'}, healthy: false}
+    ];
+
+    cases.forEach(function checkCase(c) {
+        var health = mod_metrics.checkHealth(fakeStats(c.stats, now),
+            HEALTH_INTERVALS, now);
+
+        t.equal(health.healthy, c.healthy, JSON.stringify(c.stats));
+        t.equal(typeof (health.reason),
+            (c.healthy ? 'undefined' : 'string'), 'reason only if unhealthy');
+    });
+    t.end();
+});
+
+test('start, scrape and close the metrics server', function testServer(t) {
+    var scratch = new helpers.Scratch('metrics');
+    var watcher = new MantaDirWatcher({
+        dir: scratch.dir,
+        backend: scratch.backend,
+        log: scratch.log
+    });
+    var server = new mod_metrics.MetricsServer({
+        port: 0,
+        getStats: function getStats() {
+            return {docs: watcher.getStats()};
+        },
+        log: scratch.log
+    });
+
+    function onErr(err) {
+        t.ifError(err, 'no unexpected error');
+        server.close(function onServerClosed() {
+            helpers.finish(t, scratch, watcher);
+        });
+    }
+
+    function getUnhealthy() {
+        get(server, '/healthz', function onHealthz(err, res, body) {
+            if (err) {
+                onErr(err);
+                return;
+            }
+            t.equal(res.statusCode, HTTP_UNAVAILABLE,
+                '/healthz fails once the watcher is closed');
+            t.equal(JSON.parse(body).watches.docs.reason,
+                'watcher is closed', '/healthz reason');
+            server.close(function onServerClosed() {
+                scratch.destroy();
+                t.end();
+            });
+        });
+    }
+
+    function getHealthy() {
+        get(server, '/healthz', function onHealthz(err, res, body) {
+            if (err) {
+                onErr(err);
+                return;
+            }
+            t.equal(res.statusCode, HTTP_OK, '/healthz status');
+            t.deepEqual(JSON.parse(body),
+                {healthy: true, watches: {docs: {healthy: true}}},
+                '/healthz body');
+            get(server, '/nope', function onNotFound(notFoundErr, notFound) {
+                if (notFoundErr) {
+                    onErr(notFoundErr);
+                    return;
+                }
+                t.equal(notFound.statusCode, HTTP_NOT_FOUND, 'unknown path');
+                watcher.close().then(getUnhealthy, onErr);
+            });
+        });
+    }
+
+    function getMetrics() {
+        get(server, '/metrics', function onMetrics(err, res, body) {
+            if (err) {
+                onErr(err);
+                return;
+            }
+            t.equal(res.statusCode, HTTP_OK, '/metrics status');
+            t.ok(/^text\/plain; version=0\.0\.4/.test(
+                res.headers['content-type']), '/metrics content-type');
+            t.ok(body.indexOf('mwatchdir_polls_total{watch="docs",'
+                + 'dir="~~/stor/watched"} 1\n') !== -1, 'polls_total');
+            t.ok(body.indexOf('mwatchdir_entries{watch="docs",'
+                + 'dir="~~/stor/watched"} 1\n') !== -1, 'entries');
+            t.ok(body.indexOf('mwatchdir_healthy{watch="docs",'
+                + 'dir="~~/stor/watched"} 1\n') !== -1, 'healthy');
+            getHealthy();
+        });
+    }
+
+    scratch.put('a.txt', 'a');
+    watcher.pollOnce().then(function onPoll() {
+        server.listen(function onListening(err) {
+            if (err) {
+                onErr(err);
+                return;
+            }
+            getMetrics();
+        });
+    }).catch(onErr);
+});
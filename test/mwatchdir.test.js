@@ -0,0 +1,217 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test the `mwatchdir` CLI, with a LocalDirBackend standing in for Manta.
+ */
+
+'use strict';
+
+var child_process = require('child_process');
+var fs = require('fs');
+var mod_path = require('path');
+var test = require('tape');
+var vasync = require('vasync');
+
+var helpers = require('./helpers');
+
+
+// ---- globals/consts
+
+var MWATCHDIR = mod_path.resolve(__dirname, '..', 'bin', 'mwatchdir');
+var PRELOAD = mod_path.resolve(__dirname, 'local-backend-preload.js');
+
+// `--wait-for` exit statuses.
+var EXIT_MATCHED = 0;
+var EXIT_ERROR = 1;
+var EXIT_TIMED_OUT = 2;
+
+/*
+ * Output options, and the lines (with runs of whitespace squeezed) they
+ * should print for a first sync of "a.txt" and "b.txt". "SYNC" in a line is
+ * replaced by the sync dir.
+ */
+var OUTPUT_CASES = [
+    {args: ['-o', 'action,size,path'], lines: [
+        'ACTION SIZE PATH',
+        'create 1 ~~/stor/watched/a.txt',
+        'create 2 ~~/stor/watched/b.txt'
+    ]},
+    {args: ['-H', '-o', 'action,path'], lines: [
+        'create ~~/stor/watched/a.txt',
+        'create ~~/stor/watched/b.txt'
+    ]},
+    {args: ['-o', 'action,path', '--local-path'], lines: [
+        'ACTION LOCALPATH',
+        'create SYNC/a.txt',
+        'create SYNC/b.txt'
+    ]},
+    {args: ['--ndjson', '-o', 'action,size'], lines: [
+        '{"action":"create","size":1}',
+        '{"action":"create","size":2}'
+    ]},
+    {args: ['--format', '{action}:{name}\\t{size}'], lines: [
+        'create:a.txt 1',
+        'create:b.txt 2'
+    ]}
+];
+
+
+// ---- support functions
+
+/*
+ * Run `mwatchdir ARGS...` against the scratch dir's backend, calling back
+ * with `(status, stdout, stderr)`.
+ */
+function mwatchdir(scratch, args, cb) {
+    var env = {};
+
+    Object.keys(process.env).forEach(function copyEnv(k) {
+        env[k] = process.env[k];
+    });
+    env.MANTA_USER = scratch.backend.user;
+    env.MWATCHDIR_TEST_MANTA_ROOT = scratch.backend.root;
+
+    child_process.execFile(process.execPath,
+        ['-r', PRELOAD, MWATCHDIR].concat(args), {env: env},
+        function onExec(err, stdout, stderr) {
+            cb((err ? err.code : 0), stdout, stderr);
+        });
+}
+
+/*
+ * The lines of `stdout`, with runs of whitespace squeezed to one space.
+ */
+function squeezeLines(stdout) {
+    return stdout.trim().split('\n').map(function squeeze(line) {
+        return line.split(/\s+/).join(' ');
+    });
+}
+
+
+// ---- tests
+
+test('--wait-for exits 0 when matched', function testMatched(t) {
+    var scratch = new helpers.Scratch('cli-matched');
+    var args = ['-i', '1', '--wait-for', 'exists', scratch.dir, 'a.txt'];
+
+    scratch.put('a.txt', 'a');
+    mwatchdir(scratch, args, function onExit(status, stdout) {
+        t.equal(status, EXIT_MATCHED, 'exit status');
+        t.equal(stdout, 'exists ~~/stor/watched/a.txt\n', 'stdout');
+        scratch.destroy();
+        t.end();
+    });
+});
+
+test('--wait-for exits 2 on timeout', function testTimedOut(t) {
+    var scratch = new helpers.Scratch('cli-timeout');
+    var args = ['-i', '1', '--timeout', '1', '--wait-for', 'exists',
+        scratch.dir, 'a.txt'];
+
+    mwatchdir(scratch, args, function onExit(status, stdout, stderr) {
+        t.equal(status, EXIT_TIMED_OUT, 'exit status');
+        t.equal(stdout, '', 'nothing on stdout');
+        t.ok(/^mwatchdir: timeout: /.test(stderr), 'timeout on stderr');
+        scratch.destroy();
+        t.end();
+    });
+});
+
+test('--wait-for exits 1 on error', function testError(t) {
+    var scratch = new helpers.Scratch('cli-error');
+    var args = ['-i', '1', '--wait-for', 'exists', scratch.dir, 'a.txt'];
+
+    // A symlink loop: listing it fails with ELOOP, which isn't retryable.
+    fs.rmdirSync(scratch.mantaDir);
+    fs.symlinkSync(mod_path.basename(scratch.mantaDir), scratch.mantaDir);
+    mwatchdir(scratch, args, function onExit(status, stdout, stderr) {
+        t.equal(status, EXIT_ERROR, 'exit status');
+        t.equal(stdout, '', 'nothing on stdout');
+        t.ok(/^mwatchdir: error: ELOOP/m.test(stderr), 'error on stderr');
+        scratch.destroy();
+        t.end();
+    });
+});
+
+test('output options', function testOutput(t) {
+    var scratch = new helpers.Scratch('cli-output');
+
+    scratch.put('a.txt', 'a');
+    scratch.put('b.txt', 'bb');
+    vasync.forEachPipeline({
+        inputs: OUTPUT_CASES,
+        func: function checkOutput(c, next) {
+            var syncDir = mod_path.join(scratch.base,
+                'sync' + OUTPUT_CASES.indexOf(c));
+            var args = ['-1', '-s', syncDir].concat(c.args, [scratch.dir]);
+
+            mwatchdir(scratch, args, function onExit(status, stdout, stderr) {
+                t.equal(status, 0, 'exit status: ' + c.args.join(' '));
+                t.equal(stderr, '', 'nothing on stderr');
+                t.deepEqual(squeezeLines(stdout),
+                    c.lines.map(function withSyncDir(line) {
+                        return line.replace('SYNC', syncDir);
+                    }), 'stdout');
+                next();
+            });
+        }
+    }, function onChecked() {
+        scratch.destroy();
+        t.end();
+    });
+});
+
+test('the long table has the size and etag', function testLong(t) {
+    var scratch = new helpers.Scratch('cli-long');
+    var args = ['-1', '-s', scratch.localDir, '-l', scratch.dir];
+
+    scratch.put('a.txt', 'a');
+    mwatchdir(scratch, args, function onExit(status, stdout) {
+        var lines = squeezeLines(stdout);
+
+        t.equal(status, 0, 'exit status');
+        t.equal(lines[0], 'ACTION TIMEEVENT MTIME SIZE ETAG PATH', 'header');
+        t.ok(new RegExp('^create \\S+ \\S+ 1 '
+            + '0cc175b9c0f1b6a831c399e269772661 ~~/stor/watched/a.txt$')
+            .test(lines[1]), 'the row has the size and etag: ' + lines[1]);
+        scratch.destroy();
+        t.end();
+    });
+});
+
+test('conflicting output options are rejected', function testConflicts(t) {
+    var scratch = new helpers.Scratch('cli-output-conflicts');
+    var cases = [
+        {args: ['-j', '--ndjson'],
+            errRe: /can only use one of "-j", "--ndjson" and "--format"/},
+        {args: ['-o', 'action', '-l'], errRe: /cannot use both "-o" and "-l"/},
+        {args: ['--format', '{action}', '-H'],
+            errRe: /"-H" only applies to table output/},
+        {args: ['--local-path'],
+            errRe: /"--local-path" requires "-s" or "--publish"/}
+    ];
+
+    vasync.forEachPipeline({
+        inputs: cases,
+        func: function checkConflict(c, next) {
+            var args = ['-1'].concat(c.args, [scratch.dir]);
+
+            mwatchdir(scratch, args, function onExit(status, stdout, stderr) {
+                t.equal(status, EXIT_ERROR, 'exit status: ' + c.args.join(' '));
+                t.ok(c.errRe.test(stderr), 'error: ' + stderr.trim());
+                next();
+            });
+        }
+    }, function onChecked() {
+        scratch.destroy();
+        t.end();
+    });
+});
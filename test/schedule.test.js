@@ -0,0 +1,124 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test the cron-like `schedule` support in lib/schedule.js. Times here are
+ * local, as for schedules.
+ */
+
+'use strict';
+
+var test = require('tape');
+
+var mod_schedule = require('../lib/schedule');
+
+
+// ---- globals/consts
+
+/*
+ * Schedules, with the expected next time after the given one. 2016-01-01 is
+ * a Friday.
+ */
+var NEXT_TIME_CASES = [
+    // Every minute, strictly after the given time.
+    {schedule: '* * * * *', after: '2016-01-01T10:07:30',
+        next: '2016-01-01T10:08'},
+    {schedule: '* * * * *', after: '2016-01-01T10:07',
+        next: '2016-01-01T10:08'},
+
+    // Steps.
+    {schedule: '*/15 * * * *', after: '2016-01-01T10:07',
+        next: '2016-01-01T10:15'},
+    {schedule: '*/15 * * * *', after: '2016-01-01T10:45',
+        next: '2016-01-01T11:00'},
+    {schedule: '10-40/15 * * * *', after: '2016-01-01T10:26',
+        next: '2016-01-01T10:40'},
+    {schedule: '10-40/15 * * * *', after: '2016-01-01T10:40',
+        next: '2016-01-01T11:10'},
+    {schedule: '50/5 * * * *', after: '2016-01-01T10:56',
+        next: '2016-01-01T11:50'},
+
+    // Ranges and lists.
+    {schedule: '0 9-17 * * *', after: '2016-01-01T12:00',
+        next: '2016-01-01T13:00'},
+    {schedule: '0 9-17 * * *', after: '2016-01-01T17:00',
+        next: '2016-01-02T09:00'},
+    {schedule: '0,30 * * * *', after: '2016-01-01T10:00',
+        next: '2016-01-01T10:30'},
+    {schedule: '5,1-2 3 * * *', after: '2016-01-01T03:02',
+        next: '2016-01-01T03:05'},
+    {schedule: '  0   12 * * *\t', after: '2016-01-01T11:00',
+        next: '2016-01-01T12:00'},
+
+    // Day of month, day of week, or (if both are restricted) either.
+    {schedule: '0 0 13 * *', after: '2016-01-01T00:00',
+        next: '2016-01-13T00:00'},
+    {schedule: '0 0 * * 0', after: '2016-01-01T00:00',
+        next: '2016-01-03T00:00'},
+    {schedule: '0 0 * * 7', after: '2016-01-01T00:00',
+        next: '2016-01-03T00:00'},
+    {schedule: '0 0 * * 1-5', after: '2016-01-01T12:00',
+        next: '2016-01-04T00:00'},
+    {schedule: '0 0 13 * 5', after: '2016-01-01T00:00',
+        next: '2016-01-08T00:00'},
+    {schedule: '0 0 13 * 5', after: '2016-01-09T00:00',
+        next: '2016-01-13T00:00'},
+
+    // Month and year rollover.
+    {schedule: '0 0 1 * *', after: '2016-01-31T12:00',
+        next: '2016-02-01T00:00'},
+    {schedule: '0 0 31 * *', after: '2016-01-31T12:00',
+        next: '2016-03-31T00:00'},
+    {schedule: '30 23 31 12 *', after: '2016-12-31T23:45',
+        next: '2017-12-31T23:30'},
+    {schedule: '0 0 1 1 *', after: '2016-06-01T00:00',
+        next: '2017-01-01T00:00'},
+    {schedule: '0 0 29 2 *', after: '2016-03-01T00:00',
+        next: '2020-02-29T00:00'}
+];
+
+var INVALID_SCHEDULES = [
+    {schedule: '* * * *', error: /expected 5 fields, got 4/},
+    {schedule: '* * * * * *', error: /expected 5 fields, got 6/},
+    {schedule: '60 * * * *', error: /invalid schedule minute: "60"/},
+    {schedule: '* 24 * * *', error: /invalid schedule hour: "24"/},
+    {schedule: '* * 0 * *', error: /invalid schedule dayOfMonth: "0"/},
+    {schedule: '* * * 13 *', error: /invalid schedule month: "13"/},
+    {schedule: '* * * * 8', error: /invalid schedule dayOfWeek: "8"/},
+    {schedule: '5-1 * * * *', error: /invalid schedule minute: "5-1"/},
+    {schedule: '*/0 * * * *', error: /invalid schedule minute: "\*\/0"/},
+    {schedule: '1-2-3 * * * *', error: /invalid schedule minute: "1-2-3"/},
+    {schedule: 'a * * * *', error: /invalid schedule minute: "a"/},
+    {schedule: '1, * * * *', error: /invalid schedule minute: ""/},
+    {schedule: '0 0 30 2 *', error: /never matches/}
+];
+
+
+// ---- tests
+
+test('nextScheduledTime', function testNextScheduledTime(t) {
+    NEXT_TIME_CASES.forEach(function checkCase(c) {
+        var schedule = mod_schedule.parseSchedule(c.schedule);
+        var next = mod_schedule.nextScheduledTime(schedule, new Date(c.after));
+
+        t.equal(next.getTime(), new Date(c.next).getTime(),
+            '"' + c.schedule + '" after ' + c.after + ' is ' + c.next);
+    });
+    t.end();
+});
+
+test('invalid schedules', function testInvalid(t) {
+    INVALID_SCHEDULES.forEach(function checkInvalid(c) {
+        t.throws(function parse() {
+            mod_schedule.parseSchedule(c.schedule);
+        }, c.error, '"' + c.schedule + '" is invalid');
+    });
+    t.end();
+});
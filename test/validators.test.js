@@ -0,0 +1,208 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test the `syncValidate` validators in lib/validators.js.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var mod_path = require('path');
+var test = require('tape');
+
+var helpers = require('./helpers');
+var validators = require('../lib/validators');
+
+
+// ---- globals/consts
+
+// The MD5 of "hello".
+var HELLO_MD5_BASE64 = 'XUFAKrxLKna5cZ2REBfFkg==';
+var HELLO_MD5_HEX = '5d41402abc4b2a76b9719d911017c592';
+
+var JSON_CASES = [
+    {content: '{"a": 1}', valid: true},
+    {content: '[]', valid: true},
+    {content: 'null', valid: true},
+    {content: '', valid: false, errRe: /^invalid JSON: /},
+    {content: '{"a": ', valid: false, errRe: /^invalid JSON: /},
+    {content: 'hello', valid: false, errRe: /^invalid JSON: /}
+];
+
+var MD5_CASES = [
+    {expected: {'f.txt': HELLO_MD5_BASE64}, valid: true},
+    {expected: {'f.txt': HELLO_MD5_HEX}, valid: true},
+    {expected: {'f.txt': HELLO_MD5_HEX.toUpperCase()}, valid: true},
+    {
+        expected: function expectedMd5() {
+            return Promise.resolve(HELLO_MD5_BASE64);
+        },
+        valid: true
+    },
+    {
+        expected: {'f.txt': 'Ab3bTkBXiwPtmlnzrMDSAw=='},
+        valid: false,
+        errRe: /^MD5 \(XUFAKrxLKna5cZ2REBfFkg==\) does not match expected/
+    },
+    {
+        expected: {'other.txt': HELLO_MD5_BASE64},
+        valid: false,
+        errRe: /^no expected MD5 for "f.txt"$/
+    },
+    {
+        expected: function noExpectedMd5() {
+            return null;
+        },
+        valid: false,
+        errRe: /^no expected MD5 for "f.txt"$/
+    }
+];
+
+var CMD_CASES = [
+    {cmd: 'true', valid: true},
+    {cmd: 'grep -q hello', valid: true},
+    {cmd: 'test "$MWATCHDIR_PATH" = "~~/stor/watched/f.txt" && '
+        + 'test -f', valid: true},
+    {cmd: 'false', valid: false, output: 'validate command failed '
+        + '(exit status 1)'},
+    {cmd: 'grep -q nope', valid: false, output: 'validate command failed '
+        + '(exit status 1)'},
+    {cmd: 'echo bad >&2; exit 3; true', valid: false, output: 'bad'},
+    {cmd: 'kill -TERM $$; true', valid: false, output: 'validate command '
+        + 'failed (SIGTERM)'},
+    // More output than is kept for the reject message.
+    {cmd: 'head -c 200000 /dev/zero | tr "\\0" x; echo; true', valid: true},
+    {cmd: 'head -c 200000 /dev/zero | tr "\\0" x; echo the end; false',
+        valid: false, outputRe: /^x+the end$/}
+];
+
+
+// ---- support functions
+
+/*
+ * Run `validator` on a "f.txt" file (in the watched dir) with the given
+ * content, calling back with the validation error, if any.
+ */
+function validate(scratch, validator, content, cb) {
+    var tmpPath = mod_path.join(scratch.localDir, '.f.txt.tmp');
+    var dirent = {
+        name: 'f.txt',
+        parent: scratch.dir,
+        relpath: 'f.txt',
+        type: 'object'
+    };
+
+    fs.writeFileSync(tmpPath, content);
+    validator(tmpPath, dirent).then(function onValid() {
+        cb(null);
+    }, function onInvalid(err) {
+        cb(err);
+    });
+}
+
+/*
+ * Run each of the `cases` in turn: `check(c, next)`.
+ */
+function eachCase(cases, check, cb) {
+    var i = 0;
+
+    function next() {
+        if (i >= cases.length) {
+            cb();
+            return;
+        }
+        check(cases[i++], next);
+    }
+
+    next();
+}
+
+
+// ---- tests
+
+test('validateJson', function testValidateJson(t) {
+    var scratch = new helpers.Scratch('validate-json');
+
+    eachCase(JSON_CASES, function checkCase(c, next) {
+        validate(scratch, validators.validateJson, c.content,
+            function onValidated(err) {
+                t.equal(!err, c.valid, JSON.stringify(c.content)
+                    + (c.valid ? ' is valid' : ' is invalid'));
+                if (err) {
+                    t.ok(c.errRe.test(err.message), err.message);
+                }
+                next();
+            });
+    }, function onDone() {
+        scratch.destroy();
+        t.end();
+    });
+});
+
+test('validateMd5', function testValidateMd5(t) {
+    var scratch = new helpers.Scratch('validate-md5');
+
+    eachCase(MD5_CASES, function checkCase(c, next) {
+        var desc = (typeof (c.expected) === 'function'
+            ? c.expected.name : JSON.stringify(c.expected));
+
+        validate(scratch, validators.validateMd5(c.expected), 'hello',
+            function onValidated(err) {
+                t.equal(!err, c.valid,
+                    desc + (c.valid ? ' accepts' : ' rejects'));
+                if (err) {
+                    t.ok(c.errRe.test(err.message), err.message);
+                }
+                next();
+            });
+    }, function onDone() {
+        scratch.destroy();
+        t.end();
+    });
+});
+
+test('validateMd5 with a bad expected arg', function testBadExpected(t) {
+    t.throws(function noExpected() {
+        validators.validateMd5();
+    }, /expected is not an object or function/);
+    t.throws(function stringExpected() {
+        validators.validateMd5(HELLO_MD5_HEX);
+    }, /expected is not an object or function/);
+    t.end();
+});
+
+test('validateCmd', function testValidateCmd(t) {
+    var scratch = new helpers.Scratch('validate-cmd');
+
+    eachCase(CMD_CASES, function checkCase(c, next) {
+        var validator = validators.validateCmd({
+            cmd: c.cmd,
+            log: scratch.log
+        });
+
+        validate(scratch, validator, 'hello', function onValidated(err) {
+            t.equal(!err, c.valid,
+                c.cmd + (c.valid ? ' accepts' : ' rejects'));
+            if (err) {
+                if (c.outputRe) {
+                    t.ok(c.outputRe.test(err.output),
+                        'output is the end of stdout');
+                } else {
+                    t.equal(err.output, c.output, 'output: ' + err.output);
+                }
+            }
+            next();
+        });
+    }, function onDone() {
+        scratch.destroy();
+        t.end();
+    });
+});
@@ -0,0 +1,319 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test the `mwatchdir --config` daemon in lib/watch-daemon.js, with a
+ * LocalDirBackend standing in for Manta.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var mod_path = require('path');
+var test = require('tape');
+var vasync = require('vasync');
+
+var helpers = require('./helpers');
+var WatchDaemon = require('../lib/watch-daemon');
+
+
+// ---- globals/consts
+
+var DIR_A = '~~/stor/watched/a';
+var DIR_B = '~~/stor/watched/b';
+var DIR_C = '~~/stor/watched/c';
+
+var CHANGED_INTERVAL = 30;
+
+/*
+ * Invalid configs, with the error they should get.
+ */
+var INVALID_CONFIGS = [
+    {content: '{"watches": [', errRe: /invalid config file/},
+    {content: '"watches"', errRe: /config \(object\) is required/},
+    {config: {}, errRe: /watches \(\[object\]\) is required/},
+    {config: {watches: [], bogus: true},
+        errRe: /unknown key in config: "bogus"/},
+    {config: {watches: [{name: 'a'}]}, errRe: /watches\[0\]\.dir/},
+    {config: {watches: [{dir: DIR_A, bogus: 1}]},
+        errRe: /unknown key in watches\[0\]: "bogus"/},
+    {config: {watches: [{dir: DIR_A, interval: '5'}]},
+        errRe: /watches\[0\]\.interval \(number\) is required/},
+    {config: {watches: [{dir: DIR_A}, {dir: DIR_A}]},
+        errRe: /duplicate watch name: "~~\/stor\/watched\/a"/},
+    {config: {watches: [{name: 'a', dir: DIR_A, syncDir: '/var/tmp/x'},
+        {name: 'b', dir: DIR_B, syncDir: '/var/tmp/x/'}]},
+        errRe: /watches "a" and "b" have the same syncDir/},
+    {config: {watches: [{dir: DIR_A, exec: {command: 'true'}}]},
+        errRe: /unknown key in watches\[0\]\.exec: "command"/},
+    {config: {watches: [{dir: DIR_A, webhook: 'ftp://example.com/'}]},
+        errRe: /watches\[0\]\.webhook\.url is not an http or https URL/}
+];
+
+
+// ---- support functions
+
+function writeConfig(scratch, config) {
+    fs.writeFileSync(mod_path.join(scratch.base, 'config.json'),
+        JSON.stringify(config));
+}
+
+function createDaemon(scratch) {
+    return new WatchDaemon({
+        configFile: mod_path.join(scratch.base, 'config.json'),
+        backend: scratch.backend,
+        log: scratch.log
+    });
+}
+
+/*
+ * The running watches' names, sorted.
+ */
+function watchNames(daemon) {
+    return Object.keys(daemon.getStats()).sort();
+}
+
+/*
+ * Close the daemon and remove the scratch dir, failing the test with `err`,
+ * if any.
+ */
+function finishDaemon(t, scratch, daemon, err) {
+    t.ifError(err, 'no unexpected error');
+    daemon.close().then(function onClosed() {
+        scratch.destroy();
+        t.end();
+    });
+}
+
+
+// ---- tests
+
+test('loadConfig', function testLoadConfig(t) {
+    var scratch = new helpers.Scratch('daemon-load-config');
+
+    writeConfig(scratch, {
+        defaults: {interval: CHANGED_INTERVAL},
+        watches: [
+            {dir: DIR_A, exec: 'true'},
+            {name: 'b', dir: DIR_B, interval: 1,
+                webhook: 'http://127.0.0.1/hook'}
+        ]
+    });
+    WatchDaemon.loadConfig(mod_path.join(scratch.base, 'config.json'),
+        function onConfig(err, watches) {
+            t.ifError(err, 'no error');
+            t.deepEqual(watches, [
+                {name: DIR_A, dir: DIR_A, interval: CHANGED_INTERVAL,
+                    exec: {cmd: 'true'}},
+                {name: 'b', dir: DIR_B, interval: 1,
+                    webhook: {url: 'http://127.0.0.1/hook'}}
+            ], 'watches are normalized, with the defaults applied');
+            scratch.destroy();
+            t.end();
+        });
+});
+
+test('loadConfig rejects invalid configs', function testInvalid(t) {
+    var scratch = new helpers.Scratch('daemon-invalid-config');
+    var configFile = mod_path.join(scratch.base, 'config.json');
+
+    vasync.forEachPipeline({
+        inputs: INVALID_CONFIGS,
+        func: function checkConfig(c, next) {
+            fs.writeFileSync(configFile,
+                (c.config ? JSON.stringify(c.config) : c.content));
+            WatchDaemon.loadConfig(configFile, function onConfig(err) {
+                t.ok(err && c.errRe.test(err.message),
+                    'error: ' + (err && err.message));
+                next();
+            });
+        }
+    }, function onChecked() {
+        WatchDaemon.loadConfig(mod_path.join(scratch.base, 'nope.json'),
+            function onConfig(err) {
+                t.ok(err && (/could not read config file/).test(err.message),
+                    'error: ' + (err && err.message));
+                scratch.destroy();
+                t.end();
+            });
+    });
+});
+
+test('reload adds, removes and changes watches', function testReload(t) {
+    var scratch = new helpers.Scratch('daemon-reload');
+    var daemon = createDaemon(scratch);
+    var startTimeB;
+
+    scratch.put('a/a.txt', 'a');
+    scratch.put('b/b.txt', 'b');
+    scratch.put('c/c.txt', 'c');
+    writeConfig(scratch, {watches: [
+        {name: 'a', dir: DIR_A},
+        {name: 'b', dir: DIR_B},
+        {name: 'gone', dir: DIR_C}
+    ]});
+    daemon.start(function onStarted(startErr) {
+        if (startErr) {
+            finishDaemon(t, scratch, daemon, startErr);
+            return;
+        }
+        t.deepEqual(watchNames(daemon), ['a', 'b', 'gone'],
+            'the watches are started');
+        startTimeB = daemon.getStats().b.startTime.getTime();
+
+        writeConfig(scratch, {watches: [
+            {name: 'a', dir: DIR_A, interval: CHANGED_INTERVAL},
+            {name: 'b', dir: DIR_B},
+            {name: 'new', dir: DIR_C}
+        ]});
+        daemon.reload(function onReloaded(err) {
+            var stats = daemon.getStats();
+
+            if (err) {
+                finishDaemon(t, scratch, daemon, err);
+                return;
+            }
+            t.deepEqual(watchNames(daemon), ['a', 'b', 'new'],
+                'the removed watch is closed and the new one started');
+            t.equal(stats.a.interval, CHANGED_INTERVAL,
+                'the changed watch was restarted with its new config');
+            t.equal(stats.b.startTime.getTime(), startTimeB,
+                'the unchanged watch was left running');
+            finishDaemon(t, scratch, daemon);
+        });
+    });
+});
+
+test('an invalid config leaves the watches running', function testBad(t) {
+    var scratch = new helpers.Scratch('daemon-bad-reload');
+    var daemon = createDaemon(scratch);
+    var startTimeA;
+
+    scratch.put('a/a.txt', 'a');
+    writeConfig(scratch, {watches: [{name: 'a', dir: DIR_A}]});
+    daemon.start(function onStarted(startErr) {
+        if (startErr) {
+            finishDaemon(t, scratch, daemon, startErr);
+            return;
+        }
+        startTimeA = daemon.getStats().a.startTime.getTime();
+
+        // Valid JSON, but the watcher rejects the sync mode.
+        writeConfig(scratch, {watches: [
+            {name: 'a', dir: DIR_A, interval: CHANGED_INTERVAL},
+            {name: 'b', dir: DIR_B, syncMode: 'bogus'}
+        ]});
+        daemon.reload(function onReloaded(err) {
+            t.ok(err && (/invalid config for watch "b"/).test(err.message),
+                'error: ' + (err && err.message));
+            t.deepEqual(watchNames(daemon), ['a'], 'no watch was added');
+            t.equal(daemon.getStats().a.startTime.getTime(), startTimeA,
+                'the running watch was left alone');
+            finishDaemon(t, scratch, daemon);
+        });
+    });
+});
+
+test('a reload during a reload is queued', function testQueued(t) {
+    var scratch = new helpers.Scratch('daemon-queued-reload');
+    var daemon = createDaemon(scratch);
+    var reloaded = [];
+
+    scratch.put('a/a.txt', 'a');
+    scratch.put('b/b.txt', 'b');
+    writeConfig(scratch, {watches: [{name: 'a', dir: DIR_A}]});
+    daemon.start(function onStarted(startErr) {
+        if (startErr) {
+            finishDaemon(t, scratch, daemon, startErr);
+            return;
+        }
+        writeConfig(scratch, {watches: [
+            {name: 'a', dir: DIR_A},
+            {name: 'b', dir: DIR_B}
+        ]});
+        daemon.reload(function onFirstReload(err) {
+            t.ifError(err, 'first reload');
+            reloaded.push('first');
+        });
+        daemon.reload(function onQueuedReload(err) {
+            t.ifError(err, 'queued reload');
+            reloaded.push('queued');
+            t.deepEqual(reloaded, ['first', 'queued'],
+                'the queued reload finished after the first');
+            t.deepEqual(watchNames(daemon), ['a', 'b'],
+                'the config was applied');
+            finishDaemon(t, scratch, daemon);
+        });
+    });
+});
+
+test('close', function testClose(t) {
+    var scratch = new helpers.Scratch('daemon-close');
+    var daemon = createDaemon(scratch);
+    var groups = [];
+
+    daemon.on('group', function onGroup(name, group) {
+        groups.push(name + ': ' + helpers.summarize(group).join(', '));
+    });
+    scratch.put('a/a.txt', 'a');
+    writeConfig(scratch, {watches: [{name: 'a', dir: DIR_A}]});
+    daemon.start(function onStarted(startErr) {
+        if (startErr) {
+            finishDaemon(t, scratch, daemon, startErr);
+            return;
+        }
+        writeConfig(scratch, {watches: [
+            {name: 'a', dir: DIR_A},
+            {name: 'b', dir: DIR_B}
+        ]});
+        // Close during a reload: the watches it starts are closed too.
+        daemon.reload(function onReloaded(err) {
+            t.ifError(err, 'the in-progress reload finished');
+        });
+        daemon.close().then(function onClosed() {
+            t.deepEqual(daemon.getStats(), {}, 'all watches were closed');
+            daemon.reload(function onReloadAfterClose(err) {
+                t.ok(err && (/daemon is closed/).test(err.message),
+                    'no reload after close');
+                t.deepEqual(groups, [], 'no groups without changes');
+                scratch.destroy();
+                t.end();
+            });
+        });
+    });
+});
+
+test('groups from a watch are emitted', function testGroups(t) {
+    var scratch = new helpers.Scratch('daemon-groups');
+    var daemon = createDaemon(scratch);
+
+    scratch.put('a/a.txt', 'a');
+    writeConfig(scratch, {watches: [{name: 'a', dir: DIR_A}]});
+    daemon.on('group', function onGroup(name, group) {
+        t.equal(name, 'a', 'the group is from watch "a"');
+        t.deepEqual(helpers.summarize(group), ['create b.txt'],
+            'the group has the change');
+        finishDaemon(t, scratch, daemon);
+    });
+    daemon.start(function onStarted(startErr) {
+        var watcher;
+
+        if (startErr) {
+            finishDaemon(t, scratch, daemon, startErr);
+            return;
+        }
+        // Poke once the first poll (which just records the listing) is done.
+        watcher = daemon._watches.a.watcher;
+        watcher.once('poll', function onFirstPoll() {
+            scratch.put('a/b.txt', 'b');
+            daemon.poke();
+        });
+    });
+});
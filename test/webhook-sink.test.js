@@ -0,0 +1,229 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2016 Joyent, Inc.
+ */
+
+/*
+ * Test WebhookSink delivery against a local HTTP server.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var http = require('http');
+var mod_path = require('path');
+var test = require('tape');
+
+var helpers = require('./helpers');
+var WebhookSink = require('../lib/webhook-sink');
+
+
+// ---- globals/consts
+
+var FAST_RETRY = {minDelay: 0.01, maxDelay: 0.01};
+
+var HTTP_OK = 200;
+var HTTP_BAD_REQUEST = 400;
+var HTTP_UNAVAILABLE = 503;
+
+
+// ---- support functions
+
+/*
+ * Start a local HTTP server that records each request (`{headers, body}`)
+ * in `server.requests` and responds with the status code returned by
+ * `respond(req, body)`.
+ */
+function startServer(respond, cb) {
+    var server = http.createServer(function onRequest(req, res) {
+        var chunks = [];
+
+        req.on('data', function onData(chunk) {
+            chunks.push(chunk);
+        });
+        req.on('end', function onEnd() {
+            var body = Buffer.concat(chunks).toString('utf8');
+
+            server.requests.push({headers: req.headers, body: body});
+            res.statusCode = respond(req, body);
+            res.end();
+        });
+    });
+
+    server.requests = [];
+    server.listen(0, '127.0.0.1', function onListening() {
+        server.url = 'http://127.0.0.1:' + server.address().port + '/hook';
+        cb(server);
+    });
+}
+
+function createSink(scratch, server, opts) {
+    return helpers.createWithOpts(WebhookSink, {
+        url: server.url,
+        retry: FAST_RETRY,
+        log: scratch.log
+    }, opts);
+}
+
+function respondOk() {
+    return HTTP_OK;
+}
+
+
+// ---- tests
+
+test('groups are delivered in order and signed', function testDeliver(t) {
+    var scratch = new helpers.Scratch('webhook-deliver');
+    var names = ['first', 'second', 'third'];
+
+    startServer(respondOk, function onServer(server) {
+        var sink = createSink(scratch, server, {secret: 'sekrit'});
+        var delivered = [];
+
+        sink.on('delivered', function onDelivered(id) {
+            delivered.push(id);
+            if (delivered.length < names.length) {
+                return;
+            }
+            t.deepEqual(server.requests.map(function getName(r) {
+                return JSON.parse(r.body).events[0].name;
+            }), names, 'delivered in order');
+            server.requests.forEach(function checkRequest(r, i) {
+                t.equal(r.headers['x-mwatchdir-delivery'], delivered[i],
+                    'delivery id header');
+                t.equal(r.headers[WebhookSink.SIGNATURE_HEADER],
+                    WebhookSink.signBody('sekrit', r.body),
+                    'signature header');
+            });
+            sink.close(function onClosed() {
+                server.close();
+                scratch.destroy();
+                t.end();
+            });
+        });
+        names.forEach(function sendOne(name) {
+            sink.send({events: [{action: 'create', name: name}]});
+        });
+    });
+});
+
+test('5xx responses are retried, 4xx dropped', function testRetry(t) {
+    var scratch = new helpers.Scratch('webhook-retry');
+    var names = ['retried', 'rejected', 'ok'];
+    var numRetried = 0;
+
+    function respond(req, body) {
+        var name = JSON.parse(body).events[0].name;
+
+        if (name === 'retried' && numRetried++ === 0) {
+            return HTTP_UNAVAILABLE;
+        } else if (name === 'rejected') {
+            return HTTP_BAD_REQUEST;
+        }
+        return HTTP_OK;
+    }
+
+    startServer(respond, function onServer(server) {
+        var sink = createSink(scratch, server);
+        var results = [];
+
+        function noteResult(result) {
+            results.push(result);
+            if (results.length < names.length) {
+                return;
+            }
+            t.deepEqual(results, ['delivered', 'dropped', 'delivered'],
+                'one delivered after a retry, one dropped');
+            t.deepEqual(server.requests.map(function getName(r) {
+                return JSON.parse(r.body).events[0].name;
+            }), ['retried', 'retried', 'rejected', 'ok'],
+                'requests were made in order');
+            sink.close(function onClosed() {
+                server.close();
+                scratch.destroy();
+                t.end();
+            });
+        }
+
+        sink.on('delivered', function onDelivered() {
+            noteResult('delivered');
+        });
+        sink.on('dropped', function onDropped(id, reason) {
+            t.ok((/HTTP 400/).test(reason), 'dropped reason: ' + reason);
+            noteResult('dropped');
+        });
+        names.forEach(function sendOne(name) {
+            sink.send({events: [{action: 'create', name: name}]});
+        });
+    });
+});
+
+test('pending groups are persisted in queueDir', function testQueueDir(t) {
+    var scratch = new helpers.Scratch('webhook-queue');
+    var queueDir = mod_path.join(scratch.localDir, 'queue');
+    var up = false;
+    var sentId;
+
+    function respond() {
+        return (up ? HTTP_OK : HTTP_UNAVAILABLE);
+    }
+
+    // A second sink loads the group from the queue dir and delivers it.
+    function reload(server) {
+        var sink = createSink(scratch, server, {queueDir: queueDir});
+
+        up = true;
+        sink.on('delivered', function onDelivered(id) {
+            t.equal(id, sentId, 'reloaded group was delivered');
+            t.deepEqual(fs.readdirSync(queueDir), [],
+                'queue file was removed');
+            sink.close(function onClosed() {
+                server.close();
+                scratch.destroy();
+                t.end();
+            });
+        });
+    }
+
+    startServer(respond, function onServer(server) {
+        var sink = createSink(scratch, server, {queueDir: queueDir});
+
+        // Close the first sink after its first (failed) delivery attempt.
+        server.once('request', function onFirstRequest(req) {
+            sentId = req.headers['x-mwatchdir-delivery'];
+            sink.close(function onClosed() {
+                t.deepEqual(fs.readdirSync(queueDir), [sentId + '.json'],
+                    'undelivered group is in the queue dir');
+                reload(server);
+            });
+        });
+        sink.send({events: [{action: 'create', name: 'queued'}]});
+    });
+});
+
+test('a queueDir that cannot be written', function testBadQueueDir(t) {
+    var scratch = new helpers.Scratch('webhook-bad-queue');
+    var queueDir = mod_path.join(scratch.localDir, 'not-a-dir');
+
+    scratch.putLocal('not-a-dir', 'a file');
+    startServer(respondOk, function onServer(server) {
+        var sink = createSink(scratch, server, {queueDir: queueDir});
+
+        sink.on('delivered', function onDelivered() {
+            t.pass('group was delivered from memory');
+            sink.close(function onClosed() {
+                server.close();
+                scratch.destroy();
+                t.end();
+            });
+        });
+        t.doesNotThrow(function sendIt() {
+            sink.send({events: [{action: 'create', name: 'a'}]});
+        }, 'send does not throw');
+    });
+});